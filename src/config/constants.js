@@ -0,0 +1,299 @@
+/**
+ * Constantes y configuración compartida del servicio
+ * Los valores configurables se leen de las variables de entorno
+ */
+
+const path = require('path');
+
+// Lee una variable de entorno numérica, usando el valor por defecto si no es válida
+const envInt = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+// Cookie de sesión de Firebase (auth.createSessionCookie)
+// Firebase admite duraciones entre 5 minutos y 14 días
+const SESSION_COOKIE = {
+  name: process.env.SESSION_COOKIE_NAME || '__session',
+  expiresIn: envInt('SESSION_COOKIE_EXPIRES_IN', 5 * 24 * 60 * 60 * 1000), // 5 días
+  sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  // Tiempo máximo (en segundos) desde el inicio de sesión para poder crear la cookie
+  maxAuthAge: 5 * 60
+};
+
+// Caché en memoria de perfiles usada por isAuthenticated (TTL 0 la desactiva)
+const PROFILE_CACHE = {
+  ttl: envInt('PROFILE_CACHE_TTL_MS', 30 * 1000), // 30 segundos
+  maxSize: envInt('PROFILE_CACHE_MAX_SIZE', 1000)
+};
+
+// Tiempo que se conserva en memoria el mapa rol → permisos leído de Firestore
+const POLICY_CACHE_TTL = envInt('POLICY_CACHE_TTL_MS', 60 * 1000); // 1 minuto
+
+// Campos del perfil de un paciente visibles para los médicos de su equipo de atención
+const CARE_TEAM_PROFILE_FIELDS = [
+  'displayName',
+  'email',
+  'status',
+  'personalInfo.firstName',
+  'personalInfo.lastName',
+  'personalInfo.phone',
+  'personalInfo.dateOfBirth',
+  'personalInfo.gender'
+];
+
+// Emisión de custom tokens: claims adicionales que los clientes pueden solicitar
+const CUSTOM_TOKEN = {
+  claimAllowlist: (process.env.CUSTOM_TOKEN_CLAIM_ALLOWLIST || 'deviceId,deviceType,kiosk')
+    .split(',')
+    .map(claim => claim.trim())
+    .filter(Boolean)
+};
+
+// Credenciales de los microservicios internos (SERVICE_API_KEYS=nombre:clave,nombre2:clave2)
+const SERVICE_AUTH = {
+  header: process.env.SERVICE_AUTH_HEADER || 'X-Service-Key',
+  credentials: (process.env.SERVICE_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    })
+    .filter(({ name, key }) => name && key)
+};
+
+// Caché de resultados de introspección (por hash del token)
+const INTROSPECTION_CACHE = {
+  ttl: envInt('INTROSPECTION_CACHE_TTL_MS', 10 * 1000), // 10 segundos
+  maxSize: envInt('INTROSPECTION_CACHE_MAX_SIZE', 5000)
+};
+
+// Clave para cifrar datos sensibles en Firestore (32 bytes en Base64)
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+
+// Autenticación multifactor (TOTP)
+const MFA = {
+  issuer: process.env.MFA_ISSUER || process.env.APP_NAME || 'Auth Service',
+  // Roles que deben tener MFA activo para acceder a rutas protegidas con requireMfa
+  requiredRoles: (process.env.MFA_REQUIRED_ROLES ?? 'admin,doctor')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean),
+  // Duración de la verificación step-up de una sesión
+  stepUpTtl: envInt('MFA_STEP_UP_TTL_MS', 15 * 60 * 1000), // 15 minutos
+  recoveryCodeCount: 10
+};
+
+// API REST de Identity Toolkit (verificación de contraseñas)
+// Con el emulador: http://127.0.0.1:9099/identitytoolkit.googleapis.com
+const IDENTITY_TOOLKIT = {
+  baseUrl: process.env.IDENTITY_TOOLKIT_BASE_URL ||
+    (process.env.FIREBASE_AUTH_EMULATOR_HOST
+      ? `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com`
+      : 'https://identitytoolkit.googleapis.com'),
+  apiKey: process.env.FIREBASE_WEB_API_KEY
+};
+
+// Almacén del estado compartido de seguridad (intentos fallidos, límites de tasa)
+// memory: solo una instancia; firestore: varias instancias detrás de un balanceador
+const STATE_STORE = {
+  driver: process.env.STATE_STORE || 'memory',
+  collection: process.env.STATE_STORE_COLLECTION || 'securityState'
+};
+
+// Valor de 'trust proxy' de Express para obtener la IP real del cliente (req.ip)
+// Admite true/false, un número de saltos o una lista de IPs/subredes
+const parseTrustProxy = (value = 'loopback') => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+// Protección contra fuerza bruta: intentos fallidos por cuenta y por IP
+const BRUTE_FORCE = {
+  maxAccountAttempts: envInt('BRUTE_FORCE_MAX_ACCOUNT_ATTEMPTS', 5),
+  maxIpAttempts: envInt('BRUTE_FORCE_MAX_IP_ATTEMPTS', 20),
+  // Ventana en la que se acumulan los intentos fallidos
+  window: envInt('BRUTE_FORCE_WINDOW_MS', 15 * 60 * 1000), // 15 minutos
+  // Cada bloqueo consecutivo dura el doble que el anterior, hasta el máximo
+  baseLockout: envInt('BRUTE_FORCE_BASE_LOCKOUT_MS', 15 * 60 * 1000), // 15 minutos
+  maxLockout: envInt('BRUTE_FORCE_MAX_LOCKOUT_MS', 24 * 60 * 60 * 1000), // 24 horas
+  // Tiempo sin fallos tras el cual se olvidan los bloqueos anteriores
+  resetAfter: envInt('BRUTE_FORCE_RESET_AFTER_MS', 24 * 60 * 60 * 1000) // 24 horas
+};
+
+// Limitación de tasa de las rutas públicas (los límites de cada ruta se definen en userRoutes.js)
+const RATE_LIMIT = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false'
+};
+
+// Tokens de un solo uso enviados por correo (verificación, restablecimiento, invitaciones...)
+const ACTION_TOKENS = {
+  purposes: {
+    VERIFY_EMAIL: 'verify-email',
+    RESET_PASSWORD: 'reset-password',
+    INVITE: 'invite',
+    EMAIL_CHANGE: 'email-change',
+    EMAIL_REVERT: 'email-revert',
+    SIGN_IN: 'sign-in'
+  },
+  // Vigencia por propósito en milisegundos
+  ttl: {
+    'verify-email': envInt('VERIFY_EMAIL_TOKEN_TTL_MS', 24 * 60 * 60 * 1000), // 24 horas
+    'reset-password': envInt('RESET_PASSWORD_TOKEN_TTL_MS', 60 * 60 * 1000), // 1 hora
+    invite: envInt('INVITE_TOKEN_TTL_MS', 7 * 24 * 60 * 60 * 1000), // 7 días
+    'email-change': envInt('EMAIL_CHANGE_TOKEN_TTL_MS', 24 * 60 * 60 * 1000), // 24 horas
+    'email-revert': envInt('EMAIL_REVERT_TOKEN_TTL_MS', 7 * 24 * 60 * 60 * 1000), // 7 días
+    'sign-in': envInt('MAGIC_LINK_TOKEN_TTL_MS', 15 * 60 * 1000) // 15 minutos
+  },
+  // Frecuencia de la limpieza de tokens vencidos dentro del proceso (0 la desactiva)
+  cleanupInterval: envInt('TOKEN_CLEANUP_INTERVAL_MS', 60 * 60 * 1000) // 1 hora
+};
+
+// Registro público de pacientes (POST /api/auth/register)
+const SIGN_UP = {
+  // open: cualquiera; invite: requiere una invitación; closed: deshabilitado
+  mode: process.env.SIGN_UP_MODE || 'open',
+  // Las cuentas nuevas quedan en estado 'pending' hasta verificar el correo
+  requireEmailVerification: process.env.SIGN_UP_REQUIRE_EMAIL_VERIFICATION !== 'false',
+  // Versión vigente de los términos del servicio que se deben aceptar
+  termsVersion: process.env.TERMS_VERSION || '1'
+};
+
+// Revisión de credenciales de médicos
+const CREDENTIAL_REVIEW = {
+  // Estados de cuenta de un médico que aún no fue aprobado
+  restrictedStatuses: ['pending_verification', 'verification_rejected'],
+  // Rutas a las que puede acceder un médico no aprobado (solo su propio perfil)
+  restrictedAllowedPaths: [
+    '/api/users/me',
+    '/api/users/me/credentials',
+    '/api/users/me/change-password',
+    '/api/users/me/email',
+    '/api/users/me/revoke-sessions',
+    '/api/auth/mfa/enroll',
+    '/api/auth/mfa/enroll/confirm',
+    '/api/auth/mfa/verify'
+  ]
+};
+
+// Inicio de sesión sin contraseña con enlace por correo
+const MAGIC_LINK = {
+  // Roles que pueden usarlo (MAGIC_LINK_ROLES vacío lo desactiva)
+  enabledRoles: (process.env.MAGIC_LINK_ROLES ?? 'patient')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean)
+};
+
+// Multi-tenant con tenants de Firebase Auth (Identity Platform)
+// Sin tenant resuelto la solicitud usa el proyecto raíz (administración de la plataforma)
+const MULTI_TENANCY = {
+  enabled: process.env.MULTI_TENANCY_ENABLED === 'true',
+  // Cabecera con el ID del tenant
+  header: (process.env.TENANT_HEADER || 'x-tenant-id').toLowerCase(),
+  // Dominio base para resolver el tenant por subdominio (<slug>.<dominio>); vacío lo desactiva
+  baseDomain: (process.env.TENANT_BASE_DOMAIN || '').toLowerCase() || null,
+  // Tiempo que se conservan en memoria los tenants conocidos
+  cacheTtl: envInt('TENANT_CACHE_TTL_MS', 5 * 60 * 1000) // 5 minutos
+};
+
+// Política de contraseñas (utils/passwordPolicy)
+// Los valores de cada rol se combinan con los predeterminados; PASSWORD_POLICY_ROLES
+// admite un JSON con ajustes por rol, por ejemplo {"admin":{"minLength":14}}
+const parsePasswordRoles = (value) => {
+  if (!value) {
+    return {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error('PASSWORD_POLICY_ROLES no es un JSON válido');
+  }
+};
+
+const PASSWORD_POLICY = {
+  defaults: {
+    minLength: envInt('PASSWORD_MIN_LENGTH', 8),
+    maxLength: 128,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireNumber: true,
+    requireSymbol: true,
+    // Puntuación mínima del estimador de fortaleza (0 a 4)
+    minStrength: envInt('PASSWORD_MIN_STRENGTH', 2),
+    // Contraseñas anteriores que no se pueden reutilizar (0 lo desactiva)
+    historySize: envInt('PASSWORD_HISTORY_SIZE', 5)
+  },
+  roles: {
+    admin: { minLength: 12, minStrength: 3, historySize: 10 },
+    doctor: { minLength: 12, minStrength: 3 },
+    ...parsePasswordRoles(process.env.PASSWORD_POLICY_ROLES)
+  },
+  // Lista local de contraseñas comunes o filtradas (una por línea)
+  blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE ||
+    path.join(__dirname, 'common-passwords.txt')
+};
+
+// Ciclo de eliminación de usuarios: soft delete, restauración y purga definitiva
+const USER_DELETION = {
+  // Tiempo durante el que una cuenta eliminada se puede restaurar; después se purga
+  retention: envInt('USER_DELETION_RETENTION_MS', 30 * 24 * 60 * 60 * 1000), // 30 días
+  // Frecuencia del job de purga dentro del proceso (0 la desactiva)
+  purgeInterval: envInt('USER_PURGE_INTERVAL_MS', 24 * 60 * 60 * 1000) // 1 día
+};
+
+// Importación masiva de usuarios (POST /users/import y npm run job:import-users)
+const USER_IMPORT = {
+  maxRows: envInt('USER_IMPORT_MAX_ROWS', 5000),
+  maxBodySize: process.env.USER_IMPORT_MAX_BODY_SIZE || '5mb',
+  // Cuentas por llamada a auth.getUsers / auth.importUsers (getUsers admite hasta 100)
+  batchSize: 100,
+  // Iteraciones de PBKDF2-SHA256 con que se entregan las contraseñas a auth.importUsers
+  // (Firebase las convierte a su propio hash en el primer inicio de sesión)
+  passwordHashRounds: envInt('USER_IMPORT_HASH_ROUNDS', 30000),
+  // Vigencia del enlace para elegir contraseña de las cuentas importadas sin ella
+  setupLinkTtl: envInt('ACCOUNT_SETUP_TOKEN_TTL_MS', 7 * 24 * 60 * 60 * 1000) // 7 días
+};
+
+// Exportación de los datos de un usuario (GET /users/me/export)
+const DATA_EXPORT = {
+  // Tiempo durante el que se puede descargar un archivo generado
+  ttl: envInt('DATA_EXPORT_TTL_MS', 7 * 24 * 60 * 60 * 1000), // 7 días
+  // Frecuencia del job que retoma exportaciones pendientes y borra las vencidas (0 lo desactiva)
+  processInterval: envInt('DATA_EXPORT_PROCESS_INTERVAL_MS', 5 * 60 * 1000), // 5 minutos
+  // Una exportación en proceso más tiempo que esto se considera abandonada y se reintenta
+  staleAfter: 15 * 60 * 1000, // 15 minutos
+  maxAttempts: 3,
+  // El archivo se guarda en un documento de Firestore (límite de 1 MiB)
+  maxArchiveBytes: 1000 * 1000
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  PROFILE_CACHE,
+  POLICY_CACHE_TTL,
+  CARE_TEAM_PROFILE_FIELDS,
+  CUSTOM_TOKEN,
+  SERVICE_AUTH,
+  INTROSPECTION_CACHE,
+  ENCRYPTION_KEY,
+  MFA,
+  IDENTITY_TOOLKIT,
+  STATE_STORE,
+  TRUST_PROXY,
+  BRUTE_FORCE,
+  RATE_LIMIT,
+  ACTION_TOKENS,
+  SIGN_UP,
+  CREDENTIAL_REVIEW,
+  MAGIC_LINK,
+  MULTI_TENANCY,
+  PASSWORD_POLICY,
+  USER_IMPORT,
+  USER_DELETION,
+  DATA_EXPORT
+};
@@ -3,6 +3,7 @@ process.env.GRPC_VERBOSITY = 'ERROR';
 process.env.GRPC_TRACE = 'none';
 
 const admin = require('firebase-admin');
+const { getTenantId } = require('../utils/tenantContext');
 
 require('dotenv').config();
 // Validate required environment variables
@@ -32,9 +33,41 @@ try {
   throw error; // Re-throw to prevent further execution
 }
 
-const auth = admin.auth();
+const rootAuth = admin.auth();
 const db = admin.firestore();
 
+/**
+ * Firebase Auth del tenant indicado (authForTenant conserva una instancia por tenant)
+ * @param {string} tenantId - ID del tenant
+ * @returns {TenantAwareAuth}
+ */
+const tenantAuth = (tenantId) => rootAuth.tenantManager().authForTenant(tenantId);
+
+// Firebase Auth del tenant de la solicitud en curso (proyecto raíz si no hay tenant).
+// Se resuelve en cada acceso, así que los módulos pueden guardar la referencia al cargarse.
+const auth = new Proxy(rootAuth, {
+  get(target, property) {
+    const tenantId = getTenantId();
+    const current = tenantId && property !== 'tenantManager' ? tenantAuth(tenantId) : target;
+    const value = current[property];
+    return typeof value === 'function' ? value.bind(current) : value;
+  }
+});
+
+/**
+ * Colección de Firestore particionada por tenant
+ * Los datos de cada tenant viven bajo tenants/{tenantId}/{nombre}; sin tenant
+ * se usa la colección raíz
+ * @param {string} name - Nombre de la colección
+ * @returns {CollectionReference}
+ */
+const tenantCollection = (name) => {
+  const tenantId = getTenantId();
+  return tenantId
+    ? db.collection('tenants').doc(tenantId).collection(name)
+    : db.collection(name);
+};
+
 console.log('📦 Firestore instance:', db ? 'Loaded' : 'Undefined');
 db.settings({ ignoreUndefinedProperties: true, preferRest: false });
 
@@ -58,5 +91,7 @@ if (process.env.NODE_ENV !== 'test') {
 module.exports = {
   admin,
   db,
-  auth
+  auth,
+  tenantAuth,
+  tenantCollection
 };
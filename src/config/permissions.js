@@ -0,0 +1,45 @@
+/**
+ * Catálogo de permisos y mapa por defecto rol → permisos
+ * El mapa efectivo se guarda en Firestore (colección roles) y los
+ * administradores pueden modificarlo en tiempo de ejecución
+ */
+
+// Permisos disponibles y su descripción
+const PERMISSIONS = {
+  'users:read': 'Ver perfiles y listar usuarios',
+  'users:write': 'Crear y actualizar usuarios y revocar sus sesiones',
+  'users:delete': 'Eliminar usuarios',
+  'users:export': 'Exportar el listado de usuarios (CSV o NDJSON)',
+  'careTeam:read': 'Consultar los vínculos médico-paciente',
+  'careTeam:write': 'Asignar y desasignar pacientes a médicos',
+  'patients:read': 'Ver el perfil restringido de los pacientes asignados',
+  'invitations:read': 'Consultar las invitaciones',
+  'invitations:write': 'Enviar, reenviar y revocar invitaciones',
+  'credentials:review': 'Aprobar o rechazar las credenciales de los médicos',
+  'tenants:read': 'Consultar las clínicas (tenants) de la plataforma',
+  'tenants:write': 'Crear clínicas (tenants)',
+  'tokens:mint': 'Emitir custom tokens en nombre de otros usuarios',
+  'roles:read': 'Consultar el mapa de roles y permisos',
+  'roles:write': 'Modificar el mapa de roles y permisos',
+  'system:read': 'Consultar métricas internas del servicio'
+};
+
+// Comodín que otorga todos los permisos
+const ALL_PERMISSIONS = '*';
+
+// El rol administrador siempre tiene todos los permisos y no se puede modificar
+const SUPER_ROLE = 'admin';
+
+// Permisos por defecto cuando un rol no tiene configuración en Firestore
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: [ALL_PERMISSIONS],
+  doctor: ['patients:read'],
+  patient: []
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ROLE,
+  DEFAULT_ROLE_PERMISSIONS
+};
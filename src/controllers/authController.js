@@ -0,0 +1,655 @@
+const crypto = require('crypto');
+const { auth } = require('../config/firebase');
+const { SESSION_COOKIE, INTROSPECTION_CACHE, SIGN_UP, MAGIC_LINK } = require('../config/constants');
+const { verifyCredential, checkAccountStatus, CREDENTIAL_TYPES } = require('../utils/credentials');
+const TTLCache = require('../utils/cache');
+const { setSessionCookie, clearSessionCookie } = require('../utils/session');
+const { buildProfileClaims, filterAdditionalClaims } = require('../utils/tokenClaims');
+const UserModel = require('../models/userModel');
+const ActionTokenModel = require('../models/actionTokenModel');
+const { createAccount, findInvitation, acceptInvitation } = require('../utils/accountService');
+const { signInWithCustomToken } = require('../utils/identityToolkit');
+const { checkPassword, policyViolation } = require('../utils/passwordPolicy');
+const emailService = require('../utils/emailService');
+const bruteForce = require('../utils/bruteForce');
+const policy = require('../utils/policy');
+const { sendTooManyAttempts } = require('../middleware/bruteForce');
+const { getTenantId, scopedKey } = require('../utils/tenantContext');
+const logger = require('../utils/logger');
+
+// Resultados de introspección indexados por el hash SHA-256 del token
+const introspectionCache = new TTLCache(INTROSPECTION_CACHE);
+
+/**
+ * @openapi
+ * /api/auth/register:
+ *   post:
+ *     summary: Registro público de pacientes
+ *     description: >
+ *       Siempre crea cuentas con rol patient. La política de registro
+ *       (SIGN_UP_MODE) puede estar abierta, limitada a invitaciones o cerrada.
+ *       Si se exige verificar el correo, la cuenta queda en estado pending
+ *       hasta usar el enlace de verificación.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - displayName
+ *               - acceptTerms
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *               acceptTerms:
+ *                 type: boolean
+ *               inviteToken:
+ *                 type: string
+ *                 description: Requerido cuando el registro es solo por invitación
+ *     responses:
+ *       201:
+ *         description: Cuenta creada
+ *       400:
+ *         description: La contraseña no cumple la política (una entrada por regla incumplida)
+ *       403:
+ *         description: Registro cerrado o invitación inválida
+ *       409:
+ *         description: El correo ya está registrado
+ */
+const register = async (req, res) => {
+  try {
+    const { email, password, displayName, personalInfo = {}, preferences = {}, inviteToken } = req.body;
+
+    if (SIGN_UP.mode === 'closed') {
+      return res.status(403).json({
+        error: 'Registro cerrado',
+        details: 'El registro público no está disponible',
+        code: 'SIGN_UP_CLOSED'
+      });
+    }
+
+    const passwordCheck = await checkPassword(password, { role: 'patient', email, displayName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(policyViolation(passwordCheck));
+    }
+
+    const account = {
+      password,
+      displayName,
+      personalInfo,
+      preferences,
+      profile: {
+        signUpMethod: 'self',
+        terms: {
+          version: SIGN_UP.termsVersion,
+          acceptedAt: new Date(),
+          ip: req.ip
+        }
+      }
+    };
+
+    const invitationRequired = () => res.status(403).json({
+      error: 'Invitación requerida',
+      details: 'El registro requiere una invitación válida para este correo',
+      code: 'INVITATION_REQUIRED'
+    });
+
+    let created;
+    if (SIGN_UP.mode === 'invite') {
+      // El token solo se consume al crear la cuenta: un correo distinto no gasta el enlace
+      const invitation = inviteToken ? await findInvitation(inviteToken) : null;
+
+      if (!invitation || invitation.email !== email || invitation.role !== 'patient') {
+        return invitationRequired();
+      }
+
+      // La invitación ya demuestra que el correo es del paciente
+      try {
+        created = await acceptInvitation(inviteToken, invitation, account);
+      } catch (error) {
+        if (error.code === 'INVITATION_NOT_PENDING') {
+          return invitationRequired();
+        }
+        throw error;
+      }
+    } else {
+      const status = SIGN_UP.requireEmailVerification ? 'pending' : 'active';
+      created = await createAccount({ ...account, email, role: 'patient', status });
+    }
+
+    const { uid, profile: { status } } = created;
+
+    res.status(201).json({
+      message: status === 'pending'
+        ? 'Cuenta creada. Revisa tu correo para verificarla.'
+        : 'Cuenta creada correctamente',
+      uid,
+      status
+    });
+  } catch (error) {
+    if (error.code === 'auth/email-already-exists') {
+      return res.status(409).json({
+        error: 'Correo en uso',
+        details: 'Ya existe una cuenta con este correo electrónico',
+        code: 'EMAIL_IN_USE'
+      });
+    }
+
+    logger.error('Error en el registro:', error);
+    res.status(500).json({
+      error: 'Error al crear la cuenta',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/auth/session:
+ *   post:
+ *     summary: Intercambia un ID token de Firebase por una cookie de sesión
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sesión iniciada, la cookie httpOnly se envía en Set-Cookie
+ *       401:
+ *         description: Token inválido, expirado o inicio de sesión no reciente
+ */
+const createSession = async (req, res) => {
+  try {
+    const { idToken } = req.body;
+
+    let decodedToken;
+    try {
+      decodedToken = await auth.verifyIdToken(idToken);
+    } catch (authError) {
+      logger.warn('ID token rechazado al crear sesión:', { code: authError.code });
+      return res.status(401).json({
+        error: 'Token inválido',
+        details: 'El ID token no es válido o ha expirado',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Solo se crea la cookie si el usuario inició sesión hace poco
+    const authAge = Date.now() / 1000 - decodedToken.auth_time;
+    if (authAge > SESSION_COOKIE.maxAuthAge) {
+      return res.status(401).json({
+        error: 'Inicio de sesión reciente requerido',
+        details: 'Vuelve a iniciar sesión para crear una nueva sesión',
+        code: 'RECENT_SIGN_IN_REQUIRED'
+      });
+    }
+
+    const sessionCookie = await auth.createSessionCookie(idToken, {
+      expiresIn: SESSION_COOKIE.expiresIn
+    });
+
+    setSessionCookie(res, sessionCookie);
+    logger.info(`Sesión creada para el usuario ${decodedToken.uid}`);
+
+    res.status(200).json({
+      message: 'Sesión iniciada correctamente',
+      expiresIn: SESSION_COOKIE.expiresIn
+    });
+  } catch (error) {
+    logger.error('Error al crear la sesión:', error);
+    res.status(500).json({
+      error: 'Error al crear la sesión',
+      details: error.message
+    });
+  }
+};
+
+// El inicio de sesión con enlace está activado para el rol
+const isMagicLinkEnabled = (role) => MAGIC_LINK.enabledRoles.includes(role);
+
+/**
+ * @openapi
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Envía un enlace de un solo uso para iniciar sesión sin contraseña
+ *     description: >
+ *       Solo para roles con el inicio de sesión por enlace activado
+ *       (MAGIC_LINK_ROLES). La respuesta es la misma exista o no la cuenta.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Solicitud procesada
+ *       429:
+ *         description: Demasiadas solicitudes
+ */
+const requestMagicLink = async (req, res) => {
+  const genericResponse = {
+    message: 'Si existe una cuenta con ese correo, se envió un enlace para iniciar sesión'
+  };
+
+  try {
+    const { email } = req.body;
+
+    // No revelar si el correo está registrado ni si la cuenta puede usar el enlace
+    const userRecord = await auth.getUserByEmail(email).catch(() => null);
+    const user = userRecord && await UserModel.getUserById(userRecord.uid);
+    if (!user || !isMagicLinkEnabled(user.role)) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const status = await checkAccountStatus(user, { allowRestricted: true });
+    if (!status.ok) {
+      logger.warn(`Enlace de inicio de sesión no enviado a ${userRecord.uid}`, { code: status.code });
+      return res.status(200).json(genericResponse);
+    }
+
+    const { token } = await ActionTokenModel.issue(ActionTokenModel.PURPOSES.SIGN_IN, userRecord.uid);
+
+    try {
+      await emailService.sendMagicLinkEmail(
+        { email: userRecord.email, displayName: userRecord.displayName || 'Usuario' },
+        token
+      );
+    } catch (emailError) {
+      logger.error('Error enviando el enlace de inicio de sesión:', emailError);
+      return res.status(500).json({
+        error: 'Error al enviar el correo',
+        details: 'No se pudo enviar el enlace de inicio de sesión'
+      });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    logger.error('Error al solicitar el enlace de inicio de sesión:', error);
+    res.status(500).json({
+      error: 'Error al procesar la solicitud',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/auth/magic-link/redeem:
+ *   post:
+ *     summary: Canjea un enlace de inicio de sesión
+ *     description: >
+ *       Devuelve un custom token de Firebase para que el cliente complete el
+ *       inicio de sesión con signInWithCustomToken o, con mode=session, crea
+ *       directamente la cookie de sesión.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [custom_token, session]
+ *                 default: custom_token
+ *     responses:
+ *       200:
+ *         description: Custom token emitido o sesión iniciada
+ *       400:
+ *         description: Enlace inválido, ya usado o expirado
+ *       403:
+ *         description: La cuenta no puede iniciar sesión con enlace
+ *       423:
+ *         description: Cuenta bloqueada temporalmente
+ *       429:
+ *         description: Demasiados intentos fallidos desde esta IP
+ */
+const redeemMagicLink = async (req, res) => {
+  try {
+    const { token, mode = 'custom_token' } = req.body;
+
+    const consumed = await ActionTokenModel.consume(token, ActionTokenModel.PURPOSES.SIGN_IN);
+    if (!consumed) {
+      const { ipLockedUntil } = await bruteForce.recordFailure({ scope: 'magic-link', ip: req.ip });
+      if (ipLockedUntil) {
+        return sendTooManyAttempts(res, ipLockedUntil);
+      }
+      return res.status(400).json({
+        error: 'Token inválido',
+        details: 'El enlace de inicio de sesión no es válido, ya se usó o ha expirado',
+        code: 'INVALID_ACTION_TOKEN'
+      });
+    }
+
+    const uid = consumed.subject;
+    const user = await UserModel.getUserById(uid);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado',
+        details: `No se encontró un usuario con el ID: ${uid}`
+      });
+    }
+
+    // La cuenta pudo cambiar de rol o de estado después de enviar el enlace
+    if (!isMagicLinkEnabled(user.role)) {
+      return res.status(403).json({
+        error: 'Inicio de sesión con enlace desactivado',
+        details: 'Tu cuenta no puede iniciar sesión con un enlace',
+        code: 'MAGIC_LINK_DISABLED'
+      });
+    }
+
+    const status = await checkAccountStatus(user, { allowRestricted: true });
+    if (!status.ok) {
+      return res.status(status.httpStatus).json(status.body);
+    }
+
+    await bruteForce.recordSuccess(uid);
+
+    const customToken = await auth.createCustomToken(uid, buildProfileClaims(status.user));
+
+    if (mode === 'session') {
+      const { idToken } = await signInWithCustomToken(customToken);
+      const sessionCookie = await auth.createSessionCookie(idToken, {
+        expiresIn: SESSION_COOKIE.expiresIn
+      });
+      setSessionCookie(res, sessionCookie);
+
+      logger.info(`Sesión iniciada con enlace para el usuario ${uid}`);
+      return res.status(200).json({
+        message: 'Sesión iniciada correctamente',
+        expiresIn: SESSION_COOKIE.expiresIn
+      });
+    }
+
+    logger.info(`Custom token emitido con enlace para el usuario ${uid}`);
+    res.status(200).json({
+      customToken,
+      expiresIn: 3600
+    });
+  } catch (error) {
+    logger.error('Error al canjear el enlace de inicio de sesión:', error);
+    res.status(500).json({
+      error: 'Error al iniciar sesión',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cierra la sesión eliminando la cookie de sesión
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ */
+const logout = (req, res) => {
+  clearSessionCookie(res);
+  res.status(200).json({ message: 'Sesión cerrada correctamente' });
+};
+
+/**
+ * @openapi
+ * /api/auth/custom-token:
+ *   post:
+ *     summary: Emite un custom token de Firebase para un usuario existente
+ *     description: >
+ *       Pensado para kioscos y apps móviles que inician sesión en nombre de
+ *       usuarios conocidos. Los claims role, status y specialty se toman del
+ *       perfil; los claims adicionales deben estar en la lista permitida
+ *       (CUSTOM_TOKEN_CLAIM_ALLOWLIST). Un usuario con tokens:mint solo puede
+ *       emitir tokens para cuentas cuyo rol podría asignar.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - serviceKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - uid
+ *             properties:
+ *               uid:
+ *                 type: string
+ *               additionalClaims:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Custom token emitido (válido durante 1 hora)
+ *       400:
+ *         description: Se solicitaron claims no permitidos
+ *       403:
+ *         description: >
+ *           La cuenta del usuario no está activa o su rol concede permisos que
+ *           quien emite no tiene
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const createCustomToken = async (req, res) => {
+  try {
+    const { uid, additionalClaims = {} } = req.body;
+
+    const { allowed, rejected } = filterAdditionalClaims(additionalClaims);
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        error: 'Claims no permitidos',
+        details: `Los siguientes claims no están permitidos: ${rejected.join(', ')}`,
+        code: 'CLAIMS_NOT_ALLOWED'
+      });
+    }
+
+    const user = await UserModel.getUserById(uid);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado',
+        details: `No se encontró un usuario con el ID: ${uid}`
+      });
+    }
+
+    // Un token de otra cuenta da sus permisos: solo los servicios emiten sin límite
+    if (req.user && !(await policy.canAssignRole(req.user.role, user.role))) {
+      return res.status(403).json(policy.roleNotAssignable(user.role));
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        error: 'Cuenta inactiva',
+        details: 'No se pueden emitir tokens para cuentas inactivas o suspendidas',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    const claims = { ...allowed, ...buildProfileClaims(user) };
+    const customToken = await auth.createCustomToken(uid, claims);
+
+    logger.info(`Custom token emitido para ${uid}`, {
+      issuedBy: req.user ? req.user.id : `service:${req.service.name}`,
+      claims: Object.keys(claims)
+    });
+
+    res.status(200).json({
+      customToken,
+      claims,
+      expiresIn: 3600
+    });
+  } catch (error) {
+    logger.error('Error al emitir custom token:', error);
+    res.status(500).json({
+      error: 'Error al emitir el custom token',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Verifica una credencial probando el tipo indicado o, sin indicación,
+ * primero como ID token y luego como cookie de sesión
+ * @param {string} token - ID token o cookie de sesión
+ * @param {string} [hint] - Tipo de credencial sugerido
+ * @returns {Promise<Object>} Resultado de verifyCredential y tipo de credencial usado
+ */
+const verifyAnyCredential = async (token, hint) => {
+  const types = hint
+    ? [hint]
+    : [CREDENTIAL_TYPES.ID_TOKEN, CREDENTIAL_TYPES.SESSION_COOKIE];
+
+  let result;
+  for (const type of types) {
+    result = { ...(await verifyCredential(token, type)), type };
+    if (result.ok || !['INVALID_TOKEN', 'INVALID_SESSION'].includes(result.code)) {
+      break;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * @openapi
+ * /api/auth/introspect:
+ *   post:
+ *     summary: Introspección de un ID token o cookie de sesión (basado en RFC 7662)
+ *     description: >
+ *       Para uso exclusivo de microservicios internos autenticados con su
+ *       credencial de servicio. Aplica las mismas comprobaciones que
+ *       isAuthenticated (revocación, perfil y estado de la cuenta). Los
+ *       resultados se guardan brevemente en caché por hash del token.
+ *     tags: [Auth]
+ *     security:
+ *       - serviceKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [id_token, session_cookie]
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *     responses:
+ *       200:
+ *         description: Estado del token ({ active false } si no es válido)
+ *       401:
+ *         description: Credencial de servicio ausente o inválida
+ *       500:
+ *         description: No se pudo comprobar el token (no se guarda en caché; reintentar)
+ */
+const introspectToken = async (req, res) => {
+  try {
+    const { token, token_type_hint: hint } = req.body;
+    // El mismo token puede ser válido o no según el tenant de la solicitud
+    const cacheKey = scopedKey(crypto.createHash('sha256').update(token).digest('hex'));
+
+    // Las respuestas de introspección no deben guardarse en cachés intermedias
+    res.set('Cache-Control', 'no-store');
+
+    const cached = introspectionCache.get(cacheKey);
+    if (cached) {
+      return res.status(200).json(cached);
+    }
+
+    const result = await verifyAnyCredential(token, hint);
+
+    // Un fallo propio (p. ej. Firestore no responde) no dice nada del token: no se responde
+    // inactivo ni se guarda en caché para que el servidor de recursos pueda reintentar
+    if (!result.ok && result.httpStatus >= 500) {
+      logger.warn('Introspección no concluyente', {
+        service: req.service.name,
+        code: result.code
+      });
+      return res.status(result.httpStatus).json(result.body);
+    }
+
+    if (!result.ok) {
+      logger.info('Introspección de token inactivo', {
+        service: req.service.name,
+        code: result.code
+      });
+
+      const inactive = { active: false };
+      introspectionCache.set(cacheKey, inactive);
+      return res.status(200).json(inactive);
+    }
+
+    const { decodedToken, user, type } = result;
+    const response = {
+      active: true,
+      token_type: type,
+      sub: decodedToken.uid,
+      uid: decodedToken.uid,
+      email: user.email || decodedToken.email,
+      emailVerified: decodedToken.email_verified || false,
+      role: user.role,
+      status: user.status,
+      tenant: getTenantId(),
+      iat: decodedToken.iat,
+      exp: decodedToken.exp
+    };
+
+    // Nunca conservar en caché un resultado activo más allá de la expiración del token
+    const ttl = Math.min(INTROSPECTION_CACHE.ttl, decodedToken.exp * 1000 - Date.now());
+    introspectionCache.set(cacheKey, response, ttl);
+
+    res.status(200).json(response);
+  } catch (error) {
+    logger.error('Error en la introspección del token:', error);
+    res.status(500).json({
+      error: 'Error al verificar el token',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  register,
+  createSession,
+  logout,
+  requestMagicLink,
+  redeemMagicLink,
+  createCustomToken,
+  introspectToken
+};
@@ -0,0 +1,243 @@
+const { detectFormat, parseImportFile, importUsers: runImport } = require('../utils/userImport');
+const { parseColumns, exportPages } = require('../utils/userExport');
+const { formatCsvRow } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+// Errores de lectura del archivo que se responden con 400
+const FILE_ERRORS = ['INVALID_IMPORT_FILE', 'TOO_MANY_ROWS'];
+
+/**
+ * @openapi
+ * /api/users/import:
+ *   post:
+ *     summary: Importa usuarios desde un archivo CSV o NDJSON (requiere users:write)
+ *     description: >
+ *       Cada fila se valida con las mismas reglas que POST /api/users. Las
+ *       columnas admitidas son email, displayName, role, password, firstName,
+ *       lastName, phone, specialty y licenseNumber; en NDJSON también
+ *       personalInfo y professionalInfo anidados. Las filas sin contraseña
+ *       crean la cuenta sin credencial y, con sendEmails, el usuario recibe un
+ *       enlace para elegirla. Con dryRun solo se valida el archivo.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validar sin crear cuentas
+ *       - in: query
+ *         name: sendEmails
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Enviar los correos de bienvenida y verificación o el enlace para elegir contraseña
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         description: Formato del archivo (por defecto se deduce del Content-Type)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Resumen y resultado de cada fila (valid, created, invalid o failed)
+ *       400:
+ *         description: Archivo vacío, ilegible o con demasiadas filas
+ */
+const importUsers = async (req, res) => {
+  try {
+    const { dryRun = false, sendEmails = false } = req.query;
+    const format = req.query.format || detectFormat(req.get('Content-Type'));
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({
+        error: 'Archivo vacío',
+        details: 'Envía el archivo como text/csv o application/x-ndjson'
+      });
+    }
+
+    if (!format) {
+      return res.status(400).json({
+        error: 'Formato no reconocido',
+        details: 'Indica format=csv o format=ndjson'
+      });
+    }
+
+    const rows = parseImportFile(req.body, format);
+    const result = await runImport(rows, {
+      dryRun,
+      sendEmails,
+      createdBy: req.user.id,
+      assignerRole: req.user.role
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (FILE_ERRORS.includes(error.code)) {
+      return res.status(400).json({
+        error: 'Archivo de importación inválido',
+        details: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error al importar usuarios:', error);
+    res.status(500).json({
+      error: 'Error al importar usuarios',
+      details: error.message
+    });
+  }
+};
+
+// Cabeceras de la descarga según el formato
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * @openapi
+ * /api/users/export:
+ *   get:
+ *     summary: Exporta los usuarios en CSV o NDJSON (requiere users:export)
+ *     description: >
+ *       Acepta los mismos filtros que GET /api/users y devuelve todos los
+ *       usuarios que coinciden, sin paginar, como descarga en streaming. Cada
+ *       fila combina el perfil con los datos de Firebase Auth (creationTime,
+ *       lastSignInTime, disabled, emailVerified). Los campos sensibles no se
+ *       pueden exportar.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Columnas separadas por comas (por defecto id, email, displayName,
+ *           role, status, emailVerified, disabled, creationTime, lastSignInTime)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           default: active
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: createdAt
+ *     responses:
+ *       200:
+ *         description: Archivo con una fila por usuario
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Columnas u orden inválidos
+ */
+const exportUsers = async (req, res) => {
+  const { role, status = 'active', search, sort = 'createdAt', format = 'csv' } = req.query;
+  const filters = { role, status };
+  if (search) filters.search = search;
+
+  let pages;
+  let first;
+  let columns;
+  try {
+    columns = parseColumns(req.query.columns);
+    pages = exportPages(filters, { sort, columns });
+    // La primera página se lee antes de responder para poder devolver los errores como JSON
+    first = await pages.next();
+  } catch (error) {
+    if (['INVALID_COLUMNS', 'INVALID_SORT'].includes(error.code)) {
+      return res.status(400).json({
+        error: 'Exportación inválida',
+        details: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error al exportar usuarios:', error);
+    return res.status(500).json({
+      error: 'Error al exportar usuarios',
+      details: error.message
+    });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.set({
+    'Content-Type': EXPORT_CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="users-${date}.${format}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  // Respeta la contrapresión; si el cliente se desconecta 'close' libera la espera
+  const write = (chunk) => (res.write(chunk) ? null : new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  }));
+
+  let exported = 0;
+  try {
+    if (format === 'csv') {
+      // BOM para que Excel abra el archivo como UTF-8
+      await write(`\ufeff${formatCsvRow(columns)}`);
+    }
+
+    for (let page = first; !page.done && !res.destroyed; page = await pages.next()) {
+      const lines = page.value.map(row => (format === 'csv'
+        ? formatCsvRow(columns.map(column => row[column]))
+        : `${JSON.stringify(row)}\n`));
+      await write(lines.join(''));
+      exported += page.value.length;
+    }
+
+    res.end();
+    logger.info(`Usuarios exportados: ${exported}`, { exportedBy: req.user.id, format, filters, columns });
+  } catch (error) {
+    // Con la respuesta ya empezada solo queda cortarla para que el cliente vea el archivo incompleto
+    logger.error('Error al exportar usuarios a mitad de la descarga:', error);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  importUsers,
+  exportUsers
+};
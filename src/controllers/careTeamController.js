@@ -0,0 +1,157 @@
+const CareTeamModel = require('../models/careTeamModel');
+const UserModel = require('../models/userModel');
+const logger = require('../utils/logger');
+
+/**
+ * @openapi
+ * /api/care-team:
+ *   post:
+ *     summary: Asigna un paciente a un médico
+ *     tags: [CareTeam]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctorId
+ *               - patientId
+ *             properties:
+ *               doctorId:
+ *                 type: string
+ *               patientId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Vínculo creado
+ *       400:
+ *         description: El médico o el paciente no tienen el rol esperado
+ *       404:
+ *         description: Médico o paciente no encontrado
+ */
+const assignPatient = async (req, res) => {
+  try {
+    const { doctorId, patientId } = req.body;
+
+    const [doctor, patient] = await Promise.all([
+      UserModel.getUserById(doctorId),
+      UserModel.getUserById(patientId)
+    ]);
+
+    if (!doctor || !patient) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado',
+        details: !doctor
+          ? `No se encontró un médico con el ID: ${doctorId}`
+          : `No se encontró un paciente con el ID: ${patientId}`
+      });
+    }
+
+    if (doctor.role !== 'doctor' || patient.role !== 'patient') {
+      return res.status(400).json({
+        error: 'Vínculo inválido',
+        details: 'Solo se puede asignar un usuario con rol patient a un usuario con rol doctor'
+      });
+    }
+
+    const relationship = await CareTeamModel.assign(doctorId, patientId, req.user.id);
+    logger.info(`Paciente ${patientId} asignado al médico ${doctorId}`, { userId: req.user.id });
+
+    res.status(201).json({
+      message: 'Paciente asignado correctamente',
+      relationship
+    });
+  } catch (error) {
+    logger.error('Error al asignar paciente:', error);
+    res.status(500).json({
+      error: 'Error al asignar el paciente',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/care-team/{doctorId}/{patientId}:
+ *   delete:
+ *     summary: Elimina el vínculo entre un médico y un paciente
+ *     tags: [CareTeam]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Vínculo eliminado
+ *       404:
+ *         description: El vínculo no existe
+ */
+const unassignPatient = async (req, res) => {
+  try {
+    const { doctorId, patientId } = req.params;
+
+    const removed = await CareTeamModel.unassign(doctorId, patientId);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Vínculo no encontrado',
+        details: 'El paciente no está asignado a este médico'
+      });
+    }
+
+    logger.info(`Paciente ${patientId} desasignado del médico ${doctorId}`, { userId: req.user.id });
+
+    res.status(200).json({
+      message: 'Paciente desasignado correctamente'
+    });
+  } catch (error) {
+    logger.error('Error al desasignar paciente:', error);
+    res.status(500).json({
+      error: 'Error al desasignar el paciente',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/care-team:
+ *   get:
+ *     summary: Lista los vínculos médico-paciente
+ *     tags: [CareTeam]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista de vínculos
+ */
+const listRelationships = async (req, res) => {
+  try {
+    const { doctorId, patientId } = req.query;
+
+    const relationships = await CareTeamModel.find({ doctorId, patientId });
+    res.status(200).json(relationships);
+  } catch (error) {
+    logger.error('Error al listar vínculos:', error);
+    res.status(500).json({
+      error: 'Error al obtener los vínculos',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  assignPatient,
+  unassignPatient,
+  listRelationships
+};
@@ -0,0 +1,282 @@
+const UserModel = require('../models/userModel');
+const CredentialReviewModel = require('../models/credentialReviewModel');
+const { transition } = require('../utils/credentialReview');
+const logger = require('../utils/logger');
+
+/**
+ * Aplica una transición de revisión y responde con el resultado
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {Object} doctor - Perfil del médico
+ * @param {string} action - submit, approve o reject
+ * @param {Object} options - Datos de la transición
+ * @param {string} message - Mensaje de éxito
+ */
+const applyTransition = async (res, doctor, action, options, message) => {
+  try {
+    const updated = await transition(doctor, action, options);
+
+    res.status(200).json({
+      message,
+      userId: doctor.id,
+      status: updated.status,
+      credentialReview: updated.credentialReview
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_REVIEW_TRANSITION') {
+      return res.status(409).json({
+        error: 'Transición no permitida',
+        details: error.message,
+        code: error.code
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Obtiene el médico de la solicitud o responde 404
+ * @param {string} id - ID del usuario
+ * @param {Object} res - Objeto de respuesta de Express
+ * @returns {Promise<Object|null>} Perfil del médico o null si ya se respondió
+ */
+const findDoctor = async (id, res) => {
+  const doctor = await UserModel.getUserById(id);
+
+  if (!doctor || doctor.role !== 'doctor') {
+    res.status(404).json({
+      error: 'Médico no encontrado',
+      details: `No se encontró un médico con el ID: ${id}`
+    });
+    return null;
+  }
+
+  return doctor;
+};
+
+/**
+ * @openapi
+ * /api/users/{id}/credentials/approve:
+ *   post:
+ *     summary: Aprueba las credenciales de un médico y activa su cuenta
+ *     tags: [Credentials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Credenciales aprobadas
+ *       404:
+ *         description: Médico no encontrado
+ *       409:
+ *         description: La revisión no está pendiente
+ */
+const approveCredentials = async (req, res) => {
+  try {
+    const doctor = await findDoctor(req.params.id, res);
+    if (!doctor) return;
+
+    await applyTransition(res, doctor, 'approve', {
+      actorId: req.user.id,
+      notes: req.body.notes || null
+    }, 'Credenciales aprobadas; la cuenta del médico está activa');
+  } catch (error) {
+    logger.error('Error al aprobar credenciales:', error);
+    res.status(500).json({
+      error: 'Error al aprobar las credenciales',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/{id}/credentials/reject:
+ *   post:
+ *     summary: Rechaza las credenciales de un médico
+ *     tags: [Credentials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: Motivo del rechazo (se envía al médico)
+ *     responses:
+ *       200:
+ *         description: Credenciales rechazadas
+ *       404:
+ *         description: Médico no encontrado
+ *       409:
+ *         description: La revisión no está pendiente
+ */
+const rejectCredentials = async (req, res) => {
+  try {
+    const doctor = await findDoctor(req.params.id, res);
+    if (!doctor) return;
+
+    await applyTransition(res, doctor, 'reject', {
+      actorId: req.user.id,
+      notes: req.body.notes
+    }, 'Credenciales rechazadas');
+  } catch (error) {
+    logger.error('Error al rechazar credenciales:', error);
+    res.status(500).json({
+      error: 'Error al rechazar las credenciales',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/{id}/credentials/history:
+ *   get:
+ *     summary: Historial de revisión de credenciales de un médico
+ *     tags: [Credentials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Estado actual y transiciones registradas
+ *       404:
+ *         description: Médico no encontrado
+ */
+const getCredentialHistory = async (req, res) => {
+  try {
+    const doctor = await findDoctor(req.params.id, res);
+    if (!doctor) return;
+
+    const history = await CredentialReviewModel.listForDoctor(doctor.id);
+
+    res.status(200).json({
+      userId: doctor.id,
+      status: doctor.status,
+      credentialReview: doctor.credentialReview || null,
+      history
+    });
+  } catch (error) {
+    logger.error('Error al obtener el historial de credenciales:', error);
+    res.status(500).json({
+      error: 'Error al obtener el historial de credenciales',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/me/credentials:
+ *   get:
+ *     summary: Estado de la revisión de credenciales del médico actual
+ *     tags: [Credentials]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Estado de la revisión y notas del revisor
+ *       404:
+ *         description: El usuario actual no es médico
+ */
+const getMyCredentials = async (req, res) => {
+  try {
+    const doctor = await findDoctor(req.user.id, res);
+    if (!doctor) return;
+
+    res.status(200).json({
+      status: doctor.status,
+      professionalInfo: doctor.professionalInfo || null,
+      credentialReview: doctor.credentialReview || null
+    });
+  } catch (error) {
+    logger.error('Error al obtener el estado de las credenciales:', error);
+    res.status(500).json({
+      error: 'Error al obtener el estado de las credenciales',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/me/credentials:
+ *   post:
+ *     summary: Reenvía a revisión las credenciales rechazadas del médico actual
+ *     tags: [Credentials]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               professionalInfo:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Credenciales enviadas a revisión
+ *       409:
+ *         description: Las credenciales no están rechazadas
+ */
+const resubmitCredentials = async (req, res) => {
+  try {
+    const doctor = await findDoctor(req.user.id, res);
+    if (!doctor) return;
+
+    const { specialty, licenseNumber, education } = req.body.professionalInfo || {};
+    const professionalInfo = Object.fromEntries(
+      Object.entries({ specialty, licenseNumber, education }).filter(([, value]) => value !== undefined)
+    );
+
+    await applyTransition(res, doctor, 'submit', {
+      actorId: req.user.id,
+      professionalInfo
+    }, 'Credenciales enviadas a revisión');
+  } catch (error) {
+    logger.error('Error al reenviar credenciales:', error);
+    res.status(500).json({
+      error: 'Error al reenviar las credenciales',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  approveCredentials,
+  rejectCredentials,
+  getCredentialHistory,
+  getMyCredentials,
+  resubmitCredentials
+};
@@ -0,0 +1,243 @@
+const UserModel = require('../models/userModel');
+const DataExportModel = require('../models/dataExportModel');
+const { requestExport, toStatus } = require('../utils/dataExport');
+const logger = require('../utils/logger');
+
+// Ruta de descarga de una exportación según quién la consulta
+const downloadPath = (record, own) => (own
+  ? `/api/users/me/export/${record.id}/download`
+  : `/api/users/${record.uid}/export/${record.id}/download`);
+
+// Responde con el estado: 200 si está lista, 202 mientras se genera
+const sendStatus = (res, record, own, created) => {
+  const status = toStatus(record, downloadPath(record, own));
+  res.status(record.status === 'ready' ? 200 : 202).json({
+    message: record.status === 'ready'
+      ? 'Tu copia de datos está lista'
+      : 'Estamos preparando la copia de datos; te avisaremos por correo',
+    created,
+    export: status
+  });
+};
+
+// Envía el archivo de una exportación del usuario indicado
+const sendArchive = async (res, uid, exportId) => {
+  const record = await DataExportModel.getById(exportId);
+  if (!record || record.uid !== uid) {
+    return res.status(404).json({
+      error: 'Exportación no encontrada',
+      details: `No se encontró la exportación ${exportId}`
+    });
+  }
+
+  if (DataExportModel.toMillis(record.expiresAt) <= Date.now()) {
+    return res.status(410).json({
+      error: 'Exportación vencida',
+      details: 'La copia ya no está disponible; solicita una nueva',
+      code: 'EXPORT_EXPIRED'
+    });
+  }
+
+  if (record.status !== 'ready') {
+    return res.status(409).json({
+      error: 'Exportación no disponible',
+      details: record.status === 'failed'
+        ? 'No se pudo generar la copia; solicita una nueva'
+        : 'La copia todavía se está generando',
+      code: record.status === 'failed' ? 'EXPORT_FAILED' : 'EXPORT_NOT_READY'
+    });
+  }
+
+  const archive = await DataExportModel.getArchive(exportId);
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="user-data-${date}.json"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(archive);
+};
+
+/**
+ * @openapi
+ * /api/users/me/export:
+ *   get:
+ *     summary: Solicita una copia de todos los datos del usuario actual
+ *     description: >
+ *       La copia (un archivo JSON con el perfil, los datos de autenticación,
+ *       las preferencias, los consentimientos y la actividad registrada sobre
+ *       la cuenta) se genera en segundo plano y se avisa por correo cuando
+ *       está lista. Mientras haya una copia en curso o disponible se devuelve
+ *       esa en lugar de generar otra.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: La copia está lista; export.downloadUrl indica dónde descargarla
+ *       202:
+ *         description: La copia se está generando
+ */
+const requestMyExport = async (req, res) => {
+  try {
+    const { record, created } = await requestExport(
+      { id: req.user.id },
+      { id: req.user.id, email: req.user.email }
+    );
+
+    if (created) {
+      logger.info(`Exportación de datos solicitada: ${record.id}`, { uid: req.user.id });
+    }
+
+    sendStatus(res, record, true, created);
+  } catch (error) {
+    logger.error('Error al solicitar la exportación de datos:', error);
+    res.status(500).json({
+      error: 'Error al solicitar la exportación de datos',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/me/export/{exportId}/download:
+ *   get:
+ *     summary: Descarga una copia de datos del usuario actual
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archivo JSON
+ *       404:
+ *         description: Exportación no encontrada
+ *       409:
+ *         description: La copia todavía se está generando o falló
+ *       410:
+ *         description: La copia ya no está disponible
+ */
+const downloadMyExport = async (req, res) => {
+  try {
+    await sendArchive(res, req.user.id, req.params.exportId);
+  } catch (error) {
+    logger.error('Error al descargar la exportación de datos:', error);
+    res.status(500).json({
+      error: 'Error al descargar la exportación de datos',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/{id}/export:
+ *   post:
+ *     summary: Solicita una copia de todos los datos de un usuario (requiere users:export)
+ *     description: >
+ *       Genera la misma copia que GET /api/users/me/export. El aviso de que
+ *       está lista se envía a quien la solicita.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Ya hay una copia lista
+ *       202:
+ *         description: La copia se está generando
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const requestUserExport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await UserModel.getUserById(id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado',
+        details: `No se encontró un usuario con el ID: ${id}`
+      });
+    }
+
+    const { record, created } = await requestExport(user, { id: req.user.id, email: req.user.email });
+
+    if (created) {
+      logger.info(`Exportación de datos solicitada: ${record.id}`, { uid: id, requestedBy: req.user.id });
+    }
+
+    sendStatus(res, record, false, created);
+  } catch (error) {
+    logger.error('Error al solicitar la exportación de datos:', error);
+    res.status(500).json({
+      error: 'Error al solicitar la exportación de datos',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/{id}/export/{exportId}/download:
+ *   get:
+ *     summary: Descarga una copia de datos de un usuario (requiere users:export)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archivo JSON
+ *       404:
+ *         description: Exportación no encontrada
+ *       409:
+ *         description: La copia todavía se está generando o falló
+ *       410:
+ *         description: La copia ya no está disponible
+ */
+const downloadUserExport = async (req, res) => {
+  try {
+    await sendArchive(res, req.params.id, req.params.exportId);
+    logger.info(`Exportación de datos descargada: ${req.params.exportId}`, {
+      uid: req.params.id,
+      downloadedBy: req.user.id
+    });
+  } catch (error) {
+    logger.error('Error al descargar la exportación de datos:', error);
+    res.status(500).json({
+      error: 'Error al descargar la exportación de datos',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  requestMyExport,
+  downloadMyExport,
+  requestUserExport,
+  downloadUserExport
+};
@@ -0,0 +1,373 @@
+const { auth } = require('../config/firebase');
+const InvitationModel = require('../models/invitationModel');
+const ActionTokenModel = require('../models/actionTokenModel');
+const {
+  sendInvitation,
+  findInvitation,
+  acceptInvitation: createInvitedAccount
+} = require('../utils/accountService');
+const { checkPassword, policyViolation } = require('../utils/passwordPolicy');
+const bruteForce = require('../utils/bruteForce');
+const policy = require('../utils/policy');
+const { sendTooManyAttempts } = require('../middleware/bruteForce');
+const logger = require('../utils/logger');
+
+/**
+ * @openapi
+ * /api/invitations:
+ *   post:
+ *     summary: Invita a una persona a crear su cuenta con un rol
+ *     description: >
+ *       Envía un enlace de un solo uso con el que el invitado elige su
+ *       contraseña. Pensado para dar de alta médicos y administradores.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *               professionalInfo:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Invitación creada y enviada
+ *       403:
+ *         description: El rol concede permisos que quien invita no tiene
+ *       409:
+ *         description: El correo ya tiene una cuenta o una invitación pendiente
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const { email, role, professionalInfo } = req.body;
+
+    if (!(await policy.canAssignRole(req.user.role, role))) {
+      return res.status(403).json(policy.roleNotAssignable(role));
+    }
+
+    const existingUser = await auth.getUserByEmail(email).catch(() => null);
+    if (existingUser) {
+      return res.status(409).json({
+        error: 'Correo en uso',
+        details: 'Ya existe una cuenta con este correo electrónico',
+        code: 'EMAIL_IN_USE'
+      });
+    }
+
+    if (await InvitationModel.findPendingByEmail(email)) {
+      return res.status(409).json({
+        error: 'Invitación pendiente',
+        details: 'Ya existe una invitación pendiente para este correo; puedes reenviarla',
+        code: 'INVITATION_PENDING'
+      });
+    }
+
+    const invitation = await InvitationModel.create({
+      email,
+      role,
+      professionalInfo: role === 'doctor' ? professionalInfo || {} : null,
+      invitedBy: req.user.id
+    });
+
+    let emailSent = true;
+    try {
+      await sendInvitation(invitation);
+    } catch (emailError) {
+      emailSent = false;
+      logger.error('Error enviando la invitación:', emailError);
+    }
+
+    logger.info(`Invitación creada para ${email}`, { role, invitedBy: req.user.id });
+
+    res.status(201).json({
+      message: emailSent
+        ? 'Invitación enviada correctamente'
+        : 'Invitación creada, pero no se pudo enviar el correo; reenvíala más tarde',
+      invitation,
+      emailSent
+    });
+  } catch (error) {
+    logger.error('Error al crear la invitación:', error);
+    res.status(500).json({
+      error: 'Error al crear la invitación',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/invitations:
+ *   get:
+ *     summary: Lista las invitaciones
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, expired, revoked]
+ *     responses:
+ *       200:
+ *         description: Lista de invitaciones con su estado efectivo
+ */
+const listInvitations = async (req, res) => {
+  try {
+    const invitations = await InvitationModel.list({ status: req.query.status });
+
+    res.status(200).json({
+      invitations,
+      count: invitations.length
+    });
+  } catch (error) {
+    logger.error('Error al listar invitaciones:', error);
+    res.status(500).json({
+      error: 'Error al listar las invitaciones',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     summary: Reenvía una invitación pendiente o expirada
+ *     description: Invalida el enlace anterior y renueva la expiración.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitación reenviada
+ *       404:
+ *         description: Invitación no encontrada
+ *       409:
+ *         description: La invitación ya fue aceptada o revocada
+ */
+const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await InvitationModel.getById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitación no encontrada',
+        details: `No se encontró una invitación con el ID: ${req.params.id}`
+      });
+    }
+
+    if (!['pending', 'expired'].includes(invitation.status)) {
+      return res.status(409).json({
+        error: 'Invitación cerrada',
+        details: `No se puede reenviar una invitación en estado ${invitation.status}`,
+        code: 'INVITATION_CLOSED'
+      });
+    }
+
+    const expiresAt = await InvitationModel.renew(invitation.id);
+    await sendInvitation({ ...invitation, expiresAt });
+
+    logger.info(`Invitación reenviada: ${invitation.id}`, { resentBy: req.user.id });
+
+    res.status(200).json({
+      message: 'Invitación reenviada correctamente',
+      id: invitation.id,
+      expiresAt
+    });
+  } catch (error) {
+    logger.error('Error al reenviar la invitación:', error);
+    res.status(500).json({
+      error: 'Error al reenviar la invitación',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoca una invitación
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitación revocada
+ *       404:
+ *         description: Invitación no encontrada
+ *       409:
+ *         description: La invitación ya fue aceptada o revocada
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await InvitationModel.getById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitación no encontrada',
+        details: `No se encontró una invitación con el ID: ${req.params.id}`
+      });
+    }
+
+    if (!['pending', 'expired'].includes(invitation.status)) {
+      return res.status(409).json({
+        error: 'Invitación cerrada',
+        details: `No se puede revocar una invitación en estado ${invitation.status}`,
+        code: 'INVITATION_CLOSED'
+      });
+    }
+
+    await InvitationModel.revoke(invitation.id, req.user.id);
+    await ActionTokenModel.revokeAll(invitation.id, ActionTokenModel.PURPOSES.INVITE);
+
+    logger.info(`Invitación revocada: ${invitation.id}`, { revokedBy: req.user.id });
+
+    res.status(200).json({
+      message: 'Invitación revocada correctamente',
+      id: invitation.id
+    });
+  } catch (error) {
+    logger.error('Error al revocar la invitación:', error);
+    res.status(500).json({
+      error: 'Error al revocar la invitación',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/invitations/accept:
+ *   post:
+ *     summary: Acepta una invitación y crea la cuenta
+ *     description: >
+ *       El invitado elige su contraseña. El rol y los datos profesionales se
+ *       toman de la invitación y el correo queda verificado.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *               - displayName
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cuenta creada
+ *       400:
+ *         description: >
+ *           Invitación inválida, usada, revocada o expirada, o contraseña que
+ *           no cumple la política del rol de la invitación
+ *       409:
+ *         description: El correo ya tiene una cuenta
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, password, displayName, personalInfo = {}, preferences = {} } = req.body;
+
+    const invalidInvitation = () => res.status(400).json({
+      error: 'Invitación inválida',
+      details: 'La invitación no es válida, ya se usó, fue revocada o ha expirado',
+      code: 'INVALID_INVITATION'
+    });
+
+    // El token se consume al crear la cuenta, de modo que una contraseña
+    // rechazada o un correo en uso no gastan el enlace del invitado
+    const invitation = await findInvitation(token);
+    if (!invitation) {
+      const { ipLockedUntil } = await bruteForce.recordFailure({ scope: 'accept-invitation', ip: req.ip });
+      if (ipLockedUntil) {
+        return sendTooManyAttempts(res, ipLockedUntil);
+      }
+      return invalidInvitation();
+    }
+
+    // La política depende del rol de la invitación
+    const passwordCheck = await checkPassword(password, {
+      role: invitation.role,
+      email: invitation.email,
+      displayName
+    });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(policyViolation(passwordCheck));
+    }
+
+    let created;
+    try {
+      created = await createInvitedAccount(token, invitation, {
+        password,
+        displayName,
+        personalInfo,
+        preferences
+      });
+    } catch (error) {
+      if (error.code === 'INVITATION_NOT_PENDING') {
+        return invalidInvitation();
+      }
+      throw error;
+    }
+    const { uid, profile } = created;
+
+    res.status(201).json({
+      message: 'Cuenta creada correctamente. Ya puedes iniciar sesión.',
+      uid,
+      role: profile.role,
+      status: profile.status
+    });
+  } catch (error) {
+    if (error.code === 'auth/email-already-exists') {
+      return res.status(409).json({
+        error: 'Correo en uso',
+        details: 'Ya existe una cuenta con este correo electrónico',
+        code: 'EMAIL_IN_USE'
+      });
+    }
+
+    logger.error('Error al aceptar la invitación:', error);
+    res.status(500).json({
+      error: 'Error al aceptar la invitación',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation
+};
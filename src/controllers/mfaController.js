@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const { admin } = require('../config/firebase');
+const { MFA } = require('../config/constants');
+const UserModel = require('../models/userModel');
+const MfaSessionModel = require('../models/mfaSessionModel');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { revokeSessions } = require('../utils/session');
+const bruteForce = require('../utils/bruteForce');
+const { sendTooManyAttempts } = require('../middleware/bruteForce');
+const logger = require('../utils/logger');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Genera códigos de recuperación de un solo uso con formato xxxx-xxxx
+const generateRecoveryCodes = () => Array.from({ length: MFA.recoveryCodeCount }, () => {
+  const code = crypto.randomBytes(4).toString('hex');
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+// Marca la sesión actual como verificada con MFA
+const markSessionVerified = (req) => MfaSessionModel.markVerified(
+  req.user.id,
+  req.auth.decodedToken.auth_time,
+  MFA.stepUpTtl
+);
+
+/**
+ * Registra un código incorrecto y responde según el bloqueo resultante
+ * Quien tiene el primer factor no puede probar códigos sin límite: los fallos
+ * cuentan por IP y, si se indica uid, también por cuenta.
+ * @param {Object} req - Solicitud de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} failure - Datos del fallo
+ * @param {string} failure.scope - Operación (para el registro)
+ * @param {string} [failure.uid] - Cuenta a la que se suma el fallo
+ * @param {number} failure.status - Estado HTTP si no hay bloqueo
+ * @param {string} failure.details - Detalle del error si no hay bloqueo
+ */
+const rejectMfaCode = async (req, res, { scope, uid, status, details }) => {
+  const { ipLockedUntil, accountLockedUntil } = await bruteForce.recordFailure({ scope, ip: req.ip, uid });
+
+  if (accountLockedUntil) {
+    return res.status(423).json({
+      error: 'Cuenta bloqueada',
+      details: 'Tu cuenta está bloqueada temporalmente por demasiados intentos fallidos',
+      code: 'ACCOUNT_LOCKED',
+      lockedUntil: new Date(accountLockedUntil).toISOString()
+    });
+  }
+
+  if (ipLockedUntil) {
+    return sendTooManyAttempts(res, ipLockedUntil);
+  }
+
+  return res.status(status).json({
+    error: 'Código incorrecto',
+    details,
+    code: 'INVALID_MFA_CODE'
+  });
+};
+
+/**
+ * @openapi
+ * tags:
+ *   name: MFA
+ *   description: Autenticación multifactor con TOTP
+ */
+
+/**
+ * @openapi
+ * /api/auth/mfa/enroll:
+ *   post:
+ *     summary: Inicia la inscripción de TOTP y devuelve el secreto y la URI otpauth
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secreto y URI para la app autenticadora
+ *       409:
+ *         description: El usuario ya tiene MFA activo
+ */
+const startEnrollment = async (req, res) => {
+  try {
+    if (req.user.mfa && req.user.mfa.enabled) {
+      return res.status(409).json({
+        error: 'MFA ya activo',
+        details: 'Tu cuenta ya tiene un segundo factor configurado',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = generateSecret();
+    await UserModel.updateUser(req.user.id, { 'mfa.pendingSecret': encrypt(secret) });
+
+    res.status(200).json({
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: MFA.issuer
+      })
+    });
+  } catch (error) {
+    logger.error('Error al iniciar la inscripción MFA:', error);
+    res.status(500).json({
+      error: 'Error al iniciar la inscripción MFA',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/auth/mfa/enroll/confirm:
+ *   post:
+ *     summary: Confirma la inscripción con un primer código y entrega los códigos de recuperación
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA activado; los códigos de recuperación solo se muestran una vez
+ *       400:
+ *         description: Inscripción no iniciada o código incorrecto
+ *       429:
+ *         description: Demasiados intentos
+ */
+const confirmEnrollment = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const mfa = req.user.mfa || {};
+
+    if (mfa.enabled) {
+      return res.status(409).json({
+        error: 'MFA ya activo',
+        details: 'Tu cuenta ya tiene un segundo factor configurado',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    if (!mfa.pendingSecret) {
+      return res.status(400).json({
+        error: 'Inscripción no iniciada',
+        details: 'Primero debes iniciar la inscripción de MFA',
+        code: 'MFA_ENROLLMENT_NOT_STARTED'
+      });
+    }
+
+    const step = verifyCode(decrypt(mfa.pendingSecret), code);
+    if (step === null) {
+      // El secreto pendiente lo acaba de recibir quien inscribe; basta con contar por IP
+      return rejectMfaCode(req, res, {
+        scope: 'mfa-enroll',
+        status: 400,
+        details: 'El código de verificación no es válido'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await UserModel.updateUser(req.user.id, {
+      mfa: {
+        enabled: true,
+        secret: mfa.pendingSecret,
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        lastUsedStep: step,
+        enrolledAt: new Date()
+      }
+    });
+
+    const mfaVerifiedUntil = await markSessionVerified(req);
+    logger.info(`MFA activado para el usuario ${req.user.id}`);
+
+    res.status(200).json({
+      message: 'Autenticación multifactor activada correctamente',
+      recoveryCodes,
+      mfaVerifiedUntil
+    });
+  } catch (error) {
+    logger.error('Error al confirmar la inscripción MFA:', error);
+    res.status(500).json({
+      error: 'Error al confirmar la inscripción MFA',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Verificación step-up con un código TOTP o un código de recuperación
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sesión marcada como verificada con MFA
+ *       401:
+ *         description: Código incorrecto o ya utilizado
+ *       423:
+ *         description: Cuenta bloqueada por demasiados códigos incorrectos
+ *       429:
+ *         description: Demasiados intentos desde la IP
+ */
+const verifyStepUp = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const mfa = req.user.mfa || {};
+
+    if (!mfa.enabled) {
+      return res.status(400).json({
+        error: 'MFA no configurado',
+        details: 'Tu cuenta no tiene un segundo factor configurado',
+        code: 'MFA_NOT_ENROLLED'
+      });
+    }
+
+    let accepted;
+    if (code) {
+      const step = verifyCode(decrypt(mfa.secret), code);
+      // Un mismo código no puede usarse dos veces (se comprueba contra el perfil guardado)
+      accepted = step !== null && await UserModel.useMfaStep(req.user.id, step);
+    } else {
+      accepted = await UserModel.useMfaRecoveryCode(req.user.id, hashRecoveryCode(recoveryCode));
+      if (accepted) {
+        logger.warn(`Código de recuperación MFA utilizado por ${req.user.id}`);
+      }
+    }
+
+    if (!accepted) {
+      return rejectMfaCode(req, res, {
+        scope: 'mfa-verify',
+        uid: req.user.id,
+        status: 401,
+        details: 'El código de verificación no es válido o ya fue utilizado'
+      });
+    }
+
+    await bruteForce.recordSuccess(req.user.id);
+
+    const mfaVerifiedUntil = await markSessionVerified(req);
+
+    res.status(200).json({
+      message: 'Verificación completada',
+      mfaVerifiedUntil
+    });
+  } catch (error) {
+    logger.error('Error en la verificación MFA:', error);
+    res.status(500).json({
+      error: 'Error en la verificación MFA',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/{id}/mfa:
+ *   delete:
+ *     summary: Restablece el MFA de un usuario que perdió su dispositivo (administradores)
+ *     description: Elimina el secreto y los códigos de recuperación y cierra todas sus sesiones.
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: MFA restablecido
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const resetUserMfa = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await UserModel.getUserById(id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado',
+        details: `No se encontró un usuario con el ID: ${id}`
+      });
+    }
+
+    await UserModel.updateUser(id, { mfa: admin.firestore.FieldValue.delete() });
+    await MfaSessionModel.deleteForUser(id);
+    await revokeSessions(id, `mfa-reset:${req.user.id}`);
+
+    logger.info(`MFA restablecido para el usuario ${id}`, { userId: req.user.id });
+
+    res.status(200).json({
+      message: 'MFA restablecido correctamente',
+      userId: id
+    });
+  } catch (error) {
+    logger.error('Error al restablecer MFA:', error);
+    res.status(500).json({
+      error: 'Error al restablecer MFA',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifyStepUp,
+  resetUserMfa
+};
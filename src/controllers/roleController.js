@@ -0,0 +1,110 @@
+const policy = require('../utils/policy');
+const { PERMISSIONS } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * @openapi
+ * /api/roles:
+ *   get:
+ *     summary: Obtiene el mapa de roles y permisos vigente
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles con sus permisos y catálogo de permisos disponibles
+ */
+const getRoles = async (req, res) => {
+  try {
+    const roles = await policy.getRolePermissionMap();
+
+    res.status(200).json({
+      roles,
+      permissions: PERMISSIONS
+    });
+  } catch (error) {
+    logger.error('Error al obtener los roles:', error);
+    res.status(500).json({
+      error: 'Error al obtener los roles',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/roles/{role}:
+ *   put:
+ *     summary: Reemplaza los permisos de un rol (crea el rol si no existe)
+ *     description: >
+ *       Salvo admin, solo se pueden editar roles cuyos permisos ya se tienen y
+ *       conceder permisos propios. Los permisos de admin no se pueden modificar.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Permisos del rol actualizados
+ *       400:
+ *         description: Permisos desconocidos
+ *       403:
+ *         description: Rol no editable o permisos que quien edita no tiene
+ */
+const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    const updatedRole = await policy.setRolePermissions(role, permissions, req.user.id, req.user.role);
+
+    res.status(200).json({
+      message: 'Permisos del rol actualizados correctamente',
+      role: updatedRole
+    });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_PERMISSIONS') {
+      return res.status(400).json({
+        error: 'Permisos inválidos',
+        details: error.message,
+        code: error.code
+      });
+    }
+    if (['ROLE_NOT_EDITABLE', 'PERMISSIONS_NOT_GRANTABLE'].includes(error.code)) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        details: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error al actualizar los permisos del rol:', error);
+    res.status(500).json({
+      error: 'Error al actualizar los permisos del rol',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  updateRolePermissions
+};
@@ -0,0 +1,144 @@
+const { auth } = require('../config/firebase');
+const TenantModel = require('../models/tenantModel');
+const InvitationModel = require('../models/invitationModel');
+const { sendInvitation } = require('../utils/accountService');
+const { runWithTenant } = require('../utils/tenantContext');
+const { invalidateTenant } = require('../middleware/tenant');
+const logger = require('../utils/logger');
+
+/**
+ * Invita al primer administrador de una clínica recién creada
+ * La invitación se guarda en los datos del tenant
+ * @param {string} tenantId - ID del tenant
+ * @param {string} email - Correo del administrador
+ * @param {string} invitedBy - ID del administrador de la plataforma
+ * @returns {Promise<Object>} { invitation, emailSent }
+ */
+const inviteTenantAdmin = (tenantId, email, invitedBy) => runWithTenant(tenantId, async () => {
+  const invitation = await InvitationModel.create({ email, role: 'admin', invitedBy });
+
+  try {
+    await sendInvitation(invitation);
+    return { invitation, emailSent: true };
+  } catch (emailError) {
+    logger.error('Error enviando la invitación del administrador de la clínica:', emailError);
+    return { invitation, emailSent: false };
+  }
+});
+
+/**
+ * @openapi
+ * /api/tenants:
+ *   post:
+ *     summary: Crea una clínica (tenant de Firebase Auth)
+ *     description: >
+ *       Solo para la administración de la plataforma (solicitudes sin tenant).
+ *       Con adminEmail se invita al primer administrador de la clínica.
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - displayName
+ *               - slug
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Subdominio de la clínica
+ *               adminEmail:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Clínica creada
+ *       403:
+ *         description: La solicitud pertenece a una clínica
+ *       409:
+ *         description: El slug ya está en uso
+ */
+const createTenant = async (req, res) => {
+  try {
+    const { displayName, slug, adminEmail } = req.body;
+
+    if (await TenantModel.findBySlug(slug)) {
+      return res.status(409).json({
+        error: 'Slug en uso',
+        details: `Ya existe una clínica con el subdominio ${slug}`,
+        code: 'TENANT_SLUG_IN_USE'
+      });
+    }
+
+    const authTenant = await auth.tenantManager().createTenant({
+      displayName,
+      emailSignInConfig: { enabled: true, passwordRequired: true }
+    });
+
+    const tenant = await TenantModel.create(authTenant.tenantId, {
+      displayName,
+      slug,
+      createdBy: req.user.id
+    });
+    invalidateTenant(tenant);
+
+    logger.info(`Clínica creada: ${tenant.id}`, { slug, createdBy: req.user.id });
+
+    const response = {
+      message: 'Clínica creada correctamente',
+      tenant
+    };
+
+    if (adminEmail) {
+      Object.assign(response, await inviteTenantAdmin(tenant.id, adminEmail, req.user.id));
+    }
+
+    res.status(201).json(response);
+  } catch (error) {
+    logger.error('Error al crear la clínica:', error);
+    res.status(500).json({
+      error: 'Error al crear la clínica',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/tenants:
+ *   get:
+ *     summary: Lista las clínicas
+ *     tags: [Tenants]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de clínicas
+ *       403:
+ *         description: La solicitud pertenece a una clínica
+ */
+const listTenants = async (req, res) => {
+  try {
+    const tenants = await TenantModel.list();
+
+    res.status(200).json({
+      tenants,
+      count: tenants.length
+    });
+  } catch (error) {
+    logger.error('Error al listar las clínicas:', error);
+    res.status(500).json({
+      error: 'Error al listar las clínicas',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  createTenant,
+  listTenants
+};
@@ -1,14 +1,21 @@
-const { auth } = require('../config/firebase');
+const { auth, admin } = require('../config/firebase');
+const { SESSION_COOKIE, CREDENTIAL_REVIEW } = require('../config/constants');
 const emailService = require('../utils/emailService');
 const UserModel = require('../models/userModel');
+const ActionTokenModel = require('../models/actionTokenModel');
+const { createAccount } = require('../utils/accountService');
+const { softDeleteUser, restoreDeletedUser } = require('../utils/userLifecycle');
+const emailChange = require('../utils/emailChange');
 const logger = require('../utils/logger');
-const crypto = require('crypto');
+const policy = require('../utils/policy');
+const CareTeamModel = require('../models/careTeamModel');
+const { clearSessionCookie, setSessionCookie, revokeSessions } = require('../utils/session');
+const { verifyPassword, signInWithPassword } = require('../utils/identityToolkit');
+const { checkPassword, rememberPassword, policyViolation } = require('../utils/passwordPolicy');
+const bruteForce = require('../utils/bruteForce');
+const { sendTooManyAttempts } = require('../middleware/bruteForce');
 const { validationResult } = require('express-validator');
-
-// Helper function to generate email verification token
-const generateToken = () => {
-  return crypto.randomBytes(32).toString('hex');
-};
+const { initialReviewFields, recordSubmission } = require('../utils/credentialReview');
 
 /**
  * @openapi
@@ -47,104 +54,39 @@ const createUser = async (req, res) => {
       preferences = {}
     } = req.body;
     
-    // Validar rol
-    if (!['admin', 'doctor', 'patient'].includes(role)) {
+    // Validar rol contra el mapa de roles vigente
+    if (!(await policy.isKnownRole(role))) {
       return res.status(400).json({ 
         error: 'Rol inválido',
-        details: 'El rol debe ser admin, doctor o patient'
+        details: `El rol ${role} no existe`
       });
     }
+
+    if (!(await policy.canAssignRole(req.user.role, role))) {
+      return res.status(403).json(policy.roleNotAssignable(role));
+    }
+
+    const passwordCheck = await checkPassword(password, { role, email, displayName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(policyViolation(passwordCheck));
+    }
     
-    // Crear usuario en Firebase Auth
-    const userRecord = await auth.createUser({
+    const { uid, profile } = await createAccount({
       email,
       password,
-      displayName: personalInfo.firstName ? 
-        `${personalInfo.firstName} ${personalInfo.lastName || ''}`.trim() : 
-        displayName,
-      emailVerified: false,
-      disabled: false
-    });
-    
-    // Generar tokens de verificación
-    const emailVerificationToken = generateToken();
-    const emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
-    
-    // Preparar datos para Firestore (sin datos personales)
-    const userData = {
-      email,
-      role,
-      status: 'active',
-      emailVerified: false,
-      emailVerificationToken,
-      emailVerificationExpires,
-      lastLogin: null,
-      preferences: {
-        language: 'es', // Por defecto español
-        theme: 'light',
-        notifications: {
-          email: true,
-          sms: false,
-          push: true
-        },
-        ...preferences
-      }
-    };
-    
-    // Solo agregar información profesional si es doctor
-    if (role === 'doctor') {
-      userData.professionalInfo = {
-        specialty: professionalInfo.specialty || '',
-        licenseNumber: professionalInfo.licenseNumber || '',
-        education: professionalInfo.education || [],
-        schedule: professionalInfo.schedule || {}
-      };
-    }
-    
-    // Crear perfil en Firestore
-    const savedUser = await UserModel.createOrUpdateUser(userRecord.uid, userData);
-    
-    // Establecer claims personalizados
-    await auth.setCustomUserClaims(userRecord.uid, { 
+      displayName,
       role,
-      emailVerified: false
+      personalInfo,
+      professionalInfo,
+      preferences,
+      createdBy: req.user.id
     });
     
-    // Enviar correo de verificación
-    try {
-      await emailService.sendVerificationEmail(
-        userRecord.email, 
-        userRecord.uid,
-        emailVerificationToken
-      );
-    } catch (emailError) {
-      logger.error('Error enviando correo de verificación:', emailError);
-      // No fallar la operación si falla el envío de correo
-    }
-    
-    // Send welcome email and verification email
-    try {
-      await emailService.sendWelcomeEmail({
-        email: userRecord.email,
-        displayName: userRecord.displayName || 'User'
-      });
-      
-      await emailService.sendConfirmationEmail({
-        email: userRecord.email,
-        displayName: userRecord.displayName || 'User'
-      }, emailVerificationToken);
-    } catch (emailError) {
-      console.error('Error sending welcome/verification email:', emailError);
-      // Don't fail the request if email sending fails
-    }
-    
-    // Opcional: Guardar en Firestore si es necesario
-    // await db.collection('users').doc(userRecord.uid).set(userProfile);
-    
     res.status(201).json({ 
       message: `${role} user created successfully`,
-      uid: userRecord.uid,
-      role
+      uid,
+      role,
+      status: profile.status
     });
   } catch (error) {
     console.error('Error creating user:', error);
@@ -156,7 +98,11 @@ const createUser = async (req, res) => {
  * @openapi
  * /api/users:
  *   get:
- *     summary: Obtiene todos los usuarios (solo admin)
+ *     summary: Obtiene todos los usuarios (requiere users:read)
+ *     description: >
+ *       Devuelve una página de usuarios y el total que coincide con los
+ *       filtros. Para la página siguiente se repite la consulta con el mismo
+ *       orden y el nextCursor recibido.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -173,53 +119,109 @@ const createUser = async (req, res) => {
  *           type: string
  *           enum: [active, inactive, suspended]
  *         description: Filtrar por estado
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Inicio de una palabra o frase del nombre, del correo o de cualquier
+ *           parte del teléfono; no distingue mayúsculas ni tildes
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Tamaño de la página
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor de la página anterior
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, updatedAt, -updatedAt, email, -email, lastLogin, -lastLogin]
+ *           default: -createdAt
+ *         description: Campo de orden; con "-" el orden es descendente
  *     responses:
  *       200:
- *         description: Lista de usuarios
+ *         description: Página de usuarios
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/User'
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 total:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Cursor u orden no válidos
  */
 const getAllUsers = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ 
-        error: 'No autorizado',
-        details: 'Solo los administradores pueden listar usuarios'
-      });
-    }
-    
-    const { role, status = 'active', search } = req.query;
+    const { role, status = 'active', search, limit = 20, cursor, sort = '-createdAt' } = req.query;
     const filters = { role, status };
     if (search) filters.search = search;
     
-    const users = await UserModel.searchUsers(filters);
-    
-    const usersWithAuth = await Promise.all(
-      users.map(async (user) => {
-        try {
-          const authUser = await auth.getUser(user.id);
-          return {
-            ...user,
-            email: authUser.email || user.email,
-            emailVerified: authUser.emailVerified || user.emailVerified,
-            disabled: authUser.disabled,
-            metadata: {
-              creationTime: authUser.metadata.creationTime,
-              lastSignInTime: authUser.metadata.lastSignInTime
-            }
-          };
-        } catch (error) {
-          logger.error(`Error obteniendo datos de autenticación para usuario ${user.id}:`, error);
-          return user;
+    const [{ users, nextCursor }, total] = await Promise.all([
+      UserModel.searchUsers(filters, { limit, cursor, sort }),
+      UserModel.countUsers(filters)
+    ]);
+
+    // Datos de Firebase Auth de toda la página en una sola llamada
+    let authUsers = new Map();
+    if (users.length > 0) {
+      try {
+        const result = await auth.getUsers(users.map(user => ({ uid: user.id })));
+        authUsers = new Map(result.users.map(authUser => [authUser.uid, authUser]));
+      } catch (error) {
+        logger.error('Error obteniendo datos de autenticación de los usuarios:', error);
+      }
+    }
+
+    const usersWithAuth = users.map((user) => {
+      const authUser = authUsers.get(user.id);
+      if (!authUser) {
+        return user;
+      }
+
+      return {
+        ...user,
+        email: authUser.email || user.email,
+        emailVerified: authUser.emailVerified || user.emailVerified,
+        disabled: authUser.disabled,
+        metadata: {
+          creationTime: authUser.metadata.creationTime,
+          lastSignInTime: authUser.metadata.lastSignInTime
         }
-      })
-    );
-    res.json(usersWithAuth);
+      };
+    });
+
+    res.json({
+      users: usersWithAuth,
+      count: usersWithAuth.length,
+      total,
+      nextCursor,
+      sort
+    });
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR' || error.code === 'INVALID_SORT') {
+      return res.status(400).json({
+        error: 'Paginación inválida',
+        details: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Error obteniendo usuarios:', error);
     res.status(500).json({ 
       error: 'Error al obtener la lista de usuarios',
@@ -233,6 +235,9 @@ const getAllUsers = async (req, res) => {
  * /api/users/{id}:
  *   get:
  *     summary: Obtiene un usuario por ID
+ *     description: >
+ *       Disponible para el propio usuario, quien tenga el permiso users:read
+ *       y los médicos asignados al paciente (perfil restringido).
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -254,16 +259,6 @@ const getAllUsers = async (req, res) => {
 const getUserById = async (req, res) => {
   try {
     const { id } = req.params;
-    const isAdmin = req.user.role === 'admin';
-    const isSelf = req.user.id === id;
-    
-    // Solo el propio usuario o un administrador pueden ver el perfil
-    if (!isAdmin && !isSelf) {
-      return res.status(403).json({ 
-        error: 'No autorizado',
-        details: 'No tienes permiso para ver este perfil'
-      });
-    }
     
     const user = await UserModel.getUserById(id);
     
@@ -274,6 +269,11 @@ const getUserById = async (req, res) => {
       });
     }
     
+    // Los médicos del equipo de atención solo reciben la proyección restringida
+    if (req.accessScope === 'care-team') {
+      return res.json(UserModel.toCareTeamProjection(user));
+    }
+    
     // Obtener datos de autenticación
     try {
       const authUser = await auth.getUser(id);
@@ -287,14 +287,14 @@ const getUserById = async (req, res) => {
           creationTime: authUser.metadata.creationTime,
           lastSignInTime: authUser.metadata.lastSignInTime
         },
-        ...user
+        ...UserModel.toPublicProfile(user)
       };
       
       res.json(response);
     } catch (authError) {
       // Si falla la autenticación pero existe en Firestore, devolver solo esos datos
       if (authError.code === 'auth/user-not-found') {
-        res.json({ id, ...user });
+        res.json({ id, ...UserModel.toPublicProfile(user) });
       } else {
         throw authError;
       }
@@ -309,176 +309,425 @@ const getUserById = async (req, res) => {
   }
 };
 
+// Campos del perfil que additionalData no puede escribir en PUT /users/:id
+const PROTECTED_PROFILE_FIELDS = [
+  'id',
+  'email',
+  'pendingEmailChange',
+  'status',
+  'role',
+  'credentialReview',
+  'mfa',
+  'security',
+  'searchTokens',
+  'statusBeforeLock',
+  'lockedUntil',
+  'deletedAt',
+  'deletedBy',
+  'purgeAfter',
+  'statusBeforeDeletion',
+  'authDisabledBeforeDeletion',
+  'restoredAt',
+  'restoredBy'
+];
+
+/**
+ * @openapi
+ * /api/users/{id}:
+ *   put:
+ *     summary: Actualiza un usuario (solo administradores)
+ *     description: >
+ *       Suspender, desactivar o deshabilitar a un usuario revoca
+ *       automáticamente todas sus sesiones. Un correo nuevo no se aplica de
+ *       inmediato: se envía un enlace de confirmación a esa dirección.
+ *       additionalData no puede modificar el estado, el rol, la revisión de
+ *       credenciales, el MFA ni los datos de bloqueo o eliminación. Convertir
+ *       a un usuario en médico deja su cuenta pendiente de revisión.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado
+ *       403:
+ *         description: El rol nuevo o el actual concede permisos que quien actualiza no tiene
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: El correo nuevo ya pertenece a otra cuenta o el usuario está eliminado
+ */
 const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { email, displayName, additionalData, disabled } = req.body;
+    const { email, displayName, role, status, disabled, additionalData = {} } = req.body;
     
-    await auth.updateUser(id, {
-      email,
-      displayName,
-      disabled: disabled !== undefined ? disabled : false
-    });
+    const user = await UserModel.getUserById(id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado',
+        details: `No se encontró un usuario con el ID: ${id}`
+      });
+    }
     
-    const updateData = { 
-      email,
-      displayName,
-      updatedAt: db.FieldValue.serverTimestamp(),
-      ...additionalData
-    };
+    // Una cuenta eliminada solo vuelve a usarse a través de la restauración
+    if (user.status === 'deleted') {
+      return res.status(409).json({
+        error: 'Usuario eliminado',
+        details: 'Restaura la cuenta con POST /users/:id/restore antes de modificarla',
+        code: 'USER_DELETED'
+      });
+    }
+    
+    // Cambiar el rol exige poder asignar tanto el nuevo como el actual
+    if (role !== undefined && role !== user.role) {
+      for (const checked of [role, user.role]) {
+        if (!(await policy.canAssignRole(req.user.role, checked))) {
+          return res.status(403).json(policy.roleNotAssignable(checked));
+        }
+      }
+    }
+    
+    // Un médico no aprobado solo se activa a través de la revisión de credenciales
+    if (status !== undefined && CREDENTIAL_REVIEW.restrictedStatuses.includes(user.status)) {
+      return res.status(409).json({
+        error: 'Revisión de credenciales pendiente',
+        details: 'El estado de este médico cambia al aprobar o rechazar sus credenciales',
+        code: 'CREDENTIAL_REVIEW_REQUIRED'
+      });
+    }
+    
+    // El correo nuevo se aplica cuando su titular lo confirma
+    let pendingEmailChange = null;
+    if (email !== undefined && email !== user.email) {
+      try {
+        pendingEmailChange = await emailChange.requestEmailChange(user, email, req.user.id);
+      } catch (error) {
+        if (error.code === 'EMAIL_IN_USE') {
+          return res.status(409).json({
+            error: 'Correo en uso',
+            details: error.message,
+            code: error.code
+          });
+        }
+        throw error;
+      }
+    }
+    
+    // Actualizar en Firebase Auth solo los campos enviados
+    const authUpdates = {};
+    if (displayName !== undefined) authUpdates.displayName = displayName;
+    if (disabled !== undefined) authUpdates.disabled = disabled;
+    
+    if (Object.keys(authUpdates).length > 0) {
+      await auth.updateUser(id, authUpdates);
+    }
+    
+    // additionalData no puede saltarse la confirmación del correo, la revisión
+    // de credenciales ni los flujos de seguridad (también en rutas con punto)
+    const updateData = Object.fromEntries(Object.entries(additionalData).filter(([key]) =>
+      !PROTECTED_PROFILE_FIELDS.includes(key.split('.')[0])));
+    if (displayName !== undefined) updateData.displayName = displayName;
+    if (role !== undefined) updateData.role = role;
+    if (status !== undefined) updateData.status = status;
+    
+    // Un usuario que pasa a ser médico queda pendiente de revisión como un médico nuevo
+    const becomesDoctor = role === 'doctor' && user.role !== 'doctor';
+    if (becomesDoctor) {
+      Object.assign(updateData, initialReviewFields());
+    }
+    
+    const updatedUser = await UserModel.updateUser(id, updateData);
+    
+    if (becomesDoctor) {
+      await recordSubmission(updatedUser, req.user.id);
+    }
+    
+    // Mantener el rol sincronizado en los claims personalizados
+    if (role !== undefined && role !== user.role) {
+      const authUser = await auth.getUser(id);
+      await auth.setCustomUserClaims(id, { ...(authUser.customClaims || {}), role });
+    }
     
-    await db.collection('users').doc(id).update(updateData);
+    // Suspender, desactivar o deshabilitar al usuario cierra todas sus sesiones
+    const isBeingBlocked = disabled === true || (status !== undefined && status !== 'active');
+    if (isBeingBlocked) {
+      await revokeSessions(id, status ? `status:${status}` : 'disabled');
+    }
+    
+    logger.info(`Usuario actualizado: ${id}`, { userId: req.user.id });
     
-    res.json({ message: 'User updated successfully' });
+    res.json({
+      message: 'Usuario actualizado correctamente',
+      user: UserModel.toPublicProfile(updatedUser),
+      sessionsRevoked: isBeingBlocked,
+      pendingEmailChange
+    });
   } catch (error) {
-    console.error('Error updating user:', error);
-    res.status(400).json({ error: error.message });
+    logger.error('Error al actualizar usuario:', error);
+    res.status(400).json({
+      error: 'Error al actualizar el usuario',
+      details: error.message
+    });
   }
 };
 
+/**
+ * @openapi
+ * /api/users/me:
+ *   get:
+ *     summary: Obtiene el perfil del usuario actual
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Perfil del usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ */
 const getCurrentUser = async (req, res) => {
   try {
-    const userDoc = await db.collection('users').doc(req.user.uid).get();
+    const user = await UserModel.getUserById(req.user.id);
     
-    if (!userDoc.exists) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'Usuario no encontrado',
+        details: 'El perfil de usuario no existe en la base de datos'
+      });
     }
     
-    res.json({ id: userDoc.id, ...userDoc.data() });
+    res.json(UserModel.toPublicProfile(user));
   } catch (error) {
-    console.error('Error fetching profile:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Error al obtener el perfil:', error);
+    res.status(500).json({
+      error: 'Error al obtener el perfil',
+      details: error.message
+    });
   }
 };
 
-// Request password reset
+/**
+ * @openapi
+ * /api/auth/request-password-reset:
+ *   post:
+ *     summary: Envía un enlace para restablecer la contraseña
+ *     description: >
+ *       Responde lo mismo exista o no la cuenta. El enlace contiene un token de
+ *       un solo uso; emitir uno nuevo invalida los anteriores.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Solicitud procesada
+ */
 const requestPasswordReset = async (req, res) => {
+  const genericResponse = {
+    message: 'Si existe una cuenta con ese correo, se envió un enlace para restablecer la contraseña'
+  };
+
   try {
     const { email } = req.body;
     
-    // Check if user exists
+    // No revelar si el correo está registrado
     const user = await auth.getUserByEmail(email).catch(() => null);
     if (!user) {
-      // For security, don't reveal if the email exists or not
-      return res.status(200).json({ 
-        message: 'If an account with that email exists, a password reset link has been sent' 
-      });
+      return res.status(200).json(genericResponse);
     }
     
-    // Generate reset token
-    const resetToken = generateToken();
-    const resetTokenExpiry = Date.now() + 3600000; // 1 hour
+    const { token } = await ActionTokenModel.issue(ActionTokenModel.PURPOSES.RESET_PASSWORD, user.uid);
     
-    // Save reset token to user's document
-    await db.collection('users').doc(user.uid).update({
-      resetToken,
-      resetTokenExpiry
-    });
-    
-    // Send password reset email
     try {
       await emailService.sendPasswordResetEmail(
-        { email: user.email, displayName: user.displayName || 'User' },
-        resetToken
+        { email: user.email, displayName: user.displayName || 'Usuario' },
+        token
       );
     } catch (emailError) {
-      console.error('Error sending password reset email:', emailError);
-      return res.status(500).json({ error: 'Error sending password reset email' });
+      logger.error('Error enviando correo de restablecimiento:', emailError);
+      return res.status(500).json({
+        error: 'Error al enviar el correo',
+        details: 'No se pudo enviar el correo de restablecimiento de contraseña'
+      });
     }
     
-    res.status(200).json({ 
-      message: 'If an account with that email exists, a password reset link has been sent'
-    });
-    
+    res.status(200).json(genericResponse);
   } catch (error) {
-    console.error('Error in requestPasswordReset:', error);
-    res.status(500).json({ error: 'Error processing password reset request' });
+    logger.error('Error al solicitar el restablecimiento de contraseña:', error);
+    res.status(500).json({
+      error: 'Error al procesar la solicitud',
+      details: error.message
+    });
   }
 };
 
-// Reset password with token
+/**
+ * @openapi
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Restablece la contraseña con el token recibido por correo
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida; se cierran todas las sesiones
+ *       400:
+ *         description: >
+ *           Token inválido, ya usado o expirado, o contraseña que no cumple la
+ *           política (el token sigue siendo válido)
+ *       429:
+ *         description: Demasiados intentos fallidos desde esta IP
+ */
 const resetPassword = async (req, res) => {
   try {
     const { token, newPassword } = req.body;
-    
-    if (!token || !newPassword) {
-      return res.status(400).json({ error: 'Token and new password are required' });
+
+    // Comprobar la política antes de consumir el token, para que el enlace
+    // siga sirviendo si la contraseña se rechaza
+    const pending = await ActionTokenModel.peek(token, ActionTokenModel.PURPOSES.RESET_PASSWORD);
+    const profile = pending && await UserModel.getUserById(pending.subject);
+    if (profile) {
+      const passwordCheck = await checkPassword(newPassword, {
+        uid: profile.id,
+        role: profile.role,
+        email: profile.email,
+        displayName: profile.displayName
+      });
+      if (!passwordCheck.valid) {
+        return res.status(400).json(policyViolation(passwordCheck));
+      }
     }
     
-    // Find user with this reset token
-    const usersSnapshot = await db.collection('users')
-      .where('resetToken', '==', token)
-      .where('resetTokenExpiry', '>', Date.now())
-      .limit(1)
-      .get();
-    
-    if (usersSnapshot.empty) {
-      return res.status(400).json({ error: 'Invalid or expired token' });
+    const consumed = await ActionTokenModel.consume(token, ActionTokenModel.PURPOSES.RESET_PASSWORD);
+    if (!consumed) {
+      const { ipLockedUntil } = await bruteForce.recordFailure({ scope: 'reset-password', ip: req.ip });
+      if (ipLockedUntil) {
+        return sendTooManyAttempts(res, ipLockedUntil);
+      }
+      return res.status(400).json({
+        error: 'Token inválido',
+        details: 'El enlace no es válido, ya se usó o ha expirado',
+        code: 'INVALID_ACTION_TOKEN'
+      });
     }
     
-    const userDoc = usersSnapshot.docs[0];
-    const userData = userDoc.data();
-    
-    // Update password in Firebase Auth
-    await auth.updateUser(userData.uid, {
-      password: newPassword
-    });
+    const uid = consumed.subject;
+    const userRecord = await auth.updateUser(uid, { password: newPassword });
+    await rememberPassword(uid, newPassword, profile && profile.role);
     
-    // Clear the reset token
-    await userDoc.ref.update({
-      resetToken: null,
-      resetTokenExpiry: null
+    await bruteForce.recordSuccess(uid);
+    await UserModel.updateUser(uid, {
+      // Contador de versiones anteriores; los intentos se cuentan en bruteForce
+      'security.failedPasswordAttempts': admin.firestore.FieldValue.delete(),
+      'security.passwordChangedAt': admin.firestore.FieldValue.serverTimestamp()
     });
+    await revokeSessions(uid, 'password-reset');
     
-    res.status(200).json({ message: 'Password has been reset successfully' });
+    try {
+      await emailService.sendPasswordChangedEmail({
+        email: userRecord.email,
+        displayName: userRecord.displayName
+      });
+    } catch (emailError) {
+      logger.error('Error enviando correo de cambio de contraseña:', emailError);
+    }
     
+    res.status(200).json({
+      message: 'Contraseña restablecida correctamente. Inicia sesión con tu nueva contraseña.'
+    });
   } catch (error) {
-    console.error('Error in resetPassword:', error);
-    res.status(500).json({ error: 'Error resetting password' });
+    logger.error('Error al restablecer la contraseña:', error);
+    res.status(500).json({
+      error: 'Error al restablecer la contraseña',
+      details: error.message
+    });
   }
 };
 
-// Verify email with token
+/**
+ * @openapi
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Verifica el correo electrónico con el token recibido por correo
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Correo verificado
+ *       400:
+ *         description: Token inválido, ya usado o expirado
+ *       429:
+ *         description: Demasiados intentos fallidos desde esta IP
+ */
 const verifyEmail = async (req, res) => {
   try {
     const { token } = req.query;
     
-    if (!token) {
-      return res.status(400).json({ error: 'Verification token is required' });
-    }
-    
-    // Find user with this verification token
-    const usersSnapshot = await db.collection('users')
-      .where('emailVerificationToken', '==', token)
-      .where('emailVerificationExpires', '>', Date.now())
-      .limit(1)
-      .get();
-    
-    if (usersSnapshot.empty) {
-      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    const consumed = await ActionTokenModel.consume(token, ActionTokenModel.PURPOSES.VERIFY_EMAIL);
+    if (!consumed) {
+      const { ipLockedUntil } = await bruteForce.recordFailure({ scope: 'verify-email', ip: req.ip });
+      if (ipLockedUntil) {
+        return sendTooManyAttempts(res, ipLockedUntil);
+      }
+      return res.status(400).json({
+        error: 'Token inválido',
+        details: 'El enlace de verificación no es válido, ya se usó o ha expirado',
+        code: 'INVALID_ACTION_TOKEN'
+      });
     }
     
-    const userDoc = usersSnapshot.docs[0];
-    const userData = userDoc.data();
-    
-    // Mark email as verified in Firebase Auth
-    await auth.updateUser(userData.uid, {
-      emailVerified: true
-    });
-    
-    // Update user document
-    await userDoc.ref.update({
+    const uid = consumed.subject;
+    const authUser = await auth.updateUser(uid, { emailVerified: true });
+    await auth.setCustomUserClaims(uid, { ...(authUser.customClaims || {}), emailVerified: true });
+    // Las cuentas registradas se activan al verificar el correo
+    const user = await UserModel.getUserById(uid);
+    await UserModel.updateUser(uid, {
       emailVerified: true,
-      emailVerificationToken: null,
-      emailVerificationExpires: null
+      ...(user && user.status === 'pending' ? { status: 'active' } : {})
     });
     
-    // Redirect to success page or return success response
-    res.status(200).json({ message: 'Email verified successfully' });
-    
+    res.status(200).json({ message: 'Correo verificado correctamente' });
   } catch (error) {
-    console.error('Error in verifyEmail:', error);
-    res.status(500).json({ error: 'Error verifying email' });
+    logger.error('Error al verificar el correo:', error);
+    res.status(500).json({
+      error: 'Error al verificar el correo',
+      details: error.message
+    });
   }
 };
 
@@ -487,6 +736,10 @@ const verifyEmail = async (req, res) => {
  * /api/v1/users/{id}:
  *   delete:
  *     summary: Elimina un usuario (solo administradores)
+ *     description: >
+ *       La eliminación es reversible: la cuenta se deshabilita, se cierran sus
+ *       sesiones y el perfil queda con estado deleted. Se puede restaurar hasta
+ *       purgeAfter; después el job de purga la borra definitivamente.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -506,6 +759,8 @@ const verifyEmail = async (req, res) => {
  *         description: No tienes permiso para realizar esta acción
  *       404:
  *         description: Usuario no encontrado
+ *       409:
+ *         description: El usuario ya está eliminado
  *       500:
  *         description: Error del servidor
  */
@@ -522,20 +777,23 @@ const deleteUser = async (req, res) => {
       });
     }
     
-    // Eliminar el usuario de Firebase Auth
-    await auth.deleteUser(id);
-    
-    // Eliminar el documento de Firestore
-    await UserModel.deleteUser(id);
-    
-    logger.info(`Usuario eliminado: ${id}`, { userId: req.user.id });
+    const deleted = await softDeleteUser(user, req.user.id);
     
     res.status(200).json({
       message: 'Usuario eliminado correctamente',
-      userId: id
+      userId: id,
+      purgeAfter: deleted.purgeAfter
     });
     
   } catch (error) {
+    if (error.code === 'USER_ALREADY_DELETED') {
+      return res.status(409).json({
+        error: 'Usuario ya eliminado',
+        details: error.message,
+        code: error.code
+      });
+    }
+    
     logger.error('Error al eliminar usuario:', error);
     
     if (error.code === 'auth/user-not-found') {
@@ -552,11 +810,90 @@ const deleteUser = async (req, res) => {
   }
 };
 
-/**
+// Respuesta de cada error de restauración
+const RESTORE_ERROR_STATUS = {
+  USER_NOT_DELETED: 409,
+  RESTORE_WINDOW_EXPIRED: 410,
+  AUTH_ACCOUNT_MISSING: 410
+};
+
+/**
+ * @openapi
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restaura un usuario eliminado (requiere users:delete)
+ *     description: >
+ *       Devuelve al perfil el estado que tenía antes de eliminarlo y vuelve a
+ *       habilitar la cuenta si no estaba deshabilitada. Solo es posible hasta
+ *       purgeAfter (USER_DELETION_RETENTION_MS desde la eliminación). Las
+ *       sesiones cerradas al eliminar la cuenta no se recuperan.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario restaurado
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: El usuario no está eliminado
+ *       410:
+ *         description: El periodo de restauración terminó o la cuenta ya no existe en Firebase Auth
+ */
+const restoreUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await UserModel.getUserById(id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado',
+        details: `No se encontró un usuario con el ID: ${id}`
+      });
+    }
+
+    const restored = await restoreDeletedUser(user, req.user.id);
+
+    res.status(200).json({
+      message: 'Usuario restaurado correctamente',
+      user: UserModel.toPublicProfile(restored)
+    });
+  } catch (error) {
+    if (RESTORE_ERROR_STATUS[error.code]) {
+      return res.status(RESTORE_ERROR_STATUS[error.code]).json({
+        error: 'No se puede restaurar el usuario',
+        details: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error al restaurar el usuario:', error);
+    res.status(500).json({
+      error: 'Error al restaurar el usuario',
+      details: error.message
+    });
+  }
+};
+
+// Datos profesionales que el médico edita sin pasar por la revisión de credenciales
+const SELF_EDITABLE_PROFESSIONAL_FIELDS = ['education', 'schedule'];
+
+/**
  * @openapi
  * /api/users/me:
  *   put:
  *     summary: Actualiza el perfil del usuario actual
+ *     description: >
+ *       Solo se aceptan displayName, personalInfo, preferences y professionalInfo
+ *       (email únicamente si no cambia); cualquier otro campo, incluidas las
+ *       claves con punto, se rechaza con 400.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -573,20 +910,47 @@ const deleteUser = async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Campos no permitidos o inválidos
  */
 const updateProfile = async (req, res) => {
   try {
     const userId = req.user.id;
     const updates = req.body;
 
-    // Eliminar campos protegidos
-    const { id, email, emailVerified, ...safeUpdates } = updates;
+    // El correo solo cambia con confirmación (POST /users/me/email)
+    if (updates.email !== undefined && updates.email !== req.user.email) {
+      return res.status(400).json({
+        error: 'Cambio de correo no permitido',
+        details: 'Usa POST /api/users/me/email para cambiar el correo; el cambio requiere confirmación',
+        code: 'EMAIL_CHANGE_REQUIRES_CONFIRMATION'
+      });
+    }
+
+    // Solo se copian los campos editables: el rol, el estado, el MFA y los demás
+    // datos de seguridad solo cambian por sus flujos, tampoco con claves con punto
+    const safeUpdates = {};
+    ['displayName', 'personalInfo', 'preferences'].forEach((field) => {
+      if (updates[field] !== undefined) safeUpdates[field] = updates[field];
+    });
+
+    // La especialidad, la licencia y la revisión solo cambian a través de
+    // credentialReview.transition; del resto de datos profesionales solo se
+    // copian los editables (nunca claves que Firestore leería como rutas)
+    const { professionalInfo } = updates;
+    if (professionalInfo && typeof professionalInfo === 'object') {
+      SELF_EDITABLE_PROFESSIONAL_FIELDS.forEach((field) => {
+        if (professionalInfo[field] !== undefined) {
+          safeUpdates[`professionalInfo.${field}`] = professionalInfo[field];
+        }
+      });
+    }
 
     const updatedUser = await UserModel.updateUser(userId, safeUpdates);
     
     res.status(200).json({
       message: 'Perfil actualizado exitosamente',
-      user: updatedUser
+      user: UserModel.toPublicProfile(updatedUser)
     });
   } catch (error) {
     logger.error('Error al actualizar perfil:', error);
@@ -597,11 +961,79 @@ const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Verifica la contraseña actual del usuario autenticado contra Identity Toolkit
+ * Los fallos cuentan para el bloqueo por fuerza bruta de la cuenta y de la IP.
+ * Si la contraseña no es válida la respuesta de error ya se envió.
+ * @param {Object} req - Objeto de solicitud de Express (con req.user)
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {string} currentPassword - Contraseña a comprobar
+ * @param {string} scope - Operación (para el registro de intentos fallidos)
+ * @returns {Promise<boolean>} true si la contraseña es correcta
+ */
+const checkCurrentPassword = async (req, res, currentPassword, scope) => {
+  const user = req.user;
+
+  let isCurrentPasswordValid;
+  try {
+    isCurrentPasswordValid = await verifyPassword(user.email, currentPassword);
+  } catch (error) {
+    if (error.code === 'TOO_MANY_ATTEMPTS_TRY_LATER') {
+      res.status(429).json({
+        error: 'Demasiados intentos',
+        details: 'La cuenta está bloqueada temporalmente por demasiados intentos fallidos',
+        code: 'TOO_MANY_ATTEMPTS'
+      });
+      return false;
+    }
+    throw error;
+  }
+
+  if (isCurrentPasswordValid) {
+    return true;
+  }
+
+  // Los intentos fallidos solo se cuentan en el registro de bruteForce
+  logger.warn(`Contraseña actual incorrecta (${scope}): ${user.id}`);
+
+  const { ipLockedUntil, accountLockedUntil } = await bruteForce.recordFailure({
+    scope,
+    ip: req.ip,
+    uid: user.id
+  });
+
+  if (accountLockedUntil) {
+    res.status(423).json({
+      error: 'Cuenta bloqueada',
+      details: 'Tu cuenta está bloqueada temporalmente por demasiados intentos fallidos',
+      code: 'ACCOUNT_LOCKED',
+      lockedUntil: new Date(accountLockedUntil).toISOString()
+    });
+    return false;
+  }
+
+  if (ipLockedUntil) {
+    sendTooManyAttempts(res, ipLockedUntil);
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Error de autenticación',
+    details: 'La contraseña actual es incorrecta',
+    code: 'INVALID_CURRENT_PASSWORD'
+  });
+  return false;
+};
+
 /**
  * @openapi
  * /api/users/me/change-password:
  *   post:
  *     summary: Cambia la contraseña del usuario actual
+ *     description: >
+ *       Verifica la contraseña actual con Identity Toolkit, revoca las demás
+ *       sesiones y renueva la credencial del dispositivo actual (cookie de
+ *       sesión o customToken para signInWithCustomToken).
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -617,52 +1049,498 @@ const updateProfile = async (req, res) => {
  *             properties:
  *               currentPassword:
  *                 type: string
- *                 minLength: 8
  *               newPassword:
  *                 type: string
- *                 minLength: 8
+ *                 description: Debe cumplir la política del rol y no coincidir con las últimas contraseñas
  *     responses:
  *       200:
  *         description: Contraseña actualizada exitosamente
  *       400:
- *         description: Contraseña actual incorrecta o nueva contraseña inválida
+ *         description: Contraseña actual incorrecta o nueva contraseña que no cumple la política
+ *       429:
+ *         description: Demasiados intentos fallidos
  */
 const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     const user = req.user;
 
-    // Verificar la contraseña actual
-    try {
-      await auth.getUserByEmail(user.email);
-      // Si llegamos aquí, el usuario existe, pero necesitamos verificar la contraseña
-      // Nota: Firebase Admin SDK no tiene un método directo para verificar contraseñas
-      // Esta es una limitación que requiere una solución alternativa
-      // Por ahora, asumimos que la autenticación se maneja en el frontend
-    } catch (error) {
+    if (!(await checkCurrentPassword(req, res, currentPassword, 'change-password'))) {
+      return;
+    }
+
+    if (currentPassword === newPassword) {
       return res.status(400).json({
-        error: 'Error de autenticación',
-        details: 'La contraseña actual es incorrecta'
+        error: 'Contraseña inválida',
+        details: 'La nueva contraseña debe ser distinta de la actual',
+        code: 'SAME_PASSWORD'
       });
     }
 
+    const passwordCheck = await checkPassword(newPassword, {
+      uid: user.id,
+      role: user.role,
+      email: user.email,
+      displayName: user.displayName
+    });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(policyViolation(passwordCheck));
+    }
+
     // Actualizar la contraseña
     await auth.updateUser(user.id, {
       password: newPassword
     });
+    await rememberPassword(user.id, newPassword, user.role);
+
+    await bruteForce.recordSuccess(user.id);
+    await UserModel.updateUser(user.id, {
+      'security.failedPasswordAttempts': admin.firestore.FieldValue.delete(),
+      'security.passwordChangedAt': admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Cerrar las demás sesiones del usuario
+    await revokeSessions(user.id, 'password-change');
+
+    // Mantener la sesión del dispositivo actual con una credencial nueva
+    const response = {
+      message: 'Contraseña actualizada exitosamente',
+      sessionsRevoked: true
+    };
+    try {
+      if (req.auth.method === 'session') {
+        const { idToken } = await signInWithPassword(user.email, newPassword);
+        const sessionCookie = await auth.createSessionCookie(idToken, {
+          expiresIn: SESSION_COOKIE.expiresIn
+        });
+        setSessionCookie(res, sessionCookie);
+      } else {
+        response.customToken = await auth.createCustomToken(user.id);
+      }
+    } catch (error) {
+      logger.error('No se pudo renovar la sesión tras el cambio de contraseña:', error);
+    }
 
     // Enviar correo de confirmación
-    await emailService.sendPasswordChangedEmail(user.email, {
-      name: user.displayName || user.email
+    try {
+      await emailService.sendPasswordChangedEmail({
+        email: user.email,
+        displayName: user.displayName
+      });
+    } catch (emailError) {
+      logger.error('Error enviando correo de cambio de contraseña:', emailError);
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    logger.error('Error al cambiar la contraseña:', error);
+    res.status(500).json({
+      error: 'Error al cambiar la contraseña',
+      details: error.message
     });
+  }
+};
+
+// Respuesta HTTP de cada error del flujo de cambio de correo
+const EMAIL_CHANGE_ERROR_STATUS = {
+  EMAIL_UNCHANGED: 400,
+  EMAIL_IN_USE: 409,
+  EMAIL_CHANGE_STALE: 409
+};
+
+/**
+ * @openapi
+ * /api/users/me/email:
+ *   post:
+ *     summary: Solicita el cambio de correo del usuario actual
+ *     description: >
+ *       Envía un enlace de confirmación al correo nuevo y un aviso con un
+ *       enlace de reversión al correo actual. El correo no cambia hasta que se
+ *       confirma. Requiere la contraseña actual o un inicio de sesión reciente.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *               currentPassword:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Enlace de confirmación enviado
+ *       400:
+ *         description: Contraseña incorrecta o correo igual al actual
+ *       401:
+ *         description: Se requiere un inicio de sesión reciente
+ *       409:
+ *         description: El correo ya pertenece a otra cuenta
+ */
+const requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, currentPassword } = req.body;
+
+    if (currentPassword !== undefined) {
+      if (!(await checkCurrentPassword(req, res, currentPassword, 'email-change'))) {
+        return;
+      }
+    } else {
+      // Sin contraseña (por ejemplo cuentas que entran con enlace) vale un inicio de sesión reciente
+      const authAge = Date.now() / 1000 - req.auth.decodedToken.auth_time;
+      if (authAge > SESSION_COOKIE.maxAuthAge) {
+        return res.status(401).json({
+          error: 'Inicio de sesión reciente requerido',
+          details: 'Indica tu contraseña actual o vuelve a iniciar sesión para cambiar el correo',
+          code: 'RECENT_SIGN_IN_REQUIRED'
+        });
+      }
+    }
+
+    const pendingEmailChange = await emailChange.requestEmailChange(req.user, newEmail, req.user.id);
+
+    res.status(202).json({
+      message: 'Te enviamos un enlace a tu nuevo correo para confirmar el cambio',
+      pendingEmailChange
+    });
+  } catch (error) {
+    if (EMAIL_CHANGE_ERROR_STATUS[error.code]) {
+      return res.status(EMAIL_CHANGE_ERROR_STATUS[error.code]).json({
+        error: 'No se puede cambiar el correo',
+        details: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error al solicitar el cambio de correo:', error);
+    res.status(500).json({
+      error: 'Error al solicitar el cambio de correo',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/auth/confirm-email-change:
+ *   post:
+ *     summary: Confirma el cambio de correo con el token enviado al correo nuevo
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Correo cambiado y verificado
+ *       400:
+ *         description: Token inválido, ya usado o expirado
+ *       409:
+ *         description: El correo de la cuenta cambió o el nuevo ya está en uso
+ *       429:
+ *         description: Demasiados intentos fallidos desde esta IP
+ */
+const confirmEmailChange = async (req, res) => {
+  try {
+    const result = await emailChange.confirmEmailChange(req.body.token);
+    if (!result) {
+      const { ipLockedUntil } = await bruteForce.recordFailure({ scope: 'confirm-email-change', ip: req.ip });
+      if (ipLockedUntil) {
+        return sendTooManyAttempts(res, ipLockedUntil);
+      }
+      return res.status(400).json({
+        error: 'Token inválido',
+        details: 'El enlace de confirmación no es válido, ya se usó o ha expirado',
+        code: 'INVALID_ACTION_TOKEN'
+      });
+    }
 
     res.status(200).json({
-      message: 'Contraseña actualizada exitosamente'
+      message: 'Correo actualizado correctamente',
+      email: result.email
     });
   } catch (error) {
-    logger.error('Error al cambiar la contraseña:', error);
+    if (EMAIL_CHANGE_ERROR_STATUS[error.code]) {
+      return res.status(EMAIL_CHANGE_ERROR_STATUS[error.code]).json({
+        error: 'No se puede cambiar el correo',
+        details: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error al confirmar el cambio de correo:', error);
     res.status(500).json({
-      error: 'Error al cambiar la contraseña',
+      error: 'Error al confirmar el cambio de correo',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/auth/revert-email-change:
+ *   post:
+ *     summary: Revierte un cambio de correo con el token enviado al correo anterior
+ *     description: >
+ *       Cancela el cambio si aún no se confirmó. Si ya se confirmó, restaura
+ *       el correo anterior y cierra todas las sesiones de la cuenta.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cambio cancelado o revertido
+ *       400:
+ *         description: Token inválido, ya usado o expirado
+ *       409:
+ *         description: El correo anterior ya pertenece a otra cuenta
+ *       429:
+ *         description: Demasiados intentos fallidos desde esta IP
+ */
+const revertEmailChange = async (req, res) => {
+  try {
+    const result = await emailChange.revertEmailChange(req.body.token);
+    if (!result) {
+      const { ipLockedUntil } = await bruteForce.recordFailure({ scope: 'revert-email-change', ip: req.ip });
+      if (ipLockedUntil) {
+        return sendTooManyAttempts(res, ipLockedUntil);
+      }
+      return res.status(400).json({
+        error: 'Token inválido',
+        details: 'El enlace de reversión no es válido, ya se usó o ha expirado',
+        code: 'INVALID_ACTION_TOKEN'
+      });
+    }
+
+    res.status(200).json({
+      message: result.restored
+        ? 'Restauramos tu correo anterior y cerramos todas las sesiones. Te recomendamos cambiar tu contraseña.'
+        : 'Cancelamos el cambio de correo',
+      email: result.email,
+      restored: result.restored
+    });
+  } catch (error) {
+    if (EMAIL_CHANGE_ERROR_STATUS[error.code]) {
+      return res.status(EMAIL_CHANGE_ERROR_STATUS[error.code]).json({
+        error: 'No se puede revertir el cambio de correo',
+        details: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error al revertir el cambio de correo:', error);
+    res.status(500).json({
+      error: 'Error al revertir el cambio de correo',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/me/revoke-sessions:
+ *   post:
+ *     summary: Cierra todas las sesiones del usuario actual en todos los dispositivos
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones revocadas
+ */
+const revokeMySessions = async (req, res) => {
+  try {
+    await revokeSessions(req.user.id, 'self');
+    clearSessionCookie(res);
+    
+    res.status(200).json({
+      message: 'Se cerraron todas tus sesiones. Inicia sesión nuevamente.'
+    });
+  } catch (error) {
+    logger.error('Error al revocar sesiones propias:', error);
+    res.status(500).json({
+      error: 'Error al cerrar las sesiones',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/{id}/revoke-sessions:
+ *   post:
+ *     summary: Cierra todas las sesiones de un usuario (solo administradores)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Sesiones revocadas
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const revokeUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    await revokeSessions(id, `admin:${req.user.id}`);
+    
+    res.status(200).json({
+      message: 'Sesiones del usuario revocadas correctamente',
+      userId: id
+    });
+  } catch (error) {
+    logger.error('Error al revocar sesiones del usuario:', error);
+    
+    if (error.code === 'auth/user-not-found') {
+      return res.status(404).json({
+        error: 'Usuario no encontrado',
+        details: 'El usuario especificado no existe en el sistema de autenticación'
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Error al revocar las sesiones',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Desbloquea una cuenta bloqueada por intentos fallidos
+ *     description: Restaura el estado anterior al bloqueo y reinicia el contador de intentos.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Cuenta desbloqueada
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: La cuenta no está bloqueada
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await UserModel.getUserById(id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado',
+        details: `No se encontró un usuario con el ID: ${id}`
+      });
+    }
+
+    const unlocked = await bruteForce.unlockAccount(id);
+    if (!unlocked) {
+      return res.status(409).json({
+        error: 'Cuenta no bloqueada',
+        details: 'La cuenta no tiene un bloqueo activo',
+        code: 'ACCOUNT_NOT_LOCKED'
+      });
+    }
+
+    logger.info(`Cuenta desbloqueada: ${id}`, { unlockedBy: req.user.id });
+
+    res.status(200).json({
+      message: 'Cuenta desbloqueada correctamente',
+      userId: id,
+      status: unlocked.status
+    });
+  } catch (error) {
+    logger.error('Error al desbloquear la cuenta:', error);
+    res.status(500).json({
+      error: 'Error al desbloquear la cuenta',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/admin/profile-cache:
+ *   get:
+ *     summary: Estadísticas de la caché de perfiles (solo administradores)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Aciertos, fallos, desalojos y tamaño de la caché
+ */
+const getProfileCacheStats = (req, res) => {
+  res.status(200).json(UserModel.getCacheStats());
+};
+
+/**
+ * @openapi
+ * /api/users/me/patients:
+ *   get:
+ *     summary: Lista los pacientes asignados al médico actual
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Perfiles restringidos de los pacientes asignados
+ */
+const getMyPatients = async (req, res) => {
+  try {
+    const relationships = await CareTeamModel.find({ doctorId: req.user.id });
+    
+    const patients = await Promise.all(
+      relationships.map(relationship => UserModel.getUserById(relationship.patientId))
+    );
+    
+    res.status(200).json(
+      patients
+        .filter(Boolean)
+        .map(patient => UserModel.toCareTeamProjection(patient))
+    );
+  } catch (error) {
+    logger.error('Error al obtener pacientes asignados:', error);
+    res.status(500).json({
+      error: 'Error al obtener los pacientes',
       details: error.message
     });
   }
@@ -674,10 +1552,19 @@ module.exports = {
   getUserById,
   updateUser,
   deleteUser,
+  restoreUser,
   getCurrentUser,
   requestPasswordReset,
   resetPassword,
   verifyEmail,
   updateProfile,
-  changePassword
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+  revokeMySessions,
+  revokeUserSessions,
+  unlockUser,
+  getProfileCacheStats,
+  getMyPatients
 };
@@ -1,15 +1,25 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const pino = require('pino');
+const { TRUST_PROXY, ACTION_TOKENS, MULTI_TENANCY, USER_DELETION, DATA_EXPORT } = require('./config/constants');
+const logger = require('./utils/logger');
 
 // Initialize Express app
 const app = express();
 const port = process.env.PORT || 3000;
 
+// IP real del cliente detrás de proxies (usada por la protección contra fuerza bruta)
+app.set('trust proxy', TRUST_PROXY);
+
 // Import routes
 const userRoutes = require('./routes/userRoutes');
+const careTeamRoutes = require('./routes/careTeamRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const tenantRoutes = require('./routes/tenantRoutes');
+const { resolveTenant } = require('./middleware/tenant');
 
 const corsOptions = {
   origin: [
@@ -20,7 +30,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', MULTI_TENANCY.header],
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
   
 };
 
@@ -28,6 +39,7 @@ const corsOptions = {
 // Middleware
 app.use(cors(corsOptions));
 app.use(express.json());
+app.use(cookieParser());
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 } else {
@@ -42,7 +54,11 @@ app.get('/', (req, res) => {
   res.json({ message: 'Healthcare Authentication Service API' });
 });
 
-// API Routes
+// API Routes (en el contexto del tenant de la solicitud)
+app.use('/api', resolveTenant);
+app.use('/api/tenants', tenantRoutes);
+app.use('/api/care-team', careTeamRoutes);
+app.use('/api/invitations', invitationRoutes);
 app.use('/api', userRoutes);
 
 // Error handling middleware
@@ -60,3 +76,27 @@ app.use((req, res) => {
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
 });
+
+// Limpieza periódica de tokens de un solo uso vencidos
+if (ACTION_TOKENS.cleanupInterval > 0) {
+  const cleanupActionTokens = require('./jobs/cleanupActionTokens');
+  setInterval(() => {
+    cleanupActionTokens().catch(error => logger.error('Error en la limpieza de tokens:', error));
+  }, ACTION_TOKENS.cleanupInterval).unref();
+}
+
+// Purga periódica de las cuentas eliminadas cuyo periodo de retención terminó
+if (USER_DELETION.purgeInterval > 0) {
+  const purgeDeletedUsers = require('./jobs/purgeDeletedUsers');
+  setInterval(() => {
+    purgeDeletedUsers().catch(error => logger.error('Error en la purga de usuarios:', error));
+  }, USER_DELETION.purgeInterval).unref();
+}
+
+// Reintento de las exportaciones de datos pendientes y limpieza de las vencidas
+if (DATA_EXPORT.processInterval > 0) {
+  const processDataExports = require('./jobs/processDataExports');
+  setInterval(() => {
+    processDataExports().catch(error => logger.error('Error en las exportaciones de datos:', error));
+  }, DATA_EXPORT.processInterval).unref();
+}
@@ -0,0 +1,60 @@
+require('dotenv').config();
+const { MULTI_TENANCY } = require('../config/constants');
+const ActionTokenModel = require('../models/actionTokenModel');
+const TenantModel = require('../models/tenantModel');
+const { runWithTenant } = require('../utils/tenantContext');
+const logger = require('../utils/logger');
+
+/**
+ * Job de limpieza de tokens de un solo uso vencidos
+ * Se ejecuta periódicamente desde el servidor (TOKEN_CLEANUP_INTERVAL_MS) o
+ * manualmente con `npm run job:cleanup-tokens`.
+ */
+
+/**
+ * Elimina por lotes los tokens vencidos del tenant del contexto actual
+ * @returns {Promise<number>} Número de tokens eliminados
+ */
+const deleteAllExpired = async () => {
+  let total = 0;
+  let deleted;
+
+  do {
+    deleted = await ActionTokenModel.deleteExpired();
+    total += deleted;
+  } while (deleted > 0);
+
+  return total;
+};
+
+/**
+ * Elimina todos los tokens vencidos del proyecto raíz y de cada clínica
+ * @returns {Promise<number>} Número total de tokens eliminados
+ */
+const cleanupActionTokens = async () => {
+  const tenantIds = MULTI_TENANCY.enabled
+    ? (await TenantModel.list()).map(tenant => tenant.id)
+    : [];
+
+  let total = 0;
+  for (const tenantId of [null, ...tenantIds]) {
+    total += await runWithTenant(tenantId, deleteAllExpired);
+  }
+
+  if (total > 0) {
+    logger.info(`Tokens vencidos eliminados: ${total}`);
+  }
+
+  return total;
+};
+
+if (require.main === module) {
+  cleanupActionTokens()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Error en la limpieza de tokens:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = cleanupActionTokens;
@@ -0,0 +1,102 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { MULTI_TENANCY } = require('../config/constants');
+const TenantModel = require('../models/tenantModel');
+const { runWithTenant } = require('../utils/tenantContext');
+const { detectFormat, parseImportFile, importUsers: runImport } = require('../utils/userImport');
+const logger = require('../utils/logger');
+
+/**
+ * Importación masiva de usuarios desde la línea de comandos
+ * Aplica las mismas validaciones que POST /users/import:
+ *
+ *   npm run job:import-users -- <archivo> [--dry-run] [--send-emails]
+ *     [--tenant <id>] [--format csv|ndjson]
+ *
+ * Escribe el resultado de cada fila en la salida estándar como NDJSON y el
+ * resumen en el log.
+ */
+
+const USAGE = 'Uso: npm run job:import-users -- <archivo> [--dry-run] [--send-emails] [--tenant <id>] [--format csv|ndjson]';
+
+/**
+ * Interpreta los argumentos de la línea de comandos
+ * @param {Array<string>} argv - Argumentos (sin node ni el script)
+ * @returns {Object} { file, dryRun, sendEmails, tenantId, format }
+ * @throws {Error} Si falta el archivo o hay un argumento desconocido
+ */
+const parseArgs = (argv) => {
+  const options = { file: null, dryRun: false, sendEmails: false, tenantId: null, format: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--send-emails') {
+      options.sendEmails = true;
+    } else if (arg === '--tenant' || arg === '--format') {
+      const value = argv[++i];
+      if (!value) throw new Error(`Falta el valor de ${arg}`);
+      options[arg === '--tenant' ? 'tenantId' : 'format'] = value;
+    } else if (!arg.startsWith('--') && !options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Argumento desconocido: ${arg}`);
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Falta el archivo a importar');
+  }
+
+  return options;
+};
+
+/**
+ * Importa un archivo en el proyecto raíz o en el tenant indicado
+ * @param {Object} options - Opciones devueltas por parseArgs
+ * @returns {Promise<Object>} Resultado de importUsers
+ */
+const importFile = async ({ file, dryRun, sendEmails, tenantId, format }) => {
+  if (tenantId) {
+    if (!MULTI_TENANCY.enabled) {
+      throw new Error('--tenant requiere MULTI_TENANCY_ENABLED');
+    }
+    if (!(await TenantModel.getById(tenantId))) {
+      throw new Error(`La clínica ${tenantId} no existe`);
+    }
+  }
+
+  const fileFormat = format || detectFormat(path.extname(file));
+  if (!fileFormat) {
+    throw new Error('No se reconoce el formato del archivo; indica --format csv o --format ndjson');
+  }
+
+  const rows = parseImportFile(fs.readFileSync(file, 'utf8'), fileFormat);
+  const result = await runWithTenant(tenantId, () => runImport(rows, { dryRun, sendEmails }));
+
+  result.results.forEach(row => process.stdout.write(`${JSON.stringify(row)}\n`));
+  logger.info(`Importación${dryRun ? ' (simulación)' : ''} de ${file} terminada`, result.summary);
+
+  return result;
+};
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(2);
+  }
+
+  importFile(options)
+    .then(({ summary }) => process.exit(summary.invalid + summary.failed > 0 ? 1 : 0))
+    .catch((error) => {
+      logger.error('Error al importar usuarios:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = importFile;
@@ -0,0 +1,76 @@
+require('dotenv').config();
+const { MULTI_TENANCY } = require('../config/constants');
+const DataExportModel = require('../models/dataExportModel');
+const TenantModel = require('../models/tenantModel');
+const { runWithTenant } = require('../utils/tenantContext');
+const { processExport } = require('../utils/dataExport');
+const logger = require('../utils/logger');
+
+/**
+ * Job de exportaciones de datos
+ * Genera las exportaciones que quedaron pendientes (la instancia que las
+ * recibió se reinició o un intento falló) y elimina las vencidas. Se ejecuta
+ * periódicamente desde el servidor (DATA_EXPORT_PROCESS_INTERVAL_MS) o
+ * manualmente con `npm run job:process-exports`.
+ */
+
+/**
+ * Procesa las exportaciones del tenant del contexto actual
+ * @returns {Promise<Object>} { ready, failed, deleted }
+ */
+const processTenant = async () => {
+  const totals = { ready: 0, failed: 0, deleted: 0 };
+
+  for (const record of await DataExportModel.findClaimable()) {
+    try {
+      const status = await processExport(record.id);
+      if (status === 'ready') totals.ready++;
+      if (status === 'failed') totals.failed++;
+    } catch (error) {
+      logger.error(`Error al procesar la exportación ${record.id}:`, error);
+      totals.failed++;
+    }
+  }
+
+  let deleted;
+  do {
+    deleted = await DataExportModel.deleteExpired();
+    totals.deleted += deleted;
+  } while (deleted > 0);
+
+  return totals;
+};
+
+/**
+ * Procesa las exportaciones del proyecto raíz y de cada clínica
+ * @returns {Promise<Object>} { ready, failed, deleted } sumando todos los tenants
+ */
+const processDataExports = async () => {
+  const tenantIds = MULTI_TENANCY.enabled
+    ? (await TenantModel.list()).map(tenant => tenant.id)
+    : [];
+
+  const totals = { ready: 0, failed: 0, deleted: 0 };
+  for (const tenantId of [null, ...tenantIds]) {
+    const result = await runWithTenant(tenantId, processTenant);
+    totals.ready += result.ready;
+    totals.failed += result.failed;
+    totals.deleted += result.deleted;
+  }
+
+  if (totals.ready > 0 || totals.failed > 0 || totals.deleted > 0) {
+    logger.info(`Exportaciones de datos: ${totals.ready} generadas, ${totals.failed} fallidas, ${totals.deleted} eliminadas`);
+  }
+  return totals;
+};
+
+if (require.main === module) {
+  processDataExports()
+    .then(({ failed }) => process.exit(failed > 0 ? 1 : 0))
+    .catch((error) => {
+      logger.error('Error al procesar las exportaciones de datos:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = processDataExports;
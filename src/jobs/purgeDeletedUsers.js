@@ -0,0 +1,81 @@
+require('dotenv').config();
+const { MULTI_TENANCY } = require('../config/constants');
+const UserModel = require('../models/userModel');
+const TenantModel = require('../models/tenantModel');
+const { runWithTenant } = require('../utils/tenantContext');
+const { purgeDeadline, purgeUser } = require('../utils/userLifecycle');
+const logger = require('../utils/logger');
+
+/**
+ * Job de purga de usuarios eliminados
+ * Borra definitivamente las cuentas cuyo periodo de retención
+ * (USER_DELETION_RETENTION_MS) terminó. Se ejecuta periódicamente desde el
+ * servidor (USER_PURGE_INTERVAL_MS) o manualmente con `npm run job:purge-users`.
+ */
+
+/**
+ * Purga los usuarios vencidos del tenant del contexto actual
+ * Un fallo con un usuario se registra y no detiene el resto; se reintenta en
+ * la siguiente ejecución.
+ * @returns {Promise<Object>} { purged, failed }
+ */
+const purgeExpired = async () => {
+  const totals = { purged: 0, failed: 0 };
+  let lastId = null;
+
+  do {
+    const users = await UserModel.getDeletedPage(lastId);
+    lastId = users.length > 0 ? users[users.length - 1].id : null;
+
+    const now = Date.now();
+    const expired = users.filter((user) => {
+      const deadline = purgeDeadline(user);
+      return deadline !== null && deadline <= now;
+    });
+
+    for (const user of expired) {
+      try {
+        await purgeUser(user);
+        totals.purged++;
+      } catch (error) {
+        logger.error(`Error al purgar el usuario ${user.id}:`, error);
+        totals.failed++;
+      }
+    }
+  } while (lastId);
+
+  return totals;
+};
+
+/**
+ * Purga los usuarios vencidos del proyecto raíz y de cada clínica
+ * @returns {Promise<Object>} { purged, failed } sumando todos los tenants
+ */
+const purgeDeletedUsers = async () => {
+  const tenantIds = MULTI_TENANCY.enabled
+    ? (await TenantModel.list()).map(tenant => tenant.id)
+    : [];
+
+  const totals = { purged: 0, failed: 0 };
+  for (const tenantId of [null, ...tenantIds]) {
+    const { purged, failed } = await runWithTenant(tenantId, purgeExpired);
+    totals.purged += purged;
+    totals.failed += failed;
+  }
+
+  if (totals.purged > 0 || totals.failed > 0) {
+    logger.info(`Usuarios purgados: ${totals.purged} (fallidos: ${totals.failed})`);
+  }
+  return totals;
+};
+
+if (require.main === module) {
+  purgeDeletedUsers()
+    .then(({ failed }) => process.exit(failed > 0 ? 1 : 0))
+    .catch((error) => {
+      logger.error('Error al purgar usuarios eliminados:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = purgeDeletedUsers;
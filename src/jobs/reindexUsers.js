@@ -0,0 +1,62 @@
+require('dotenv').config();
+const { MULTI_TENANCY } = require('../config/constants');
+const UserModel = require('../models/userModel');
+const TenantModel = require('../models/tenantModel');
+const { runWithTenant } = require('../utils/tenantContext');
+const logger = require('../utils/logger');
+
+/**
+ * Job de reindexado de la búsqueda de usuarios
+ * Los perfiles mantienen su índice (searchTokens) en cada escritura; este job
+ * lo rellena en los perfiles existentes y lo rehace si cambian las reglas del
+ * índice. Se ejecuta manualmente con `npm run job:reindex-users`.
+ */
+
+/**
+ * Reindexa por páginas los perfiles del tenant del contexto actual
+ * @returns {Promise<Object>} { processed, updated }
+ */
+const reindexAll = async () => {
+  const totals = { processed: 0, updated: 0 };
+  let lastId = null;
+
+  do {
+    const page = await UserModel.reindexPage(lastId);
+    totals.processed += page.processed;
+    totals.updated += page.updated;
+    lastId = page.lastId;
+  } while (lastId);
+
+  return totals;
+};
+
+/**
+ * Reindexa los perfiles del proyecto raíz y de cada clínica
+ * @returns {Promise<Object>} { processed, updated } sumando todos los tenants
+ */
+const reindexUsers = async () => {
+  const tenantIds = MULTI_TENANCY.enabled
+    ? (await TenantModel.list()).map(tenant => tenant.id)
+    : [];
+
+  const totals = { processed: 0, updated: 0 };
+  for (const tenantId of [null, ...tenantIds]) {
+    const { processed, updated } = await runWithTenant(tenantId, reindexAll);
+    totals.processed += processed;
+    totals.updated += updated;
+  }
+
+  logger.info(`Usuarios reindexados: ${totals.updated} de ${totals.processed}`);
+  return totals;
+};
+
+if (require.main === module) {
+  reindexUsers()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Error al reindexar usuarios:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = reindexUsers;
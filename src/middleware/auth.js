@@ -1,18 +1,24 @@
-const { auth } = require('../config/firebase');
-const UserModel = require('../models/userModel');
+const CareTeamModel = require('../models/careTeamModel');
+const policy = require('../utils/policy');
 const logger = require('../utils/logger');
+const { getSessionCookie, clearSessionCookie } = require('../utils/session');
+const { verifyCredential, CREDENTIAL_TYPES } = require('../utils/credentials');
+const { CREDENTIAL_REVIEW } = require('../config/constants');
 
 /**
  * Middleware para verificar si el usuario está autenticado
  * Extrae el token JWT del encabezado de autorización y verifica su validez
+ * Si no hay encabezado, utiliza la cookie de sesión de Firebase
  * Si es válido, adjunta los datos del usuario a req.user
  */
 const isAuthenticated = async (req, res, next) => {
   try {
-    // Obtener el token del encabezado de autorización
+    // Obtener el token del encabezado de autorización o la cookie de sesión
     const authHeader = req.headers.authorization;
+    const hasBearer = Boolean(authHeader && authHeader.startsWith('Bearer '));
+    const sessionCookie = getSessionCookie(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!hasBearer && !sessionCookie) {
       logger.warn('Intento de acceso sin token de autenticación');
       return res.status(401).json({ 
         success: false,
@@ -22,78 +28,47 @@ const isAuthenticated = async (req, res, next) => {
       });
     }
     
-    const token = authHeader.split(' ')[1];
+    let credential = sessionCookie;
     
-    if (!token) {
-      logger.warn('Token de autenticación vacío');
-      return res.status(401).json({
-        success: false,
-        error: 'No autorizado',
-        message: 'El token de autenticación está vacío',
-        code: 'EMPTY_AUTH_TOKEN'
-      });
-    }
-    
-    // Verificar el token con Firebase Auth
-    let decodedToken;
-    try {
-      decodedToken = await auth.verifyIdToken(token);
-    } catch (authError) {
-      logger.error('Error al verificar el token:', authError);
+    if (hasBearer) {
+      credential = authHeader.split(' ')[1];
       
-      if (authError.code === 'auth/id-token-expired') {
+      if (!credential) {
+        logger.warn('Token de autenticación vacío');
         return res.status(401).json({
           success: false,
-          error: 'Sesión expirada',
-          message: 'Tu sesión ha expirado. Por favor, inicia sesión nuevamente.',
-          code: 'TOKEN_EXPIRED'
-        });
-      }
-      
-      if (authError.code === 'auth/argument-error' || authError.code === 'auth/invalid-id-token') {
-        return res.status(400).json({
-          success: false,
-          error: 'Token inválido',
-          message: 'El formato del token no es válido o está corrupto',
-          code: 'INVALID_TOKEN'
+          error: 'No autorizado',
+          message: 'El token de autenticación está vacío',
+          code: 'EMPTY_AUTH_TOKEN'
         });
       }
-      
-      throw authError;
     }
     
-    // Obtener los datos del usuario desde Firestore
-    let user;
-    try {
-      user = await UserModel.getUserById(decodedToken.uid);
-    } catch (dbError) {
-      logger.error('Error al obtener datos del usuario:', dbError);
-      return res.status(500).json({
-        success: false,
-        error: 'Error del servidor',
-        message: 'No se pudo recuperar la información del usuario',
-        code: 'USER_FETCH_ERROR'
-      });
-    }
+    const result = await verifyCredential(
+      credential,
+      hasBearer ? CREDENTIAL_TYPES.ID_TOKEN : CREDENTIAL_TYPES.SESSION_COOKIE,
+      { allowRestricted: true }
+    );
     
-    if (!user) {
-      logger.warn(`Usuario no encontrado: ${decodedToken.uid}`);
-      return res.status(404).json({ 
-        success: false,
-        error: 'Usuario no encontrado',
-        message: 'El perfil de usuario no existe en la base de datos',
-        code: 'USER_NOT_FOUND'
-      });
+    if (!result.ok) {
+      // Una cookie que ya no sirve se elimina del navegador
+      if (!hasBearer && (result.httpStatus === 401 || result.code === 'ACCOUNT_DISABLED')) {
+        clearSessionCookie(res);
+      }
+      return res.status(result.httpStatus).json(result.body);
     }
     
-    // Verificar si el usuario está activo
-    if (user && user.status !== 'active') {
-      logger.warn(`Intento de acceso de cuenta inactiva: ${user.email}`);
+    const { decodedToken, user, restricted } = result;
+    
+    // Un médico pendiente de aprobación solo puede gestionar su propio perfil
+    const path = (req.baseUrl + req.path).replace(/\/+$/, '');
+    if (restricted && !CREDENTIAL_REVIEW.restrictedAllowedPaths.includes(path)) {
+      logger.warn(`Acceso restringido de médico no aprobado: ${user.email}`, { path: req.originalUrl });
       return res.status(403).json({
         success: false,
-        error: 'Cuenta inactiva',
-        message: 'Tu cuenta ha sido desactivada o suspendida',
-        code: 'ACCOUNT_INACTIVE',
+        error: 'Credenciales no aprobadas',
+        message: 'Tu cuenta solo puede acceder a tu perfil hasta que se aprueben tus credenciales',
+        code: 'CREDENTIALS_NOT_APPROVED',
         status: user.status
       });
     }
@@ -105,6 +80,10 @@ const isAuthenticated = async (req, res, next) => {
       emailVerified: decodedToken.email_verified || false,
       ...user,
     };
+    req.auth = {
+      method: hasBearer ? 'bearer' : 'session',
+      decodedToken
+    };
     
     logger.info(`Usuario autenticado: ${req.user.email} (${req.user.id})`);
     next();
@@ -125,6 +104,7 @@ const isAuthenticated = async (req, res, next) => {
 /**
  * Middleware para verificar si el usuario es administrador
  * Debe usarse después de isAuthenticated
+ * Para rutas nuevas se recomienda requirePermission
  */
 const isAdmin = (req, res, next) => {
   try {
@@ -154,6 +134,48 @@ const isAdmin = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware para verificar permisos según el mapa central de roles (utils/policy)
+ * Debe usarse después de isAuthenticated
+ * @param {...string} permissions - Permisos requeridos (se exigen todos)
+ * @returns {Function} Middleware de verificación de permisos
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'No autenticado',
+          details: 'Se requiere autenticación para acceder a este recurso'
+        });
+      }
+      
+      const allowed = await policy.can(req.user.role, ...permissions);
+      
+      if (!allowed) {
+        logger.warn(`Permiso denegado para ${req.user.id}`, {
+          role: req.user.role,
+          required: permissions,
+          path: req.originalUrl
+        });
+        return res.status(403).json({
+          error: 'Acceso denegado',
+          details: 'No tienes los permisos necesarios para acceder a este recurso',
+          required: permissions
+        });
+      }
+      
+      next();
+    } catch (error) {
+      logger.error('Error en verificación de permisos:', error);
+      res.status(500).json({
+        error: 'Error del servidor',
+        details: 'Ocurrió un error al verificar los permisos de usuario'
+      });
+    }
+  };
+};
+
 /**
  * Middleware para verificar roles específicos
  * @param {Array} roles - Lista de roles permitidos
@@ -227,9 +249,57 @@ const isOwnerOrAdmin = (idParam = 'id') => {
   };
 };
 
+/**
+ * Variante de isOwnerOrAdmin que también permite el acceso al médico asignado al paciente
+ * Deja en req.accessScope el alcance concedido:
+ * - 'full': el propio usuario o quien tiene el permiso users:read
+ * - 'care-team': médico vinculado al paciente (el controlador debe devolver la proyección restringida)
+ * @param {string} idParam - Nombre del parámetro que contiene el ID del paciente
+ * @returns {Function} Middleware de verificación de acceso
+ */
+const isOwnerAdminOrCareTeam = (idParam = 'id') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'No autenticado',
+          details: 'Se requiere autenticación para acceder a este recurso'
+        });
+      }
+      
+      const resourceId = req.params[idParam];
+      
+      if (resourceId === req.user.id || await policy.can(req.user.role, 'users:read')) {
+        req.accessScope = 'full';
+        return next();
+      }
+      
+      // Médico con vínculo activo con el paciente
+      if (await policy.can(req.user.role, 'patients:read') &&
+          await CareTeamModel.isAssigned(req.user.id, resourceId)) {
+        req.accessScope = 'care-team';
+        return next();
+      }
+      
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        details: 'No tienes permiso para ver este perfil'
+      });
+    } catch (error) {
+      logger.error('Error en verificación de equipo de atención:', error);
+      res.status(500).json({
+        error: 'Error del servidor',
+        details: 'Ocurrió un error al verificar los permisos de acceso'
+      });
+    }
+  };
+};
+
 module.exports = {
   isAuthenticated,
   isAdmin,
+  requirePermission,
   hasRole,
-  isOwnerOrAdmin
+  isOwnerOrAdmin,
+  isOwnerAdminOrCareTeam
 };
@@ -0,0 +1,47 @@
+const { getIpLockedUntil } = require('../utils/bruteForce');
+const logger = require('../utils/logger');
+
+/**
+ * Responde 429 indicando cuándo se puede volver a intentar
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {number} lockedUntil - Fin del bloqueo (epoch en milisegundos)
+ */
+const sendTooManyAttempts = (res, lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Demasiados intentos',
+    details: 'Se superó el número de intentos fallidos permitidos. Inténtalo más tarde.',
+    code: 'TOO_MANY_ATTEMPTS',
+    retryAfter
+  });
+};
+
+/**
+ * Middleware que rechaza las solicitudes de IPs bloqueadas por intentos fallidos
+ * Se usa en las rutas que registran fallos con bruteForce.recordFailure
+ */
+const rejectBlockedIp = async (req, res, next) => {
+  try {
+    const lockedUntil = await getIpLockedUntil(req.ip);
+
+    if (lockedUntil) {
+      logger.warn(`Solicitud rechazada de IP bloqueada: ${req.ip}`, { path: req.path });
+      return sendTooManyAttempts(res, lockedUntil);
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error al comprobar el bloqueo de IP:', error);
+    res.status(500).json({
+      error: 'Error del servidor',
+      details: 'No se pudo comprobar el estado de la solicitud'
+    });
+  }
+};
+
+module.exports = {
+  rejectBlockedIp,
+  sendTooManyAttempts
+};
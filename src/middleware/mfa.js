@@ -0,0 +1,59 @@
+const MfaSessionModel = require('../models/mfaSessionModel');
+const { MFA } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware que exige una verificación MFA reciente en la sesión actual
+ * Debe usarse después de isAuthenticated. Aplica a los roles configurados en
+ * MFA_REQUIRED_ROLES y a cualquier usuario que haya activado MFA por su cuenta.
+ */
+const requireMfa = async (req, res, next) => {
+  try {
+    if (!req.user || !req.auth) {
+      return res.status(401).json({
+        error: 'No autenticado',
+        details: 'Se requiere autenticación para acceder a este recurso'
+      });
+    }
+
+    const enrolled = Boolean(req.user.mfa && req.user.mfa.enabled);
+    const required = MFA.requiredRoles.includes(req.user.role);
+
+    if (!enrolled && !required) {
+      return next();
+    }
+
+    if (!enrolled) {
+      logger.warn(`Acceso sin MFA configurado: ${req.user.id} (${req.user.role})`);
+      return res.status(403).json({
+        success: false,
+        error: 'MFA requerido',
+        message: 'Tu rol requiere configurar la autenticación multifactor',
+        code: 'MFA_ENROLLMENT_REQUIRED'
+      });
+    }
+
+    const verified = await MfaSessionModel.isVerified(req.user.id, req.auth.decodedToken.auth_time);
+
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        error: 'Verificación requerida',
+        message: 'Introduce un código de tu app autenticadora para continuar',
+        code: 'MFA_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error en la verificación MFA:', error);
+    res.status(500).json({
+      error: 'Error del servidor',
+      details: 'Ocurrió un error al verificar la autenticación multifactor'
+    });
+  }
+};
+
+module.exports = {
+  requireMfa
+};
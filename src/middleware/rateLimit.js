@@ -0,0 +1,120 @@
+const { createStore } = require('../stores');
+const { RATE_LIMIT } = require('../config/constants');
+const { scopedKey } = require('../utils/tenantContext');
+const logger = require('../utils/logger');
+
+/**
+ * Limitación de tasa con ventana deslizante
+ * Se usa la aproximación de contador deslizante: se guardan los contadores de
+ * la ventana actual y la anterior, y la anterior pondera según cuánto de ella
+ * sigue dentro de la ventana. Las cabeceras siguen el borrador del IETF
+ * "RateLimit header fields for HTTP" (RateLimit-Limit, -Remaining, -Reset).
+ */
+const store = createStore('rate-limit');
+
+// Claves predefinidas para identificar al cliente de una solicitud
+const keyBy = {
+  // La IP se limita en todo el servicio, sea cual sea el tenant
+  ip: (req) => req.ip,
+  // Correo de destino en el cuerpo (cada tenant tiene sus propias cuentas);
+  // sin correo no se aplica el límite
+  bodyEmail: (req) => (typeof req.body.email === 'string' && req.body.email.trim()
+    ? scopedKey(req.body.email.trim().toLowerCase())
+    : null),
+  // Usuario autenticado (después de isAuthenticated)
+  user: (req) => (req.user ? scopedKey(`user:${req.user.id}`) : null)
+};
+
+/**
+ * Registra una solicitud y calcula el uso estimado de la ventana
+ * @param {string} key - Clave del contador
+ * @param {number} windowMs - Tamaño de la ventana en milisegundos
+ * @returns {Promise<Object>} { hits, resetMs }
+ */
+const hit = async (key, windowMs) => {
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  const state = await store.update(key, (current) => {
+    if (!current || current.windowStart < windowStart - windowMs) {
+      return { windowStart, current: 1, previous: 0 };
+    }
+
+    if (current.windowStart < windowStart) {
+      return { windowStart, current: 1, previous: current.current };
+    }
+
+    return { ...current, current: current.current + 1 };
+  }, 2 * windowMs);
+
+  const previousWeight = 1 - (now - windowStart) / windowMs;
+  return {
+    hits: Math.ceil(state.previous * previousWeight + state.current),
+    resetMs: windowStart + windowMs - now
+  };
+};
+
+/**
+ * Crea un middleware de limitación de tasa
+ * @param {Object} options - Configuración del límite
+ * @param {string} options.name - Nombre del límite (prefijo de las claves y de los logs)
+ * @param {number} options.max - Solicitudes permitidas por ventana
+ * @param {number} options.windowMs - Tamaño de la ventana en milisegundos
+ * @param {Function} [options.key] - Obtiene la clave de la solicitud (keyBy.ip por defecto);
+ *   si devuelve null el límite no se aplica
+ * @returns {Function} Middleware de Express
+ */
+const rateLimit = ({ name, max, windowMs, key = keyBy.ip }) => {
+  return async (req, res, next) => {
+    if (!RATE_LIMIT.enabled) {
+      return next();
+    }
+
+    const clientKey = key(req);
+    if (!clientKey) {
+      return next();
+    }
+
+    let usage;
+    try {
+      usage = await hit(`${name}:${clientKey}`, windowMs);
+    } catch (error) {
+      // Si el almacén falla se deja pasar la solicitud en lugar de bloquear el servicio
+      logger.error(`Error en el límite de tasa ${name}:`, error);
+      return next();
+    }
+
+    const remaining = Math.max(0, max - usage.hits);
+    const reset = Math.max(1, Math.ceil(usage.resetMs / 1000));
+
+    // Con varios límites en la misma ruta se informa el más restrictivo
+    const previousRemaining = res.get('RateLimit-Remaining');
+    if (previousRemaining === undefined || remaining < Number(previousRemaining)) {
+      res.set({
+        'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(reset)
+      });
+    }
+
+    if (usage.hits > max) {
+      logger.warn(`Límite de tasa superado: ${name}`, { ip: req.ip, path: req.path });
+
+      res.set('Retry-After', String(reset));
+      return res.status(429).json({
+        error: 'Demasiadas solicitudes',
+        details: 'Has superado el límite de solicitudes. Inténtalo más tarde.',
+        code: 'RATE_LIMITED',
+        retryAfter: reset
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+  keyBy
+};
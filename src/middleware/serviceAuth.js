@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { SERVICE_AUTH } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Busca el servicio al que pertenece una clave comparando en tiempo constante
+ * @param {string} key - Clave enviada por el servicio
+ * @returns {string|null} Nombre del servicio o null si la clave no es válida
+ */
+const findService = (key) => {
+  const keyDigest = digest(key);
+  let match = null;
+
+  // Se recorren todas las credenciales para no filtrar información por tiempos
+  SERVICE_AUTH.credentials.forEach(({ name, key: expected }) => {
+    if (crypto.timingSafeEqual(keyDigest, digest(expected))) {
+      match = name;
+    }
+  });
+
+  return match;
+};
+
+/**
+ * Middleware para autenticar microservicios internos mediante una clave de servicio
+ * La clave se envía en el encabezado configurado (por defecto X-Service-Key)
+ * Si es válida, adjunta el nombre del servicio a req.service
+ */
+const isService = (req, res, next) => {
+  const key = req.get(SERVICE_AUTH.header);
+
+  if (!key) {
+    logger.warn('Intento de acceso de servicio sin credencial', { path: req.originalUrl });
+    return res.status(401).json({
+      success: false,
+      error: 'No autorizado',
+      message: 'Se requiere una credencial de servicio',
+      code: 'MISSING_SERVICE_CREDENTIAL'
+    });
+  }
+
+  const name = findService(key);
+
+  if (!name) {
+    logger.warn('Credencial de servicio inválida', { path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'No autorizado',
+      message: 'La credencial de servicio no es válida',
+      code: 'INVALID_SERVICE_CREDENTIAL'
+    });
+  }
+
+  req.service = { name };
+  next();
+};
+
+/**
+ * Permite el acceso con credencial de servicio o, si no se envía, con la
+ * cadena de middlewares indicada (por ejemplo isAuthenticated + requirePermission)
+ * @param {...Function} middlewares - Middlewares para usuarios
+ * @returns {Function} Middleware combinado
+ */
+const allowServiceOr = (...middlewares) => {
+  return (req, res, next) => {
+    if (req.get(SERVICE_AUTH.header)) {
+      return isService(req, res, next);
+    }
+
+    const run = (index) => (error) => {
+      if (error) return next(error);
+      if (index >= middlewares.length) return next();
+      middlewares[index](req, res, run(index + 1));
+    };
+
+    run(0)();
+  };
+};
+
+module.exports = {
+  isService,
+  allowServiceOr
+};
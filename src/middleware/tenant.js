@@ -0,0 +1,163 @@
+const { MULTI_TENANCY } = require('../config/constants');
+const TenantModel = require('../models/tenantModel');
+const TTLCache = require('../utils/cache');
+const { getSessionCookie } = require('../utils/session');
+const { runWithTenant, getTenantId } = require('../utils/tenantContext');
+const logger = require('../utils/logger');
+
+/**
+ * Resolución del tenant (clínica) de cada solicitud
+ * El tenant puede llegar en la cabecera MULTI_TENANCY.header, en el subdominio
+ * (<slug>.TENANT_BASE_DOMAIN) o en el claim firebase.tenant de la credencial.
+ * Si llega por varias vías todas deben coincidir. Sin tenant la solicitud se
+ * atiende en el proyecto raíz.
+ */
+
+// Tenants conocidos por ID y por slug (null si no existe)
+const tenantCache = new TTLCache({ ttl: MULTI_TENANCY.cacheTtl, maxSize: 1000 });
+
+const cached = async (key, load) => {
+  const hit = tenantCache.get(key);
+  if (hit !== undefined) {
+    return hit;
+  }
+
+  const tenant = await load();
+  tenantCache.set(key, tenant);
+  return tenant;
+};
+
+const findTenantById = (tenantId) => cached(`id:${tenantId}`, () => TenantModel.getById(tenantId));
+const findTenantBySlug = (slug) => cached(`slug:${slug}`, () => TenantModel.findBySlug(slug));
+
+/**
+ * Lee el claim firebase.tenant de un JWT sin verificarlo
+ * No es una comprobación de seguridad: la credencial se verifica después con
+ * el Auth del tenant, que rechaza los tokens de otros tenants.
+ * @param {string} token - ID token o cookie de sesión
+ * @returns {string|null} ID del tenant o null
+ */
+const readTenantClaim = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return (payload.firebase && payload.firebase.tenant) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Tenant indicado en la credencial de la solicitud (bearer o cookie de sesión)
+const tenantFromCredential = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return readTenantClaim(authHeader.split('Bearer ')[1]);
+  }
+
+  const sessionCookie = getSessionCookie(req);
+  return sessionCookie ? readTenantClaim(sessionCookie) : null;
+};
+
+// Slug del subdominio si el host pertenece a TENANT_BASE_DOMAIN
+const slugFromHost = (req) => {
+  const { baseDomain } = MULTI_TENANCY;
+  const hostname = (req.hostname || '').toLowerCase();
+
+  if (!baseDomain || !hostname.endsWith(`.${baseDomain}`)) {
+    return null;
+  }
+
+  const slug = hostname.slice(0, -(baseDomain.length + 1));
+  return slug && !slug.includes('.') ? slug : null;
+};
+
+const sendTenantError = (res, status, error, details, code) => res.status(status).json({
+  error,
+  details,
+  code
+});
+
+/**
+ * Middleware que resuelve el tenant y ejecuta el resto de la cadena en su contexto
+ * Sin MULTI_TENANCY_ENABLED no hace nada
+ */
+const resolveTenant = async (req, res, next) => {
+  if (!MULTI_TENANCY.enabled) {
+    return next();
+  }
+
+  try {
+    const candidates = [];
+
+    const headerTenant = req.get(MULTI_TENANCY.header);
+    if (headerTenant) {
+      candidates.push(headerTenant.trim());
+    }
+
+    const slug = slugFromHost(req);
+    if (slug) {
+      const tenant = await findTenantBySlug(slug);
+      if (!tenant) {
+        return sendTenantError(res, 404, 'Clínica no encontrada',
+          `No existe una clínica con el subdominio ${slug}`, 'UNKNOWN_TENANT');
+      }
+      candidates.push(tenant.id);
+    }
+
+    const credentialTenant = tenantFromCredential(req);
+    if (credentialTenant) {
+      candidates.push(credentialTenant);
+    }
+
+    const tenantIds = [...new Set(candidates)];
+    if (tenantIds.length > 1) {
+      logger.warn('Tenants contradictorios en la solicitud', { tenantIds, path: req.path });
+      return sendTenantError(res, 400, 'Clínica inconsistente',
+        'La cabecera, el subdominio y la credencial indican clínicas distintas', 'TENANT_MISMATCH');
+    }
+
+    const tenantId = tenantIds[0] || null;
+    if (tenantId && !(await findTenantById(tenantId))) {
+      return sendTenantError(res, 404, 'Clínica no encontrada',
+        `No existe una clínica con el ID ${tenantId}`, 'UNKNOWN_TENANT');
+    }
+
+    req.tenantId = tenantId;
+    runWithTenant(tenantId, next);
+  } catch (error) {
+    logger.error('Error al resolver el tenant:', error);
+    res.status(500).json({
+      error: 'Error del servidor',
+      details: 'No se pudo determinar la clínica de la solicitud'
+    });
+  }
+};
+
+/**
+ * Middleware que limita una ruta al proyecto raíz (administración de la plataforma)
+ * Los administradores de una clínica tienen todos los permisos dentro de ella,
+ * pero no pueden gestionar otras clínicas
+ */
+const requirePlatformScope = (req, res, next) => {
+  if (getTenantId()) {
+    return sendTenantError(res, 403, 'Acceso denegado',
+      'Esta operación solo está disponible para la administración de la plataforma',
+      'PLATFORM_SCOPE_REQUIRED');
+  }
+
+  next();
+};
+
+/**
+ * Olvida un tenant de la caché (por ejemplo tras crearlo)
+ * @param {Object} tenant - Tenant con id y slug
+ */
+const invalidateTenant = ({ id, slug }) => {
+  tenantCache.delete(`id:${id}`);
+  tenantCache.delete(`slug:${slug}`);
+};
+
+module.exports = {
+  resolveTenant,
+  requirePlatformScope,
+  invalidateTenant
+};
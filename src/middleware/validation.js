@@ -1,4 +1,6 @@
-const { validationResult } = require('express-validator');
+const { validationResult, body } = require('express-validator');
+const { PASSWORD_POLICY } = require('../config/constants');
+const policy = require('../utils/policy');
 const logger = require('../utils/logger');
 
 /**
@@ -143,8 +145,193 @@ const validateRequiredFields = (requiredFields) => {
   };
 };
 
+/**
+ * Comprobación básica de un campo de contraseña del body
+ * La política (longitud, clases de caracteres, lista de contraseñas comunes,
+ * historial) depende del rol de la cuenta y la aplica el controlador con
+ * utils/passwordPolicy. Devuelve una cadena nueva en cada llamada (las cadenas
+ * de express-validator son mutables).
+ * @param {string} field - Nombre del campo
+ * @returns {Object} Cadena de validación de express-validator
+ */
+const passwordRules = (field) => body(field)
+  .isString()
+  .withMessage('La contraseña debe ser un texto')
+  .notEmpty()
+  .withMessage('La contraseña es requerida')
+  .isLength({ max: PASSWORD_POLICY.defaults.maxLength })
+  .withMessage(`La contraseña no puede superar los ${PASSWORD_POLICY.defaults.maxLength} caracteres`);
+
+// El rol debe existir en el mapa de roles vigente (incluye roles creados en tiempo de ejecución)
+const roleValidation = (field = 'role') => body(field)
+  .custom(async (role) => {
+    if (!(await policy.isKnownRole(role))) {
+      throw new Error('Rol inválido');
+    }
+    return true;
+  });
+
+const emailRules = () => body('email')
+  .isEmail()
+  .withMessage('Correo electrónico inválido')
+  .normalizeEmail();
+
+// Rechaza las claves de un objeto que no estén en la lista permitida
+const onlyKeys = (allowed) => (value) => {
+  const unknown = Object.keys(value).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Campos no permitidos: ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+/**
+ * Reglas de los datos personales enviados al crear una cuenta
+ * @returns {Array} Cadenas de validación de express-validator
+ */
+const personalInfoRules = () => [
+  body('personalInfo')
+    .optional()
+    .isObject()
+    .withMessage('La información personal debe ser un objeto')
+    .bail()
+    .custom(onlyKeys(['firstName', 'lastName', 'phone'])),
+  body(['personalInfo.firstName', 'personalInfo.lastName'])
+    .optional()
+    .isString()
+    .withMessage('Debe ser un texto')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Debe tener entre 1 y 100 caracteres'),
+  body('personalInfo.phone')
+    .optional()
+    .isString()
+    .withMessage('Número de teléfono inválido')
+    .trim()
+    .isLength({ max: 30 })
+    .matches(/^[0-9\-+()\s]+$/)
+    .withMessage('Número de teléfono inválido')
+];
+
+/**
+ * Reglas de las preferencias enviadas al crear una cuenta
+ * Solo se aceptan las claves de las preferencias predeterminadas y con su tipo,
+ * porque se guardan tal cual en el perfil.
+ * @returns {Array} Cadenas de validación de express-validator
+ */
+const preferencesRules = () => [
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Las preferencias deben ser un objeto')
+    .bail()
+    .custom(onlyKeys(['language', 'theme', 'notifications'])),
+  body('preferences.language')
+    .optional()
+    .matches(/^[a-z]{2}(-[A-Z]{2})?$/)
+    .withMessage('Idioma inválido (por ejemplo es o es-AR)'),
+  body('preferences.theme')
+    .optional()
+    .isIn(['light', 'dark'])
+    .withMessage('El tema debe ser light o dark'),
+  body('preferences.notifications')
+    .optional()
+    .isObject()
+    .withMessage('Las notificaciones deben ser un objeto')
+    .bail()
+    .custom(onlyKeys(['email', 'sms', 'push'])),
+  body(['preferences.notifications.email', 'preferences.notifications.sms', 'preferences.notifications.push'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Debe ser true o false')
+];
+
+// Campos que un usuario puede enviar al editar su propio perfil
+const PROFILE_UPDATE_FIELDS = ['email', 'displayName', 'personalInfo', 'preferences', 'professionalInfo'];
+
+/**
+ * Reglas de la edición del propio perfil (PUT /users/me)
+ * Solo se aceptan los campos editables: una clave con punto (mfa.enabled,
+ * credentialReview.status) sería para Firestore la ruta de un campo anidado.
+ * @returns {Array} Cadenas de validación de express-validator
+ */
+const profileUpdateRules = () => [
+  body()
+    .custom(onlyKeys(PROFILE_UPDATE_FIELDS)),
+  body('displayName')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre es requerido')
+    .isLength({ max: 100 })
+    .withMessage('El nombre no puede superar los 100 caracteres'),
+  body('personalInfo.firstName')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre es requerido')
+    .isLength({ max: 100 })
+    .withMessage('El nombre no puede superar los 100 caracteres'),
+  body('personalInfo.lastName')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El apellido es requerido')
+    .isLength({ max: 100 })
+    .withMessage('El apellido no puede superar los 100 caracteres'),
+  body('personalInfo.phone')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Número de teléfono inválido')
+    .matches(/^[0-9\-\+\(\)\s]+$/, 'g')
+    .withMessage('Número de teléfono inválido'),
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Las preferencias deben ser un objeto'),
+  // specialty y licenseNumber se aceptan pero se ignoran: cambian al reenviar las credenciales
+  body('professionalInfo')
+    .optional()
+    .isObject()
+    .withMessage('La información profesional debe ser un objeto')
+    .bail()
+    .custom(onlyKeys(['specialty', 'licenseNumber', 'education', 'schedule']))
+];
+
+/**
+ * Reglas de una cuenta nueva creada por un administrador (POST /users y la
+ * importación masiva, que las aplica a cada fila)
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.requirePassword=true] - Sin contraseña la cuenta se crea
+ *   sin credencial y el usuario la elige con un enlace
+ * @returns {Array} Cadenas de validación de express-validator
+ */
+const newUserRules = ({ requirePassword = true } = {}) => [
+  emailRules(),
+  requirePassword ? passwordRules('password') : passwordRules('password').optional(),
+  roleValidation(),
+  body('displayName')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre es requerido'),
+  ...personalInfoRules()
+];
+
 module.exports = {
   validate,
+  passwordRules,
+  emailRules,
+  roleValidation,
+  newUserRules,
+  personalInfoRules,
+  preferencesRules,
+  profileUpdateRules,
   validateObjectId,
   validateBodyNotEmpty,
   validateQueryParams,
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { db, admin, tenantCollection } = require('../config/firebase');
+const { ACTION_TOKENS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Tokens de un solo uso que se envían por correo
+ * Solo se guarda el hash SHA-256 del token (como ID del documento), de modo
+ * que una filtración de la base de datos no expone enlaces válidos. Cada token
+ * sirve para un único propósito y se consume una sola vez dentro de una
+ * transacción. Los tokens vencidos se eliminan con el job cleanupActionTokens.
+ */
+class ActionTokenModel {
+  static get collection() {
+    return tenantCollection('actionTokens');
+  }
+
+  static PURPOSES = ACTION_TOKENS.purposes;
+
+  /**
+   * Hash con el que se guarda un token
+   * @param {string} token - Token en claro
+   * @returns {string} Hash SHA-256 en hexadecimal
+   */
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Emite un token nuevo e invalida los pendientes del mismo sujeto y propósito
+   * @param {string} purpose - Propósito del token (PURPOSES)
+   * @param {string} subject - ID del usuario (o de la invitación) al que pertenece
+   * @param {Object} [data] - Datos adicionales que se devuelven al consumirlo
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.revokePending=true] - Invalidar los tokens pendientes;
+   *   con false conviven varios tokens vigentes (por ejemplo los de reversión)
+   * @param {number} [options.ttl] - Vigencia en milisegundos si difiere de la del propósito
+   *   (por ejemplo el enlace para elegir contraseña de una cuenta importada)
+   * @returns {Promise<Object>} { token, expiresAt }; el token en claro solo existe aquí
+   */
+  static async issue(purpose, subject, data = {}, { revokePending = true, ttl } = {}) {
+    if (!Object.values(this.PURPOSES).includes(purpose)) {
+      throw new Error(`Propósito de token desconocido: ${purpose}`);
+    }
+
+    try {
+      if (revokePending) {
+        await this.revokeAll(subject, purpose);
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = new Date(Date.now() + (ttl || ACTION_TOKENS.ttl[purpose]));
+
+      await this.collection.doc(this.hash(token)).set({
+        purpose,
+        subject,
+        data,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt,
+        consumedAt: null
+      });
+
+      return { token, expiresAt };
+    } catch (error) {
+      logger.error('Error al emitir el token:', error);
+      throw new Error('Error al emitir el token');
+    }
+  }
+
+  /**
+   * Consume un token: solo la primera llamada con un token vigente tiene éxito
+   * @param {string} token - Token en claro recibido del usuario
+   * @param {string} purpose - Propósito esperado
+   * @returns {Promise<Object|null>} { subject, data } o null si no es válido,
+   *   ya se usó, expiró o pertenece a otro propósito
+   */
+  static async consume(token, purpose) {
+    try {
+      const ref = this.collection.doc(this.hash(token));
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+          return null;
+        }
+
+        const record = doc.data();
+        if (record.purpose !== purpose || record.consumedAt || this.isExpired(record)) {
+          return null;
+        }
+
+        transaction.update(ref, {
+          consumedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { subject: record.subject, data: record.data || {} };
+      });
+    } catch (error) {
+      logger.error('Error al consumir el token:', error);
+      throw new Error('Error al consumir el token');
+    }
+  }
+
+  /**
+   * Lee un token vigente sin consumirlo (para validar la solicitud antes de gastarlo)
+   * @param {string} token - Token en claro recibido del usuario
+   * @param {string} purpose - Propósito esperado
+   * @returns {Promise<Object|null>} { subject, data } o null si no es válido
+   */
+  static async peek(token, purpose) {
+    try {
+      const doc = await this.collection.doc(this.hash(token)).get();
+      if (!doc.exists) {
+        return null;
+      }
+
+      const record = doc.data();
+      if (record.purpose !== purpose || record.consumedAt || this.isExpired(record)) {
+        return null;
+      }
+
+      return { subject: record.subject, data: record.data || {} };
+    } catch (error) {
+      logger.error('Error al leer el token:', error);
+      throw new Error('Error al leer el token');
+    }
+  }
+
+  /**
+   * Invalida los tokens pendientes de un sujeto para un propósito
+   * @param {string} subject - ID del usuario (o de la invitación)
+   * @param {string} purpose - Propósito de los tokens
+   * @returns {Promise<number>} Número de tokens eliminados
+   */
+  static async revokeAll(subject, purpose) {
+    const snapshot = await this.collection
+      .where('subject', '==', subject)
+      .where('purpose', '==', purpose)
+      .get();
+
+    const pending = snapshot.docs.filter(doc => !doc.data().consumedAt);
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    const batch = db.batch();
+    pending.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    return pending.length;
+  }
+
+  /**
+   * Elimina un lote de tokens vencidos (consumidos o no)
+   * @param {number} [limit=500] - Tamaño máximo del lote
+   * @returns {Promise<number>} Número de tokens eliminados
+   */
+  static async deleteExpired(limit = 500) {
+    try {
+      const snapshot = await this.collection
+        .where('expiresAt', '<=', new Date())
+        .limit(limit)
+        .get();
+
+      if (snapshot.empty) {
+        return 0;
+      }
+
+      const batch = db.batch();
+      snapshot.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+
+      return snapshot.size;
+    } catch (error) {
+      logger.error('Error al eliminar tokens vencidos:', error);
+      throw new Error('Error al eliminar los tokens vencidos');
+    }
+  }
+
+  // Indica si un registro de token ya venció
+  static isExpired({ expiresAt }) {
+    const expiresAtMs = expiresAt.toMillis ? expiresAt.toMillis() : new Date(expiresAt).getTime();
+    return expiresAtMs <= Date.now();
+  }
+}
+
+module.exports = ActionTokenModel;
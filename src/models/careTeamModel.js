@@ -0,0 +1,124 @@
+const { admin, tenantCollection } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+class CareTeamModel {
+  static get collection() {
+    return tenantCollection('careRelationships');
+  }
+
+  /**
+   * ID determinista del vínculo para evitar duplicados
+   * @param {string} doctorId - ID del médico
+   * @param {string} patientId - ID del paciente
+   * @returns {string} ID del documento
+   */
+  static relationshipId(doctorId, patientId) {
+    return `${doctorId}_${patientId}`;
+  }
+
+  /**
+   * Indica si un documento es el vínculo de ese médico y ese paciente
+   * El ID no basta: los IDs de usuario pueden contener '_' (médico a_b con
+   * paciente c y médico a con paciente b_c comparten ID)
+   * @param {Object} doc - Documento de Firestore
+   * @param {string} doctorId - ID del médico
+   * @param {string} patientId - ID del paciente
+   * @returns {boolean}
+   */
+  static isRelationshipOf(doc, doctorId, patientId) {
+    return doc.exists && doc.get('doctorId') === doctorId && doc.get('patientId') === patientId;
+  }
+
+  /**
+   * Vincula un médico con un paciente
+   * @param {string} doctorId - ID del médico
+   * @param {string} patientId - ID del paciente
+   * @param {string} assignedBy - ID del usuario que crea el vínculo
+   * @returns {Promise<Object>} Vínculo creado
+   */
+  static async assign(doctorId, patientId, assignedBy) {
+    try {
+      const id = this.relationshipId(doctorId, patientId);
+      const data = {
+        doctorId,
+        patientId,
+        assignedBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      await this.collection.doc(id).set(data);
+      return { id, ...data };
+    } catch (error) {
+      logger.error('Error al asignar paciente:', error);
+      throw new Error('Error al asignar el paciente al médico');
+    }
+  }
+
+  /**
+   * Elimina el vínculo entre un médico y un paciente
+   * @param {string} doctorId - ID del médico
+   * @param {string} patientId - ID del paciente
+   * @returns {Promise<boolean>} false si el vínculo no existía
+   */
+  static async unassign(doctorId, patientId) {
+    try {
+      const ref = this.collection.doc(this.relationshipId(doctorId, patientId));
+      const doc = await ref.get();
+
+      if (!this.isRelationshipOf(doc, doctorId, patientId)) {
+        return false;
+      }
+
+      await ref.delete();
+      return true;
+    } catch (error) {
+      logger.error('Error al desasignar paciente:', error);
+      throw new Error('Error al desasignar el paciente del médico');
+    }
+  }
+
+  /**
+   * Indica si un médico tiene asignado a un paciente
+   * @param {string} doctorId - ID del médico
+   * @param {string} patientId - ID del paciente
+   * @returns {Promise<boolean>}
+   */
+  static async isAssigned(doctorId, patientId) {
+    try {
+      const doc = await this.collection.doc(this.relationshipId(doctorId, patientId)).get();
+      return this.isRelationshipOf(doc, doctorId, patientId);
+    } catch (error) {
+      logger.error('Error al verificar vínculo médico-paciente:', error);
+      throw new Error('Error al verificar el vínculo médico-paciente');
+    }
+  }
+
+  /**
+   * Lista vínculos filtrando por médico y/o paciente
+   * @param {Object} filters - Filtros de búsqueda
+   * @param {string} [filters.doctorId] - ID del médico
+   * @param {string} [filters.patientId] - ID del paciente
+   * @returns {Promise<Array>} Lista de vínculos
+   */
+  static async find({ doctorId, patientId } = {}) {
+    try {
+      let query = this.collection;
+
+      if (doctorId) {
+        query = query.where('doctorId', '==', doctorId);
+      }
+
+      if (patientId) {
+        query = query.where('patientId', '==', patientId);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error('Error al listar vínculos médico-paciente:', error);
+      throw new Error('Error al obtener los vínculos médico-paciente');
+    }
+  }
+}
+
+module.exports = CareTeamModel;
@@ -0,0 +1,67 @@
+const { admin, tenantCollection } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+/**
+ * Historial de la revisión de credenciales de los médicos
+ * Cada transición (envío, aprobación, rechazo) queda registrada con quién la
+ * hizo y cuándo. Los registros no se modifican ni se eliminan.
+ */
+class CredentialReviewModel {
+  static get collection() {
+    return tenantCollection('credentialReviews');
+  }
+
+  /**
+   * Registra una transición de la revisión
+   * @param {Object} entry - Datos de la transición
+   * @param {string} entry.doctorId - ID del médico
+   * @param {string} entry.action - submitted, approved o rejected
+   * @param {string} entry.fromStatus - Estado de la revisión antes de la transición
+   * @param {string} entry.toStatus - Estado de la revisión después de la transición
+   * @param {string} entry.actorId - ID de quien realizó la transición
+   * @param {string} [entry.notes] - Notas del revisor
+   * @param {Object} [entry.professionalInfo] - Credenciales revisadas
+   * @returns {Promise<Object>} Registro creado
+   */
+  static async record({ doctorId, action, fromStatus, toStatus, actorId, notes = null, professionalInfo = null }) {
+    try {
+      const data = {
+        doctorId,
+        action,
+        fromStatus,
+        toStatus,
+        actorId,
+        notes,
+        professionalInfo,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const ref = await this.collection.add(data);
+      return { id: ref.id, ...data };
+    } catch (error) {
+      logger.error('Error al registrar la revisión de credenciales:', error);
+      throw new Error('Error al registrar la revisión de credenciales');
+    }
+  }
+
+  /**
+   * Historial de revisión de un médico, del más reciente al más antiguo
+   * @param {string} doctorId - ID del médico
+   * @returns {Promise<Array>} Registros de la revisión
+   */
+  static async listForDoctor(doctorId) {
+    try {
+      const snapshot = await this.collection
+        .where('doctorId', '==', doctorId)
+        .orderBy('createdAt', 'desc')
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error('Error al obtener el historial de revisión:', error);
+      throw new Error('Error al obtener el historial de revisión');
+    }
+  }
+}
+
+module.exports = CredentialReviewModel;
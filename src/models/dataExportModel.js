@@ -0,0 +1,266 @@
+const { db, admin, tenantCollection } = require('../config/firebase');
+const { DATA_EXPORT } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Exportaciones de los datos de un usuario
+ * Cada solicitud es un registro en dataExports (pending → processing → ready
+ * o failed). El archivo generado se guarda aparte, en dataExportFiles con el
+ * mismo ID, para que las consultas de registros no lo lean. Registro y archivo
+ * se eliminan al vencer expiresAt (job processDataExports).
+ */
+class DataExportModel {
+  static get collection() {
+    return tenantCollection('dataExports');
+  }
+
+  static get files() {
+    return tenantCollection('dataExportFiles');
+  }
+
+  // Registro con su ID
+  static fromDoc(doc) {
+    return { id: doc.id, ...doc.data() };
+  }
+
+  /**
+   * Crea una solicitud de exportación pendiente
+   * @param {Object} request - Datos de la solicitud
+   * @param {string} request.uid - ID del usuario cuyos datos se exportan
+   * @param {string} request.requestedBy - ID de quien la solicita
+   * @param {string} request.notifyEmail - Correo al que se avisa cuando está lista
+   * @returns {Promise<Object>} Registro creado
+   */
+  static async create({ uid, requestedBy, notifyEmail }) {
+    try {
+      const ref = this.collection.doc();
+      const data = {
+        uid,
+        requestedBy,
+        notifyEmail,
+        status: 'pending',
+        attempts: 0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        // Una solicitud que nunca llega a completarse también se elimina
+        expiresAt: new Date(Date.now() + DATA_EXPORT.ttl)
+      };
+
+      await ref.set(data);
+      return { id: ref.id, ...data, createdAt: new Date() };
+    } catch (error) {
+      logger.error('Error al crear la exportación de datos:', error);
+      throw new Error('Error al crear la exportación de datos');
+    }
+  }
+
+  /**
+   * Obtiene una exportación por ID
+   * @param {string} id - ID de la exportación
+   * @returns {Promise<Object|null>} Registro o null si no existe
+   */
+  static async getById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return doc.exists ? this.fromDoc(doc) : null;
+    } catch (error) {
+      logger.error('Error al obtener la exportación de datos:', error);
+      throw new Error('Error al obtener la exportación de datos');
+    }
+  }
+
+  /**
+   * Exportaciones de un usuario, de la más reciente a la más antigua
+   * @param {string} uid - ID del usuario
+   * @returns {Promise<Array>} Registros
+   */
+  static async listForUser(uid) {
+    try {
+      const snapshot = await this.collection.where('uid', '==', uid).get();
+      return snapshot.docs
+        .map(doc => this.fromDoc(doc))
+        .sort((a, b) => this.toMillis(b.createdAt) - this.toMillis(a.createdAt));
+    } catch (error) {
+      logger.error('Error al listar las exportaciones de datos:', error);
+      throw new Error('Error al listar las exportaciones de datos');
+    }
+  }
+
+  /**
+   * Reserva una exportación para procesarla
+   * Solo una instancia la obtiene: las pendientes y las abandonadas en proceso
+   * (DATA_EXPORT.staleAfter) pasan a processing dentro de una transacción.
+   * @param {string} id - ID de la exportación
+   * @returns {Promise<Object|null>} Registro reservado o null si no está disponible
+   */
+  static async claim(id) {
+    try {
+      const ref = this.collection.doc(id);
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists || !this.isClaimable(doc.data())) {
+          return null;
+        }
+
+        const updates = {
+          status: 'processing',
+          attempts: (doc.data().attempts || 0) + 1,
+          startedAt: new Date()
+        };
+        transaction.update(ref, updates);
+
+        return { id, ...doc.data(), ...updates };
+      });
+    } catch (error) {
+      logger.error('Error al reservar la exportación de datos:', error);
+      throw new Error('Error al reservar la exportación de datos');
+    }
+  }
+
+  /**
+   * Guarda el archivo y marca la exportación como lista
+   * @param {string} id - ID de la exportación
+   * @param {string} content - Archivo JSON
+   * @returns {Promise<Date>} Fecha hasta la que se puede descargar
+   */
+  static async complete(id, content) {
+    try {
+      const expiresAt = new Date(Date.now() + DATA_EXPORT.ttl);
+
+      const batch = db.batch();
+      batch.set(this.files.doc(id), { content });
+      batch.update(this.collection.doc(id), {
+        status: 'ready',
+        size: Buffer.byteLength(content),
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt,
+        error: admin.firestore.FieldValue.delete()
+      });
+      await batch.commit();
+
+      return expiresAt;
+    } catch (error) {
+      logger.error('Error al guardar la exportación de datos:', error);
+      throw new Error('Error al guardar la exportación de datos');
+    }
+  }
+
+  /**
+   * Registra un fallo; la exportación vuelve a pending hasta agotar los intentos
+   * @param {Object} record - Registro reservado con claim
+   * @param {string} message - Motivo del fallo
+   * @returns {Promise<string>} Estado resultante (pending o failed)
+   */
+  static async fail(record, message) {
+    try {
+      const status = record.attempts >= DATA_EXPORT.maxAttempts ? 'failed' : 'pending';
+      await this.collection.doc(record.id).update({ status, error: message });
+      return status;
+    } catch (error) {
+      logger.error('Error al registrar el fallo de la exportación de datos:', error);
+      throw new Error('Error al registrar el fallo de la exportación de datos');
+    }
+  }
+
+  /**
+   * Contenido del archivo de una exportación lista
+   * @param {string} id - ID de la exportación
+   * @returns {Promise<string|null>} Archivo JSON o null si no existe
+   */
+  static async getArchive(id) {
+    try {
+      const doc = await this.files.doc(id).get();
+      return doc.exists ? doc.data().content : null;
+    } catch (error) {
+      logger.error('Error al leer el archivo de la exportación:', error);
+      throw new Error('Error al leer el archivo de la exportación');
+    }
+  }
+
+  /**
+   * Exportaciones que hay que procesar (pendientes o abandonadas en proceso)
+   * @param {number} [limit=20] - Máximo de registros
+   * @returns {Promise<Array>} Registros
+   */
+  static async findClaimable(limit = 20) {
+    try {
+      const snapshot = await this.collection
+        .where('status', 'in', ['pending', 'processing'])
+        .get();
+
+      return snapshot.docs
+        .map(doc => this.fromDoc(doc))
+        .filter(record => this.isClaimable(record))
+        .slice(0, limit);
+    } catch (error) {
+      logger.error('Error al buscar exportaciones pendientes:', error);
+      throw new Error('Error al buscar exportaciones pendientes');
+    }
+  }
+
+  /**
+   * Elimina un lote de exportaciones vencidas con sus archivos
+   * @param {number} [limit=200] - Tamaño máximo del lote
+   * @returns {Promise<number>} Número de exportaciones eliminadas
+   */
+  static async deleteExpired(limit = 200) {
+    try {
+      const snapshot = await this.collection
+        .where('expiresAt', '<=', new Date())
+        .limit(limit)
+        .get();
+
+      if (snapshot.empty) {
+        return 0;
+      }
+
+      const batch = db.batch();
+      snapshot.forEach((doc) => {
+        batch.delete(doc.ref);
+        batch.delete(this.files.doc(doc.id));
+      });
+      await batch.commit();
+
+      return snapshot.size;
+    } catch (error) {
+      logger.error('Error al eliminar exportaciones vencidas:', error);
+      throw new Error('Error al eliminar las exportaciones vencidas');
+    }
+  }
+
+  /**
+   * Elimina todas las exportaciones de un usuario (purga de la cuenta)
+   * @param {string} uid - ID del usuario
+   */
+  static async deleteForUser(uid) {
+    try {
+      const snapshot = await this.collection.where('uid', '==', uid).get();
+      if (snapshot.empty) {
+        return;
+      }
+
+      const batch = db.batch();
+      snapshot.forEach((doc) => {
+        batch.delete(doc.ref);
+        batch.delete(this.files.doc(doc.id));
+      });
+      await batch.commit();
+    } catch (error) {
+      logger.error('Error al eliminar las exportaciones del usuario:', error);
+      throw new Error('Error al eliminar las exportaciones del usuario');
+    }
+  }
+
+  // Indica si un registro se puede reservar para procesarlo
+  static isClaimable({ status, startedAt }) {
+    if (status === 'pending') return true;
+    return status === 'processing' && this.toMillis(startedAt) + DATA_EXPORT.staleAfter <= Date.now();
+  }
+
+  static toMillis(value) {
+    if (!value) return 0;
+    return value.toMillis ? value.toMillis() : new Date(value).getTime();
+  }
+}
+
+module.exports = DataExportModel;
@@ -0,0 +1,207 @@
+const { db, admin, tenantCollection } = require('../config/firebase');
+const { ACTION_TOKENS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Invitaciones para dar de alta cuentas (médicos, administradores o pacientes)
+ * El enlace de la invitación es un token de un solo uso de ActionTokenModel
+ * con propósito 'invite' cuyo sujeto es el ID de la invitación.
+ *
+ * Estados guardados: pending, accepted, revoked. Una invitación pendiente cuya
+ * fecha de expiración pasó se informa como expired.
+ */
+class InvitationModel {
+  static get collection() {
+    return tenantCollection('invitations');
+  }
+
+  static STATUSES = ['pending', 'accepted', 'expired', 'revoked'];
+
+  /**
+   * Estado efectivo de una invitación
+   * @param {Object} invitation - Datos de la invitación
+   * @returns {string} pending, accepted, expired o revoked
+   */
+  static effectiveStatus(invitation) {
+    if (invitation.status !== 'pending') {
+      return invitation.status;
+    }
+
+    const { expiresAt } = invitation;
+    const expiresAtMs = expiresAt.toMillis ? expiresAt.toMillis() : new Date(expiresAt).getTime();
+    return expiresAtMs <= Date.now() ? 'expired' : 'pending';
+  }
+
+  // Datos de un documento con su estado efectivo
+  static fromDoc(doc) {
+    const invitation = { id: doc.id, ...doc.data() };
+    return { ...invitation, status: this.effectiveStatus(invitation) };
+  }
+
+  // Nueva fecha de expiración a partir de ahora
+  static nextExpiry() {
+    return new Date(Date.now() + ACTION_TOKENS.ttl.invite);
+  }
+
+  /**
+   * Crea una invitación pendiente
+   * @param {Object} invitation - Datos de la invitación
+   * @param {string} invitation.email - Correo del invitado
+   * @param {string} invitation.role - Rol que tendrá la cuenta
+   * @param {Object} [invitation.professionalInfo] - Datos profesionales (médicos)
+   * @param {string} invitation.invitedBy - ID del administrador que invita
+   * @returns {Promise<Object>} Invitación creada
+   */
+  static async create({ email, role, professionalInfo = null, invitedBy }) {
+    try {
+      const data = {
+        email,
+        role,
+        professionalInfo,
+        status: 'pending',
+        invitedBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: this.nextExpiry(),
+        resendCount: 0
+      };
+
+      const ref = await this.collection.add(data);
+      return { id: ref.id, ...data };
+    } catch (error) {
+      logger.error('Error al crear la invitación:', error);
+      throw new Error('Error al crear la invitación');
+    }
+  }
+
+  /**
+   * Obtiene una invitación por su ID
+   * @param {string} id - ID de la invitación
+   * @returns {Promise<Object|null>} Invitación o null si no existe
+   */
+  static async getById(id) {
+    try {
+      const doc = await this.collection.doc(id).get();
+      return doc.exists ? this.fromDoc(doc) : null;
+    } catch (error) {
+      logger.error('Error al obtener la invitación:', error);
+      throw new Error('Error al obtener la invitación');
+    }
+  }
+
+  /**
+   * Busca la invitación pendiente (no expirada) de un correo
+   * @param {string} email - Correo del invitado
+   * @returns {Promise<Object|null>} Invitación pendiente o null
+   */
+  static async findPendingByEmail(email) {
+    try {
+      const snapshot = await this.collection
+        .where('email', '==', email)
+        .where('status', '==', 'pending')
+        .get();
+
+      return snapshot.docs
+        .map(doc => this.fromDoc(doc))
+        .find(invitation => invitation.status === 'pending') || null;
+    } catch (error) {
+      logger.error('Error al buscar invitaciones:', error);
+      throw new Error('Error al buscar invitaciones');
+    }
+  }
+
+  /**
+   * Lista invitaciones, opcionalmente filtradas por estado efectivo
+   * @param {Object} [filters] - Filtros
+   * @param {string} [filters.status] - pending, accepted, expired o revoked
+   * @returns {Promise<Array>} Invitaciones de la más reciente a la más antigua
+   */
+  static async list({ status } = {}) {
+    try {
+      let query = this.collection;
+
+      // pending y expired comparten el estado guardado
+      if (status) {
+        query = query.where('status', '==', status === 'expired' ? 'pending' : status);
+      }
+
+      const snapshot = await query.orderBy('createdAt', 'desc').get();
+      const invitations = snapshot.docs.map(doc => this.fromDoc(doc));
+
+      return status ? invitations.filter(invitation => invitation.status === status) : invitations;
+    } catch (error) {
+      logger.error('Error al listar invitaciones:', error);
+      throw new Error('Error al listar las invitaciones');
+    }
+  }
+
+  /**
+   * Renueva la expiración de una invitación al reenviarla
+   * @param {string} id - ID de la invitación
+   * @returns {Promise<Date>} Nueva fecha de expiración
+   */
+  static async renew(id) {
+    try {
+      const expiresAt = this.nextExpiry();
+
+      await this.collection.doc(id).update({
+        expiresAt,
+        resentAt: admin.firestore.FieldValue.serverTimestamp(),
+        resendCount: admin.firestore.FieldValue.increment(1)
+      });
+
+      return expiresAt;
+    } catch (error) {
+      logger.error('Error al renovar la invitación:', error);
+      throw new Error('Error al renovar la invitación');
+    }
+  }
+
+  /**
+   * Revoca una invitación pendiente
+   * @param {string} id - ID de la invitación
+   * @param {string} revokedBy - ID del administrador
+   */
+  static async revoke(id, revokedBy) {
+    try {
+      await this.collection.doc(id).update({
+        status: 'revoked',
+        revokedBy,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      logger.error('Error al revocar la invitación:', error);
+      throw new Error('Error al revocar la invitación');
+    }
+  }
+
+  /**
+   * Marca una invitación como aceptada si sigue pendiente
+   * @param {string} id - ID de la invitación
+   * @param {string} uid - ID de la cuenta creada
+   * @returns {Promise<boolean>} false si la invitación ya no estaba pendiente
+   */
+  static async markAccepted(id, uid) {
+    try {
+      const ref = this.collection.doc(id);
+
+      return await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists || this.fromDoc(doc).status !== 'pending') {
+          return false;
+        }
+
+        transaction.update(ref, {
+          status: 'accepted',
+          acceptedUid: uid,
+          acceptedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+      });
+    } catch (error) {
+      logger.error('Error al aceptar la invitación:', error);
+      throw new Error('Error al aceptar la invitación');
+    }
+  }
+}
+
+module.exports = InvitationModel;
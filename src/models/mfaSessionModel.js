@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { db, admin, tenantCollection } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+/**
+ * Sesiones con verificación MFA reciente (step-up)
+ * Una sesión se identifica por el usuario y el auth_time de su token, que se
+ * mantiene al refrescar el ID token y en la cookie de sesión derivada de él.
+ * Se recomienda activar una política TTL de Firestore sobre el campo expiresAt.
+ */
+class MfaSessionModel {
+  static get collection() {
+    return tenantCollection('mfaSessions');
+  }
+
+  /**
+   * ID del documento de la sesión
+   * @param {string} uid - ID del usuario
+   * @param {number} authTime - auth_time del token decodificado
+   * @returns {string} Hash SHA-256 que identifica la sesión
+   */
+  static sessionId(uid, authTime) {
+    return crypto.createHash('sha256').update(`${uid}:${authTime}`).digest('hex');
+  }
+
+  /**
+   * Marca una sesión como verificada con MFA
+   * @param {string} uid - ID del usuario
+   * @param {number} authTime - auth_time del token decodificado
+   * @param {number} ttl - Duración de la verificación en milisegundos
+   * @returns {Promise<Date>} Fecha en la que expira la verificación
+   */
+  static async markVerified(uid, authTime, ttl) {
+    try {
+      const expiresAt = new Date(Date.now() + ttl);
+
+      await this.collection.doc(this.sessionId(uid, authTime)).set({
+        uid,
+        verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt
+      });
+
+      return expiresAt;
+    } catch (error) {
+      logger.error('Error al registrar la verificación MFA:', error);
+      throw new Error('Error al registrar la verificación MFA');
+    }
+  }
+
+  /**
+   * Indica si una sesión tiene una verificación MFA vigente
+   * @param {string} uid - ID del usuario
+   * @param {number} authTime - auth_time del token decodificado
+   * @returns {Promise<boolean>}
+   */
+  static async isVerified(uid, authTime) {
+    try {
+      const doc = await this.collection.doc(this.sessionId(uid, authTime)).get();
+
+      if (!doc.exists) {
+        return false;
+      }
+
+      const { expiresAt } = doc.data();
+      const expiresAtMs = expiresAt.toMillis ? expiresAt.toMillis() : new Date(expiresAt).getTime();
+      return expiresAtMs > Date.now();
+    } catch (error) {
+      logger.error('Error al verificar la sesión MFA:', error);
+      throw new Error('Error al verificar la sesión MFA');
+    }
+  }
+
+  /**
+   * Elimina todas las verificaciones MFA de un usuario
+   * @param {string} uid - ID del usuario
+   * @returns {Promise<number>} Número de sesiones eliminadas
+   */
+  static async deleteForUser(uid) {
+    try {
+      const snapshot = await this.collection.where('uid', '==', uid).get();
+      const batch = db.batch();
+
+      snapshot.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+
+      return snapshot.size;
+    } catch (error) {
+      logger.error('Error al eliminar sesiones MFA:', error);
+      throw new Error('Error al eliminar las sesiones MFA');
+    }
+  }
+}
+
+module.exports = MfaSessionModel;
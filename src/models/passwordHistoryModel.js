@@ -0,0 +1,69 @@
+const { db, admin, tenantCollection } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+/**
+ * Historial de contraseñas de cada cuenta
+ * Un documento por usuario con las huellas de sus últimas contraseñas (la más
+ * reciente primero). Nunca se guarda la contraseña: cada huella es un scrypt
+ * con sal propia que calcula utils/passwordPolicy.
+ */
+class PasswordHistoryModel {
+  static get collection() {
+    return tenantCollection('passwordHistory');
+  }
+
+  /**
+   * Obtiene las huellas guardadas de un usuario
+   * @param {string} uid - ID del usuario
+   * @returns {Promise<Array>} Entradas { salt, hash, createdAt }, la más reciente primero
+   */
+  static async getEntries(uid) {
+    try {
+      const doc = await this.collection.doc(uid).get();
+      return doc.exists ? doc.data().entries || [] : [];
+    } catch (error) {
+      logger.error('Error al obtener el historial de contraseñas:', error);
+      throw new Error('Error al obtener el historial de contraseñas');
+    }
+  }
+
+  /**
+   * Añade una huella y conserva solo las más recientes
+   * @param {string} uid - ID del usuario
+   * @param {Object} entry - Huella { salt, hash }
+   * @param {number} keep - Número de huellas que se conservan
+   */
+  static async add(uid, entry, keep) {
+    try {
+      const ref = this.collection.doc(uid);
+
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const entries = doc.exists ? doc.data().entries || [] : [];
+
+        transaction.set(ref, {
+          entries: [{ ...entry, createdAt: new Date() }, ...entries].slice(0, keep),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    } catch (error) {
+      logger.error('Error al guardar el historial de contraseñas:', error);
+      throw new Error('Error al guardar el historial de contraseñas');
+    }
+  }
+
+  /**
+   * Elimina el historial de un usuario
+   * @param {string} uid - ID del usuario
+   */
+  static async clear(uid) {
+    try {
+      await this.collection.doc(uid).delete();
+    } catch (error) {
+      logger.error('Error al eliminar el historial de contraseñas:', error);
+      throw new Error('Error al eliminar el historial de contraseñas');
+    }
+  }
+}
+
+module.exports = PasswordHistoryModel;
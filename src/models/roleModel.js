@@ -0,0 +1,51 @@
+const { db, admin } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+class RoleModel {
+  static collection = db.collection('roles');
+
+  /**
+   * Obtiene el mapa rol → permisos guardado en Firestore
+   * @returns {Promise<Object>} Objeto con el nombre del rol como clave y sus permisos como valor
+   */
+  static async getAll() {
+    try {
+      const snapshot = await this.collection.get();
+      const roles = {};
+
+      snapshot.forEach(doc => {
+        roles[doc.id] = doc.data().permissions || [];
+      });
+
+      return roles;
+    } catch (error) {
+      logger.error('Error al obtener los roles:', error);
+      throw new Error('Error al obtener los roles');
+    }
+  }
+
+  /**
+   * Reemplaza los permisos de un rol (lo crea si no existe)
+   * @param {string} role - Nombre del rol
+   * @param {Array<string>} permissions - Permisos asignados al rol
+   * @param {string} updatedBy - ID del usuario que realiza el cambio
+   * @returns {Promise<Object>} Rol actualizado
+   */
+  static async setPermissions(role, permissions, updatedBy) {
+    try {
+      const data = {
+        permissions,
+        updatedBy,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      await this.collection.doc(role).set(data, { merge: true });
+      return { role, permissions };
+    } catch (error) {
+      logger.error('Error al actualizar el rol:', error);
+      throw new Error('Error al actualizar los permisos del rol');
+    }
+  }
+}
+
+module.exports = RoleModel;
@@ -0,0 +1,89 @@
+const { db, admin } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+/**
+ * Clínicas (tenants) conocidas por el servicio
+ * Cada documento usa como ID el tenantId de Firebase Auth y guarda el slug
+ * con el que se resuelve el tenant por subdominio. Los datos de la clínica
+ * viven en subcolecciones de este documento (ver tenantCollection).
+ */
+class TenantModel {
+  static collection = db.collection('tenants');
+
+  /**
+   * Registra un tenant creado en Firebase Auth
+   * @param {string} tenantId - ID del tenant en Firebase Auth
+   * @param {Object} tenant - Datos del tenant
+   * @param {string} tenant.displayName - Nombre visible
+   * @param {string} tenant.slug - Subdominio de la clínica
+   * @param {string} tenant.createdBy - ID del administrador de la plataforma
+   * @returns {Promise<Object>} Tenant registrado
+   */
+  static async create(tenantId, { displayName, slug, createdBy }) {
+    try {
+      const data = {
+        displayName,
+        slug,
+        createdBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      await this.collection.doc(tenantId).set(data);
+      return { id: tenantId, ...data };
+    } catch (error) {
+      logger.error('Error al registrar el tenant:', error);
+      throw new Error('Error al registrar el tenant');
+    }
+  }
+
+  /**
+   * Obtiene un tenant por su ID
+   * @param {string} tenantId - ID del tenant
+   * @returns {Promise<Object|null>} Tenant o null si no existe
+   */
+  static async getById(tenantId) {
+    try {
+      const doc = await this.collection.doc(tenantId).get();
+      return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    } catch (error) {
+      logger.error('Error al obtener el tenant:', error);
+      throw new Error('Error al obtener el tenant');
+    }
+  }
+
+  /**
+   * Busca un tenant por su slug
+   * @param {string} slug - Subdominio de la clínica
+   * @returns {Promise<Object|null>} Tenant o null si no existe
+   */
+  static async findBySlug(slug) {
+    try {
+      const snapshot = await this.collection.where('slug', '==', slug).limit(1).get();
+      if (snapshot.empty) {
+        return null;
+      }
+
+      const doc = snapshot.docs[0];
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      logger.error('Error al buscar el tenant:', error);
+      throw new Error('Error al buscar el tenant');
+    }
+  }
+
+  /**
+   * Lista todos los tenants
+   * @returns {Promise<Array>} Tenants del más reciente al más antiguo
+   */
+  static async list() {
+    try {
+      const snapshot = await this.collection.orderBy('createdAt', 'desc').get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error('Error al listar tenants:', error);
+      throw new Error('Error al listar los tenants');
+    }
+  }
+}
+
+module.exports = TenantModel;
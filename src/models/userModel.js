@@ -1,8 +1,25 @@
-const { db, admin } = require('../config/firebase');
+const { db, admin, auth, tenantCollection } = require('../config/firebase');
 const logger = require('../utils/logger');
+const TTLCache = require('../utils/cache');
+const { scopedKey } = require('../utils/tenantContext');
+const { parseSort, encodeCursor, decodeCursor } = require('../utils/pagination');
+const { buildSearchTokens, normalizeSearchTerm, touchesIndexedFields } = require('../utils/searchIndex');
+const { PROFILE_CACHE, CARE_TEAM_PROFILE_FIELDS } = require('../config/constants');
 
 class UserModel {
-  static collection = db.collection('users');
+  // Perfiles del tenant de la solicitud en curso (tenants/{tenantId}/users)
+  static get collection() {
+    return tenantCollection('users');
+  }
+  static profileCache = new TTLCache(PROFILE_CACHE);
+
+  // Campos que nunca se devuelven en las respuestas de la API
+  // (emailVerificationToken y resetToken solo existen en perfiles antiguos;
+  // searchTokens es el índice de búsqueda e incluye fragmentos del teléfono)
+  static SENSITIVE_FIELDS = ['password', 'tokens', 'mfa', 'emailVerificationToken', 'resetToken', 'searchTokens'];
+
+  // Campos por los que se puede ordenar el listado de usuarios
+  static SORT_FIELDS = ['createdAt', 'updatedAt', 'email', 'lastLogin'];
 
   /**
    * Crea o actualiza un usuario en Firestore
@@ -17,19 +34,25 @@ class UserModel {
       
       const userDoc = await userRef.get();
       
-      // Solo mantener los campos necesarios
-      const { ...safeUserData } = userData;
+      // El índice de búsqueda solo lo calcula el modelo
+      const { searchTokens, ...safeUserData } = userData;
+      const existing = userDoc.exists ? userDoc.data() : {};
       
+      // Los perfiles nuevos son activos salvo que se indique otro estado
       const data = {
+        ...(userDoc.exists ? {} : { status: 'active' }),
         ...safeUserData,
+        searchTokens: buildSearchTokens({
+          ...existing,
+          ...safeUserData,
+          personalInfo: { ...existing.personalInfo, ...safeUserData.personalInfo }
+        }),
         updatedAt: now,
-        ...(userDoc.exists ? {} : { 
-          createdAt: now,
-          status: 'active',
-        })
+        ...(userDoc.exists ? {} : { createdAt: now })
       };
 
       await userRef.set(data, { merge: true });
+      this.invalidateCache(uid);
       return { id: uid, ...data };
     } catch (error) {
       logger.error('Error al crear/actualizar usuario:', error);
@@ -57,6 +80,45 @@ class UserModel {
     }
   }
 
+  /**
+   * Obtiene un usuario por su ID usando la caché de perfiles
+   * Pensado para rutas calientes como isAuthenticated; las escrituras
+   * realizadas a través de este modelo invalidan la entrada correspondiente.
+   * Las entradas se indexan por tenant además de por uid
+   * @param {string} uid - ID del usuario
+   * @returns {Promise<Object>} Datos del usuario
+   */
+  static async getCachedUserById(uid) {
+    const cached = this.profileCache.get(scopedKey(uid));
+    if (cached) {
+      return { ...cached };
+    }
+
+    const user = await this.getUserById(uid);
+    if (user) {
+      this.profileCache.set(scopedKey(uid), user);
+      return { ...user };
+    }
+
+    return null;
+  }
+
+  /**
+   * Elimina un usuario de la caché de perfiles
+   * @param {string} uid - ID del usuario
+   */
+  static invalidateCache(uid) {
+    this.profileCache.delete(scopedKey(uid));
+  }
+
+  /**
+   * Estadísticas de la caché de perfiles
+   * @returns {Object} Aciertos, fallos y tamaño de la caché
+   */
+  static getCacheStats() {
+    return this.profileCache.stats();
+  }
+
   /**
    * Actualiza campos específicos de un usuario
    * @param {string} uid - ID del usuario
@@ -68,15 +130,27 @@ class UserModel {
       const userRef = this.collection.doc(uid);
       
       // Eliminar campos protegidos
-      const { id, ...safeUpdates } = updates;
+      const { id, searchTokens, ...safeUpdates } = updates;
       
       await userRef.update({
         ...safeUpdates,
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
+      this.invalidateCache(uid);
 
       const updatedDoc = await userRef.get();
-      return { id: updatedDoc.id, ...updatedDoc.data() };
+      const updated = { id: updatedDoc.id, ...updatedDoc.data() };
+
+      // Rehacer el índice de búsqueda si cambió un campo indexado
+      if (touchesIndexedFields(safeUpdates)) {
+        const tokens = buildSearchTokens(updated);
+        if (tokens.join('\n') !== (updated.searchTokens || []).join('\n')) {
+          await userRef.update({ searchTokens: tokens });
+          updated.searchTokens = tokens;
+        }
+      }
+
+      return updated;
     } catch (error) {
       logger.error('Error al actualizar usuario:', error);
       throw new Error('Error al actualizar los datos del usuario');
@@ -84,111 +158,507 @@ class UserModel {
   }
 
   /**
-   * Busca usuarios según criterios
+   * Bloquea temporalmente una cuenta (estado 'locked')
+   * Guarda el estado anterior para restaurarlo al desbloquearla. Solo se
+   * bloquean cuentas activas o ya bloqueadas (en ese caso se extiende el bloqueo).
+   * @param {string} uid - ID del usuario
+   * @param {Date} lockedUntil - Fecha en la que expira el bloqueo
+   * @returns {Promise<Object|null>} Usuario bloqueado o null si no se bloqueó
+   */
+  static async lockAccount(uid, lockedUntil) {
+    try {
+      const userRef = this.collection.doc(uid);
+
+      const locked = await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists || !['active', 'locked'].includes(userDoc.data().status)) {
+          return null;
+        }
+
+        const { status, statusBeforeLock } = userDoc.data();
+        const updates = {
+          status: 'locked',
+          statusBeforeLock: status === 'locked' ? statusBeforeLock || 'active' : status,
+          lockedUntil,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        transaction.update(userRef, updates);
+
+        return { id: uid, ...userDoc.data(), ...updates };
+      });
+
+      this.invalidateCache(uid);
+      return locked;
+    } catch (error) {
+      logger.error('Error al bloquear la cuenta:', error);
+      throw new Error('Error al bloquear la cuenta');
+    }
+  }
+
+  /**
+   * Desbloquea una cuenta restaurando el estado que tenía antes del bloqueo
+   * @param {string} uid - ID del usuario
+   * @returns {Promise<Object|null>} Usuario actualizado o null si no estaba bloqueado
+   */
+  static async unlockAccount(uid) {
+    try {
+      const userRef = this.collection.doc(uid);
+
+      const unlocked = await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists || userDoc.data().status !== 'locked') {
+          return null;
+        }
+
+        const { statusBeforeLock, lockedUntil, ...data } = userDoc.data();
+        const status = statusBeforeLock || 'active';
+        transaction.update(userRef, {
+          status,
+          statusBeforeLock: admin.firestore.FieldValue.delete(),
+          lockedUntil: admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { id: uid, ...data, status };
+      });
+
+      this.invalidateCache(uid);
+      return unlocked;
+    } catch (error) {
+      logger.error('Error al desbloquear la cuenta:', error);
+      throw new Error('Error al desbloquear la cuenta');
+    }
+  }
+
+  /**
+   * Registra el uso de un código TOTP si es posterior al último aceptado
+   * La comprobación y la escritura van en una transacción para que dos
+   * solicitudes simultáneas (o en instancias distintas) no acepten el mismo código.
+   * @param {string} uid - ID del usuario
+   * @param {number} step - Paso de tiempo del código verificado
+   * @returns {Promise<boolean>} false si el código ya se usó o el MFA no está activo
+   */
+  static async useMfaStep(uid, step) {
+    try {
+      const userRef = this.collection.doc(uid);
+
+      const used = await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        const mfa = userDoc.exists ? userDoc.data().mfa : null;
+        if (!mfa || !mfa.enabled || step <= (mfa.lastUsedStep || 0)) {
+          return false;
+        }
+
+        transaction.update(userRef, { 'mfa.lastUsedStep': step });
+        return true;
+      });
+
+      this.invalidateCache(uid);
+      return used;
+    } catch (error) {
+      logger.error('Error al registrar el código MFA:', error);
+      throw new Error('Error al registrar el código MFA');
+    }
+  }
+
+  /**
+   * Consume un código de recuperación MFA (hash) dentro de una transacción
+   * @param {string} uid - ID del usuario
+   * @param {string} hash - Hash del código de recuperación
+   * @returns {Promise<boolean>} false si el código no existe o ya se usó
+   */
+  static async useMfaRecoveryCode(uid, hash) {
+    try {
+      const userRef = this.collection.doc(uid);
+
+      const used = await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        const mfa = userDoc.exists ? userDoc.data().mfa : null;
+        if (!mfa || !mfa.enabled || !(mfa.recoveryCodes || []).includes(hash)) {
+          return false;
+        }
+
+        transaction.update(userRef, {
+          'mfa.recoveryCodes': mfa.recoveryCodes.filter(code => code !== hash)
+        });
+        return true;
+      });
+
+      this.invalidateCache(uid);
+      return used;
+    } catch (error) {
+      logger.error('Error al consumir el código de recuperación MFA:', error);
+      throw new Error('Error al consumir el código de recuperación MFA');
+    }
+  }
+
+  /**
+   * Aplica una transición de la revisión de credenciales dentro de una
+   * transacción: el estado se vuelve a leer para que dos revisores simultáneos
+   * (aprobar y rechazar) no apliquen ambos su decisión.
+   * @param {string} uid - ID del médico
+   * @param {string[]} fromStatuses - Estados de revisión desde los que se permite
+   * @param {Function} buildUpdates - Recibe el perfil leído y devuelve los cambios
+   * @returns {Promise<Object>} { applied, fromStatus, user }; user es el perfil actualizado
+   */
+  static async applyCredentialReview(uid, fromStatuses, buildUpdates) {
+    try {
+      const userRef = this.collection.doc(uid);
+
+      const { applied, fromStatus } = await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        const current = userDoc.exists ? { id: userDoc.id, ...userDoc.data() } : null;
+        const status = current && current.credentialReview ? current.credentialReview.status : undefined;
+        if (!current || !fromStatuses.includes(status)) {
+          return { applied: false, fromStatus: status };
+        }
+
+        transaction.update(userRef, {
+          ...buildUpdates(current),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { applied: true, fromStatus: status };
+      });
+
+      this.invalidateCache(uid);
+      if (!applied) {
+        return { applied, fromStatus, user: null };
+      }
+
+      const updatedDoc = await userRef.get();
+      return { applied, fromStatus, user: { id: updatedDoc.id, ...updatedDoc.data() } };
+    } catch (error) {
+      logger.error('Error al actualizar la revisión de credenciales:', error);
+      throw new Error('Error al actualizar la revisión de credenciales');
+    }
+  }
+
+  /**
+   * Consulta de perfiles con los filtros aplicados (sin orden ni paginación)
    * @param {Object} filters - Filtros de búsqueda
    * @param {string} [filters.role] - Rol del usuario
    * @param {string} [filters.status] - Estado del usuario
-   * @param {string} [filters.search] - Término de búsqueda para nombre o email
-   * @param {number} [limit=10] - Límite de resultados
-   * @param {string} [startAfter] - ID del último documento para paginación
-   * @returns {Promise<Array>} Lista de usuarios que coinciden con los criterios
+   * @param {string} [filters.search] - Término de búsqueda (prefijo de nombre, email o
+   *   teléfono; sin distinguir mayúsculas ni tildes)
+   * @returns {Object} Consulta de Firestore
+   */
+  static filteredQuery({ role, status, search } = {}) {
+    let query = this.collection;
+
+    if (role) {
+      query = query.where('role', '==', role);
+    }
+
+    // Solo aplicar filtro de estado si se especifica explícitamente
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    // Búsqueda por nombre, email o teléfono en el índice searchTokens
+    if (search) {
+      query = query.where('searchTokens', 'array-contains', normalizeSearchTerm(search));
+    }
+
+    return query;
+  }
+
+  /**
+   * Busca usuarios según criterios, una página cada vez
+   * Los perfiles sin el campo de orden (por ejemplo sin lastLogin) no aparecen
+   * al ordenar por ese campo.
+   * @param {Object} filters - Filtros de búsqueda (ver filteredQuery)
+   * @param {Object} [page] - Paginación
+   * @param {number} [page.limit=20] - Tamaño de la página
+   * @param {string} [page.cursor] - nextCursor de la página anterior
+   * @param {string} [page.sort='-createdAt'] - Campo de orden (SORT_FIELDS), con "-" para descendente
+   * @returns {Promise<Object>} { users, nextCursor } con nextCursor null en la última página
+   * @throws {Error} Con code INVALID_SORT o INVALID_CURSOR si la paginación no es válida
    */
-  static async searchUsers({ role, status, search } = {}, limit = 10, startAfter = null) {
+  static async searchUsers(filters = {}, { limit = 20, cursor = null, sort = '-createdAt' } = {}) {
+    const { field, direction } = parseSort(sort, this.SORT_FIELDS);
+    const startAfter = cursor ? decodeCursor(cursor, sort) : null;
+
     try {
-      let query = this.collection;
-      logger.debug('Initial query:', { role, status, search, limit, startAfter });
-      
-      // Aplicar filtros
-      if (role) {
-        query = query.where('role', '==', role);
-        logger.debug('Added role filter:', role);
-      }
-      
-      // Solo aplicar filtro de estado si se especifica explícitamente
-      if (status) {
-        query = query.where('status', '==', status);
-        logger.debug('Added status filter:', status);
-      }
-      
-      // Búsqueda por email o nombre
-      if (search) {
-        const searchTerm = search.toLowerCase();
-        // Buscar en el email (que está en personalInfo.email) o en el nombre
-        query = query.where('personalInfo.email', '>=', searchTerm)
-                   .where('personalInfo.email', '<=', searchTerm + '\uf8ff');
-        logger.debug('Added search filter:', searchTerm);
-      }
-      
-      // Ordenar por fecha de creación descendente
-      query = query.orderBy('createdAt', 'desc');
-      
-      // Paginación
+      logger.debug('Búsqueda de usuarios:', { filters, limit, sort, cursor: Boolean(cursor) });
+
+      let query = this.filteredQuery(filters)
+        .orderBy(field, direction)
+        .orderBy(admin.firestore.FieldPath.documentId(), direction);
+
       if (startAfter) {
-        const lastDoc = await this.collection.doc(startAfter).get();
-        query = query.startAfter(lastDoc);
+        query = query.startAfter(...startAfter);
       }
-      
-      // Mostrar la consulta final
-      logger.debug('Query final:', {
-        filters: { role, status, search },
-        limit,
-        startAfter
-      });
-      
-      // Ejecutar consulta
-      const snapshot = await query.limit(limit).get();
-      logger.debug(`Encontrados ${snapshot.size} usuarios que coinciden con la consulta`);
-      
-      // Mapear resultados
-      const users = [];
-      snapshot.forEach(doc => {
-        const userData = doc.data();
-        logger.debug(`Usuario encontrado (${doc.id}):`, {
-          id: doc.id,
-          role: userData.role,
-          status: userData.status,
-          email: userData.email
-        });
-        
+
+      // Un documento de más indica si hay otra página
+      const snapshot = await query.limit(limit + 1).get();
+      const docs = snapshot.docs.slice(0, limit);
+      const hasMore = snapshot.size > limit;
+
+      logger.debug(`Encontrados ${docs.length} usuarios que coinciden con la consulta`);
+
+      return {
         // Eliminar campos sensibles
-        const { password, tokens, ...safeUserData } = userData;
-        users.push({
-          id: doc.id,
-          ...safeUserData
-        });
-      });
-      
-      logger.debug(`Devolviendo ${users.length} usuarios`);
-      return users;
+        users: docs.map(doc => this.toPublicProfile({ id: doc.id, ...doc.data() })),
+        nextCursor: hasMore ? encodeCursor(sort, docs[docs.length - 1], field) : null
+      };
     } catch (error) {
       logger.error('Error al buscar usuarios:', error);
       throw new Error('Error al buscar usuarios');
     }
   }
 
+  /**
+   * Cuenta los usuarios que coinciden con los filtros (consulta de agregación)
+   * @param {Object} filters - Filtros de búsqueda (ver filteredQuery)
+   * @returns {Promise<number>} Número total de usuarios
+   */
+  static async countUsers(filters = {}) {
+    try {
+      const snapshot = await this.filteredQuery(filters).count().get();
+      return snapshot.data().count;
+    } catch (error) {
+      logger.error('Error al contar usuarios:', error);
+      throw new Error('Error al contar usuarios');
+    }
+  }
+
+  /**
+   * Recalcula el índice de búsqueda de una página de perfiles (job reindexUsers)
+   * Los perfiles sin displayName lo toman de Firebase Auth: los creados antes
+   * de guardarlo en el perfil solo lo tenían allí.
+   * @param {string} [startAfter] - ID del último perfil de la página anterior
+   * @param {number} [limit=100] - Tamaño de la página (máximo de auth.getUsers)
+   * @returns {Promise<Object>} { processed, updated, lastId } con lastId null si no quedan perfiles
+   */
+  static async reindexPage(startAfter = null, limit = 100) {
+    try {
+      let query = this.collection.orderBy(admin.firestore.FieldPath.documentId()).limit(limit);
+      if (startAfter) {
+        query = query.startAfter(startAfter);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) {
+        return { processed: 0, updated: 0, lastId: null };
+      }
+
+      const withoutName = snapshot.docs.filter(doc => !doc.get('displayName'));
+      const authNames = new Map();
+      if (withoutName.length > 0) {
+        const { users } = await auth.getUsers(withoutName.map(doc => ({ uid: doc.id })));
+        users
+          .filter(authUser => authUser.displayName)
+          .forEach(authUser => authNames.set(authUser.uid, authUser.displayName));
+      }
+
+      const batch = db.batch();
+      const updatedIds = [];
+      snapshot.docs.forEach((doc) => {
+        const profile = doc.data();
+        const updates = {};
+
+        if (!profile.displayName && authNames.has(doc.id)) {
+          updates.displayName = authNames.get(doc.id);
+        }
+
+        const tokens = buildSearchTokens({ ...profile, ...updates });
+        if (tokens.join('\n') !== (profile.searchTokens || []).join('\n')) {
+          updates.searchTokens = tokens;
+        }
+
+        if (Object.keys(updates).length > 0) {
+          batch.update(doc.ref, updates);
+          updatedIds.push(doc.id);
+        }
+      });
+
+      if (updatedIds.length > 0) {
+        await batch.commit();
+        updatedIds.forEach(uid => this.invalidateCache(uid));
+      }
+
+      return {
+        processed: snapshot.size,
+        updated: updatedIds.length,
+        lastId: snapshot.docs[snapshot.size - 1].id
+      };
+    } catch (error) {
+      logger.error('Error al reindexar usuarios:', error);
+      throw new Error('Error al reindexar los usuarios');
+    }
+  }
+
+  /**
+   * Perfil apto para respuestas de la API (sin campos sensibles)
+   * @param {Object} user - Datos completos del usuario
+   * @returns {Object} Perfil sin SENSITIVE_FIELDS e indicador mfaEnabled
+   */
+  static toPublicProfile(user) {
+    const profile = { ...user };
+    this.SENSITIVE_FIELDS.forEach(field => delete profile[field]);
+    profile.mfaEnabled = Boolean(user.mfa && user.mfa.enabled);
+    return profile;
+  }
+
+  /**
+   * Proyección restringida del perfil de un paciente para su equipo de atención
+   * @param {Object} user - Datos completos del usuario
+   * @returns {Object} Solo los campos de CARE_TEAM_PROFILE_FIELDS
+   */
+  static toCareTeamProjection(user) {
+    const projection = { id: user.id };
+
+    CARE_TEAM_PROFILE_FIELDS.forEach(field => {
+      const [parent, child] = field.split('.');
+
+      if (!child) {
+        if (user[parent] !== undefined) projection[parent] = user[parent];
+        return;
+      }
+
+      if (user[parent] && user[parent][child] !== undefined) {
+        projection[parent] = { ...projection[parent], [child]: user[parent][child] };
+      }
+    });
+
+    return projection;
+  }
+
   /**
    * Elimina un usuario (soft delete)
+   * El perfil queda con estado 'deleted' hasta que el job purgeDeletedUsers lo
+   * borra; guarda el estado anterior y si la cuenta de Auth ya estaba
+   * deshabilitada para devolver ambos al restaurarla.
    * @param {string} uid - ID del usuario a eliminar
-   * @returns {Promise<boolean>} true si se eliminó correctamente
+   * @param {Object} deletion - Datos de la eliminación
+   * @param {string} deletion.deletedBy - ID de quien elimina
+   * @param {Date} deletion.purgeAfter - Fecha a partir de la cual se borra definitivamente
+   * @param {boolean} [deletion.authDisabled=false] - La cuenta de Auth ya estaba deshabilitada
+   * @returns {Promise<Object|null>} Usuario eliminado o null si no existe o ya estaba eliminado
    */
-  static async deleteUser(uid) {
+  static async deleteUser(uid, { deletedBy, purgeAfter, authDisabled = false }) {
     try {
       const userRef = this.collection.doc(uid);
-      const now = admin.firestore.FieldValue.serverTimestamp();
-      
-      // Soft delete: actualizar el estado en lugar de eliminar el documento
-      await userRef.update({
-        status: 'deleted',
-        deletedAt: now,
-        updatedAt: now
+
+      const deleted = await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists || userDoc.data().status === 'deleted') {
+          return null;
+        }
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const updates = {
+          status: 'deleted',
+          statusBeforeDeletion: userDoc.data().status || 'active',
+          authDisabledBeforeDeletion: authDisabled,
+          deletedAt: now,
+          deletedBy,
+          purgeAfter,
+          updatedAt: now
+        };
+        transaction.update(userRef, updates);
+
+        return { id: uid, ...userDoc.data(), ...updates };
       });
-      
-      return true;
+
+      this.invalidateCache(uid);
+      return deleted;
     } catch (error) {
       logger.error('Error al eliminar usuario:', error);
       throw new Error('Error al eliminar el usuario');
     }
   }
+
+  /**
+   * Restaura un usuario eliminado con el estado que tenía antes
+   * @param {string} uid - ID del usuario
+   * @param {string} restoredBy - ID de quien restaura
+   * @returns {Promise<Object|null>} Usuario restaurado o null si no estaba eliminado
+   */
+  static async restoreUser(uid, restoredBy) {
+    try {
+      const userRef = this.collection.doc(uid);
+
+      const restored = await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists || userDoc.data().status !== 'deleted') {
+          return null;
+        }
+
+        const {
+          statusBeforeDeletion,
+          authDisabledBeforeDeletion,
+          deletedAt,
+          deletedBy,
+          purgeAfter,
+          ...data
+        } = userDoc.data();
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        const remove = admin.firestore.FieldValue.delete();
+        const status = statusBeforeDeletion || 'active';
+        transaction.update(userRef, {
+          status,
+          restoredAt: now,
+          restoredBy,
+          updatedAt: now,
+          statusBeforeDeletion: remove,
+          authDisabledBeforeDeletion: remove,
+          deletedAt: remove,
+          deletedBy: remove,
+          purgeAfter: remove
+        });
+
+        return { id: uid, ...data, status, restoredBy };
+      });
+
+      this.invalidateCache(uid);
+      return restored;
+    } catch (error) {
+      logger.error('Error al restaurar el usuario:', error);
+      throw new Error('Error al restaurar el usuario');
+    }
+  }
+
+  /**
+   * Página de perfiles eliminados (job purgeDeletedUsers)
+   * Se recorren todos los eliminados y quien llama decide cuáles vencieron:
+   * los eliminados antes de guardar purgeAfter solo tienen deletedAt.
+   * @param {string} [startAfter] - ID del último perfil de la página anterior
+   * @param {number} [limit=100] - Tamaño de la página
+   * @returns {Promise<Array>} Perfiles eliminados (con id)
+   */
+  static async getDeletedPage(startAfter = null, limit = 100) {
+    try {
+      let query = this.collection
+        .where('status', '==', 'deleted')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(limit);
+      if (startAfter) {
+        query = query.startAfter(startAfter);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error('Error al listar usuarios eliminados:', error);
+      throw new Error('Error al listar los usuarios eliminados');
+    }
+  }
+
+  /**
+   * Borra definitivamente el documento de un perfil
+   * @param {string} uid - ID del usuario
+   */
+  static async purgeUser(uid) {
+    try {
+      await this.collection.doc(uid).delete();
+      this.invalidateCache(uid);
+    } catch (error) {
+      logger.error('Error al purgar el usuario:', error);
+      throw new Error('Error al purgar el usuario');
+    }
+  }
+
 }
 
 module.exports = UserModel;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { requireMfa } = require('../middleware/mfa');
+const { validate, validateQueryParams } = require('../middleware/validation');
+const { body, param } = require('express-validator');
+const {
+  assignPatient,
+  unassignPatient,
+  listRelationships
+} = require('../controllers/careTeamController');
+
+const uidField = (field, label) => body(field)
+  .isString()
+  .withMessage(`ID de ${label} inválido`)
+  .trim()
+  .notEmpty()
+  .withMessage(`El ID de ${label} es requerido`);
+
+/**
+ * @openapi
+ * tags:
+ *   name: CareTeam
+ *   description: Vínculos entre médicos y pacientes
+ */
+
+router.use(isAuthenticated);
+router.use(requireMfa);
+
+router.get(
+  '/',
+  requirePermission('careTeam:read'),
+  validateQueryParams(['doctorId', 'patientId']),
+  listRelationships
+);
+
+router.post(
+  '/',
+  requirePermission('careTeam:write'),
+  [
+    uidField('doctorId', 'médico'),
+    uidField('patientId', 'paciente')
+  ],
+  validate,
+  assignPatient
+);
+
+router.delete(
+  '/:doctorId/:patientId',
+  requirePermission('careTeam:write'),
+  [
+    param('doctorId').trim().notEmpty().withMessage('El ID de médico es requerido'),
+    param('patientId').trim().notEmpty().withMessage('El ID de paciente es requerido')
+  ],
+  validate,
+  unassignPatient
+);
+
+module.exports = router;
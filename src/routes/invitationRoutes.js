@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { requireMfa } = require('../middleware/mfa');
+const {
+  validate,
+  validateQueryParams,
+  passwordRules,
+  personalInfoRules,
+  preferencesRules
+} = require('../middleware/validation');
+const { rejectBlockedIp } = require('../middleware/bruteForce');
+const { rateLimit } = require('../middleware/rateLimit');
+const { body, param, query } = require('express-validator');
+const policy = require('../utils/policy');
+const InvitationModel = require('../models/invitationModel');
+const {
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation
+} = require('../controllers/invitationController');
+
+const invitationIdParam = param('id')
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('El ID de la invitación es requerido');
+
+/**
+ * @openapi
+ * tags:
+ *   name: Invitations
+ *   description: Invitaciones para crear cuentas
+ */
+
+// Ruta pública: el invitado acepta la invitación con el token del correo
+router.post(
+  '/accept',
+  rateLimit({ name: 'accept-invitation:ip', max: 10, windowMs: 15 * 60 * 1000 }),
+  rejectBlockedIp,
+  [
+    body('token')
+      .isString()
+      .withMessage('Token inválido')
+      .notEmpty()
+      .withMessage('El token es requerido'),
+    passwordRules('password'),
+    body('displayName')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('El nombre es requerido'),
+    ...personalInfoRules(),
+    ...preferencesRules()
+  ],
+  validate,
+  acceptInvitation
+);
+
+router.use(isAuthenticated);
+router.use(requireMfa);
+
+router.get(
+  '/',
+  requirePermission('invitations:read'),
+  validateQueryParams(['status']),
+  [
+    query('status')
+      .optional()
+      .isIn(InvitationModel.STATUSES)
+      .withMessage('Estado inválido')
+  ],
+  validate,
+  listInvitations
+);
+
+router.post(
+  '/',
+  requirePermission('invitations:write'),
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Correo electrónico inválido')
+      .normalizeEmail(),
+    body('role')
+      .custom(async (role) => {
+        if (!(await policy.isKnownRole(role))) {
+          throw new Error('Rol inválido');
+        }
+        return true;
+      }),
+    body('professionalInfo')
+      .optional()
+      .isObject()
+      .withMessage('La información profesional debe ser un objeto')
+  ],
+  validate,
+  createInvitation
+);
+
+router.post(
+  '/:id/resend',
+  requirePermission('invitations:write'),
+  [invitationIdParam],
+  validate,
+  resendInvitation
+);
+
+router.delete(
+  '/:id',
+  requirePermission('invitations:write'),
+  [invitationIdParam],
+  validate,
+  revokeInvitation
+);
+
+module.exports = router;
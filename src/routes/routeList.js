@@ -6,6 +6,12 @@ const app = express();
 
 // Importar y configurar las rutas
 const userRoutes = require('./userRoutes');
+const careTeamRoutes = require('./careTeamRoutes');
+const invitationRoutes = require('./invitationRoutes');
+const tenantRoutes = require('./tenantRoutes');
+app.use('/api/tenants', tenantRoutes);
+app.use('/api/care-team', careTeamRoutes);
+app.use('/api/invitations', invitationRoutes);
 app.use('/api', userRoutes);
 
 // Ruta de verificación de email (debe estar antes de las rutas de API para evitar conflictos)
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { requireMfa } = require('../middleware/mfa');
+const { requirePlatformScope } = require('../middleware/tenant');
+const { validate } = require('../middleware/validation');
+const { body } = require('express-validator');
+const { createTenant, listTenants } = require('../controllers/tenantController');
+
+/**
+ * @openapi
+ * tags:
+ *   name: Tenants
+ *   description: Clínicas (tenants de Firebase Auth)
+ */
+
+// Solo la administración de la plataforma gestiona clínicas
+router.use(requirePlatformScope);
+router.use(isAuthenticated);
+router.use(requireMfa);
+
+router.get('/', requirePermission('tenants:read'), listTenants);
+
+router.post(
+  '/',
+  requirePermission('tenants:write'),
+  [
+    // Restricciones de Firebase Auth para el nombre de un tenant
+    body('displayName')
+      .isString()
+      .matches(/^[a-zA-Z][a-zA-Z0-9-]{3,19}$/)
+      .withMessage('El nombre debe empezar por una letra y tener entre 4 y 20 letras, números o guiones'),
+    body('slug')
+      .isString()
+      .matches(/^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/)
+      .withMessage('El slug debe ser un subdominio válido en minúsculas'),
+    body('adminEmail')
+      .optional()
+      .isEmail()
+      .withMessage('Correo electrónico inválido')
+      .normalizeEmail()
+  ],
+  validate,
+  createTenant
+);
+
+module.exports = router;
@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { isAdmin, isAuthenticated } = require('../middleware/auth');
-const { validate } = require('../middleware/validation');
+const { isAuthenticated, requirePermission, isOwnerAdminOrCareTeam } = require('../middleware/auth');
+const {
+  validate,
+  validateQueryParams,
+  passwordRules,
+  emailRules,
+  roleValidation,
+  newUserRules,
+  personalInfoRules,
+  preferencesRules,
+  profileUpdateRules
+} = require('../middleware/validation');
 const { body, param, query } = require('express-validator');
 const {
   createUser,
@@ -9,13 +19,60 @@ const {
   getUserById,
   updateUser,
   deleteUser,
+  restoreUser,
   getCurrentUser,
   requestPasswordReset,
   resetPassword,
   verifyEmail,
   updateProfile,
-  changePassword
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+  revokeMySessions,
+  revokeUserSessions,
+  unlockUser,
+  getProfileCacheStats,
+  getMyPatients
 } = require('../controllers/userController');
+const {
+  register,
+  createSession,
+  logout,
+  requestMagicLink,
+  redeemMagicLink,
+  createCustomToken,
+  introspectToken
+} = require('../controllers/authController');
+const { isService, allowServiceOr } = require('../middleware/serviceAuth');
+const { requireMfa } = require('../middleware/mfa');
+const { rejectBlockedIp } = require('../middleware/bruteForce');
+const { requirePlatformScope } = require('../middleware/tenant');
+const { rateLimit, keyBy } = require('../middleware/rateLimit');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifyStepUp,
+  resetUserMfa
+} = require('../controllers/mfaController');
+const { getRoles, updateRolePermissions } = require('../controllers/roleController');
+const { importUsers, exportUsers } = require('../controllers/bulkUserController');
+const {
+  approveCredentials,
+  rejectCredentials,
+  getCredentialHistory,
+  getMyCredentials,
+  resubmitCredentials
+} = require('../controllers/credentialReviewController');
+const {
+  requestMyExport,
+  downloadMyExport,
+  requestUserExport,
+  downloadUserExport
+} = require('../controllers/dataExportController');
+const UserModel = require('../models/userModel');
+const { PERMISSIONS, SUPER_ROLE } = require('../config/permissions');
+const { USER_IMPORT } = require('../config/constants');
 
 // Validaciones comunes
 const userIdParam = param('id')
@@ -25,20 +82,38 @@ const userIdParam = param('id')
   .notEmpty()
   .withMessage('El ID de usuario es requerido');
 
-const emailValidation = body('email')
-  .isEmail()
-  .withMessage('Correo electrónico inválido')
-  .normalizeEmail();
-
-const passwordValidation = body('password')
-  .isLength({ min: 8 })
-  .withMessage('La contraseña debe tener al menos 8 caracteres')
-  .matches(/[0-9]/, 'g')
-  .withMessage('La contraseña debe contener al menos un número')
-  .matches(/[A-Z]/, 'g')
-  .withMessage('La contraseña debe contener al menos una letra mayúscula')
-  .matches(/[^A-Za-z0-9]/, 'g')
-  .withMessage('La contraseña debe contener al menos un carácter especial');
+const exportIdParam = param('exportId')
+  .isString()
+  .withMessage('ID de exportación inválido')
+  .trim()
+  .notEmpty()
+  .withMessage('El ID de exportación es requerido');
+
+const emailValidation = emailRules();
+
+const passwordValidation = passwordRules('password');
+
+// Límites de tasa de las rutas públicas (ventana deslizante)
+// Los de solicitud de restablecimiento también cubren los enlaces de inicio de
+// sesión: ambos envían correos a la cuenta y comparten el presupuesto
+const MINUTE = 60 * 1000;
+const rateLimits = {
+  passwordResetRequestByIp: rateLimit({ name: 'password-reset-request:ip', max: 10, windowMs: 15 * MINUTE }),
+  passwordResetRequestByEmail: rateLimit({
+    name: 'password-reset-request:email',
+    max: 3,
+    windowMs: 60 * MINUTE,
+    key: keyBy.bodyEmail
+  }),
+  resetPasswordByIp: rateLimit({ name: 'reset-password:ip', max: 10, windowMs: 15 * MINUTE }),
+  verifyEmailByIp: rateLimit({ name: 'verify-email:ip', max: 20, windowMs: 15 * MINUTE }),
+  redeemMagicLinkByIp: rateLimit({ name: 'magic-link-redeem:ip', max: 10, windowMs: 15 * MINUTE }),
+  emailChangeLinkByIp: rateLimit({ name: 'email-change-link:ip', max: 10, windowMs: 15 * MINUTE }),
+  registerByIp: rateLimit({ name: 'register:ip', max: 5, windowMs: 60 * MINUTE }),
+  // Un código TOTP tiene 6 dígitos: sin límite se podría adivinar con el primer factor robado
+  mfaCodeByIp: rateLimit({ name: 'mfa-code:ip', max: 20, windowMs: 15 * MINUTE }),
+  mfaCodeByUser: rateLimit({ name: 'mfa-code:user', max: 10, windowMs: 15 * MINUTE, key: keyBy.user })
+};
 
 /**
  * @openapi
@@ -48,8 +123,38 @@ const passwordValidation = body('password')
  */
 
 // Rutas públicas de autenticación
+router.post(
+  '/auth/register',
+  rateLimits.registerByIp,
+  [
+    emailValidation,
+    passwordValidation,
+    body('displayName')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('El nombre es requerido'),
+    body('role')
+      .optional()
+      .equals('patient')
+      .withMessage('El registro público solo permite cuentas de paciente'),
+    body('acceptTerms')
+      .custom(value => value === true)
+      .withMessage('Debes aceptar los términos del servicio'),
+    body('inviteToken')
+      .optional()
+      .isString()
+      .withMessage('Invitación inválida'),
+    ...personalInfoRules(),
+    ...preferencesRules()
+  ],
+  validate,
+  register
+);
+
 router.post(
   '/auth/request-password-reset',
+  rateLimits.passwordResetRequestByIp,
   [
     body('email')
       .isEmail()
@@ -57,18 +162,21 @@ router.post(
       .normalizeEmail()
   ],
   validate,
+  rateLimits.passwordResetRequestByEmail,
   requestPasswordReset
 );
 
 router.post(
   '/auth/reset-password',
+  rateLimits.resetPasswordByIp,
+  rejectBlockedIp,
   [
     body('token')
       .isString()
       .withMessage('Token inválido')
       .notEmpty()
       .withMessage('El token es requerido'),
-    passwordValidation
+    passwordRules('newPassword')
   ],
   validate,
   resetPassword
@@ -76,6 +184,8 @@ router.post(
 
 router.get(
   '/auth/verify-email',
+  rateLimits.verifyEmailByIp,
+  rejectBlockedIp,
   [
     query('token')
       .isString()
@@ -87,80 +197,363 @@ router.get(
   verifyEmail
 );
 
-// Rutas protegidas (requieren autenticación)
-router.use(isAuthenticated);
+router.post(
+  '/auth/magic-link',
+  rateLimits.passwordResetRequestByIp,
+  [
+    emailRules()
+  ],
+  validate,
+  rateLimits.passwordResetRequestByEmail,
+  requestMagicLink
+);
 
-// Perfil del usuario actual
-router.get('/users/me', getCurrentUser);
-router.put(
-  '/users/me',
+router.post(
+  '/auth/magic-link/redeem',
+  rateLimits.redeemMagicLinkByIp,
+  rejectBlockedIp,
   [
-    body('personalInfo.firstName')
-      .optional()
+    body('token')
       .isString()
-      .trim()
+      .withMessage('Token inválido')
       .notEmpty()
-      .withMessage('El nombre es requerido'),
-    body('personalInfo.lastName')
+      .withMessage('El token es requerido'),
+    body('mode')
       .optional()
+      .isIn(['custom_token', 'session'])
+      .withMessage('El modo debe ser custom_token o session')
+  ],
+  validate,
+  redeemMagicLink
+);
+
+router.post(
+  '/auth/confirm-email-change',
+  rateLimits.emailChangeLinkByIp,
+  rejectBlockedIp,
+  [
+    body('token')
       .isString()
-      .trim()
+      .withMessage('Token inválido')
       .notEmpty()
-      .withMessage('El apellido es requerido'),
-    body('personalInfo.phone')
+      .withMessage('El token es requerido')
+  ],
+  validate,
+  confirmEmailChange
+);
+
+router.post(
+  '/auth/revert-email-change',
+  rateLimits.emailChangeLinkByIp,
+  rejectBlockedIp,
+  [
+    body('token')
+      .isString()
+      .withMessage('Token inválido')
+      .notEmpty()
+      .withMessage('El token es requerido')
+  ],
+  validate,
+  revertEmailChange
+);
+
+router.post(
+  '/auth/session',
+  [
+    body('idToken')
+      .isString()
+      .withMessage('Token inválido')
+      .notEmpty()
+      .withMessage('El ID token es requerido')
+  ],
+  validate,
+  createSession
+);
+
+router.post('/auth/logout', logout);
+
+// Rutas para microservicios internos (credencial de servicio)
+router.post(
+  '/auth/introspect',
+  isService,
+  express.urlencoded({ extended: false }),
+  [
+    body('token')
+      .isString()
+      .withMessage('Token inválido')
+      .notEmpty()
+      .withMessage('El token es requerido'),
+    body('token_type_hint')
       .optional()
+      .isIn(['id_token', 'session_cookie'])
+      .withMessage('Tipo de token no soportado')
+  ],
+  validate,
+  introspectToken
+);
+
+// Accesible para servicios o para usuarios con el permiso tokens:mint
+router.post(
+  '/auth/custom-token',
+  allowServiceOr(isAuthenticated, requireMfa, requirePermission('tokens:mint')),
+  [
+    body('uid')
       .isString()
+      .withMessage('ID de usuario inválido')
       .trim()
-      .matches(/^[0-9\-\+\(\)\s]+$/, 'g')
-      .withMessage('Número de teléfono inválido'),
-    body('preferences')
+      .notEmpty()
+      .withMessage('El ID de usuario es requerido'),
+    body('additionalClaims')
       .optional()
       .isObject()
-      .withMessage('Las preferencias deben ser un objeto')
+      .withMessage('Los claims adicionales deben ser un objeto')
   ],
   validate,
+  createCustomToken
+);
+
+// Rutas protegidas (requieren autenticación)
+router.use(isAuthenticated);
+
+// Perfil del usuario actual
+router.get('/users/me', getCurrentUser);
+router.put(
+  '/users/me',
+  profileUpdateRules(),
+  validate,
   updateProfile
 );
 
 router.post(
   '/users/me/change-password',
+  rejectBlockedIp,
   [
     body('currentPassword')
       .isString()
       .withMessage('Contraseña actual inválida')
       .notEmpty()
       .withMessage('La contraseña actual es requerida'),
-    passwordValidation
+    passwordRules('newPassword')
   ],
   validate,
   changePassword
 );
 
-// Rutas de administrador (requieren rol de admin)
-router.use(isAdmin);
+router.post(
+  '/users/me/email',
+  rejectBlockedIp,
+  [
+    body('newEmail')
+      .isEmail()
+      .withMessage('Correo electrónico inválido')
+      .normalizeEmail(),
+    body('currentPassword')
+      .optional()
+      .isString()
+      .withMessage('Contraseña actual inválida')
+      .notEmpty()
+      .withMessage('La contraseña actual es requerida')
+  ],
+  validate,
+  requestEmailChange
+);
+
+router.post('/users/me/revoke-sessions', revokeMySessions);
+
+// Revisión de credenciales del médico actual (accesible mientras está pendiente)
+router.get('/users/me/credentials', getMyCredentials);
 
 router.post(
-  '/users',
+  '/users/me/credentials',
   [
-    emailValidation,
-    passwordValidation,
-    body('role')
-      .isIn(['admin', 'doctor', 'patient'])
-      .withMessage('Rol inválido'),
-    body('displayName')
+    body('professionalInfo')
+      .optional()
+      .isObject()
+      .withMessage('La información profesional debe ser un objeto'),
+    body('professionalInfo.licenseNumber')
+      .optional()
       .isString()
       .trim()
       .notEmpty()
-      .withMessage('El nombre es requerido'),
+      .withMessage('El número de licencia no puede estar vacío')
+  ],
+  validate,
+  resubmitCredentials
+);
+
+// Autenticación multifactor (TOTP)
+const mfaCodeValidation = body('code')
+  .matches(/^\d{6}$/)
+  .withMessage('El código debe tener 6 dígitos');
+
+router.post('/auth/mfa/enroll', startEnrollment);
+
+router.post(
+  '/auth/mfa/enroll/confirm',
+  rateLimits.mfaCodeByIp,
+  rateLimits.mfaCodeByUser,
+  rejectBlockedIp,
+  [mfaCodeValidation],
+  validate,
+  confirmEnrollment
+);
+
+router.post(
+  '/auth/mfa/verify',
+  rateLimits.mfaCodeByIp,
+  rateLimits.mfaCodeByUser,
+  rejectBlockedIp,
+  [
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .matches(/^\d{6}$/)
+      .withMessage('Se requiere un código de 6 dígitos o un código de recuperación'),
+    body('recoveryCode')
+      .optional()
+      .isString()
+      .withMessage('Código de recuperación inválido')
   ],
   validate,
+  verifyStepUp
+);
+
+// A partir de aquí los roles de MFA_REQUIRED_ROLES necesitan una verificación MFA reciente
+router.use(requireMfa);
+
+router.get('/users/me/patients', requirePermission('patients:read'), getMyPatients);
+
+// Copia de los datos del usuario actual ("descargar mis datos")
+router.get('/users/me/export', requestMyExport);
+
+router.get(
+  '/users/me/export/:exportId/download',
+  [exportIdParam],
+  validate,
+  downloadMyExport
+);
+
+// Rutas de administración (requieren permisos específicos)
+router.post(
+  '/users',
+  requirePermission('users:write'),
+  [...newUserRules(), ...preferencesRules()],
+  validate,
   createUser
 );
 
-router.get('/users', getAllUsers);
+// Importación masiva: el archivo llega como texto (CSV o NDJSON), no como JSON
+router.post(
+  '/users/import',
+  requirePermission('users:write'),
+  express.text({
+    type: ['text/csv', 'application/x-ndjson', 'application/ndjson', 'text/plain'],
+    limit: USER_IMPORT.maxBodySize
+  }),
+  validateQueryParams(['dryRun', 'sendEmails', 'format']),
+  [
+    query(['dryRun', 'sendEmails'])
+      .optional()
+      .isBoolean()
+      .withMessage('Debe ser true o false')
+      .toBoolean(),
+    query('format')
+      .optional()
+      .isIn(['csv', 'ndjson'])
+      .withMessage('Formato inválido; usa csv o ndjson')
+  ],
+  validate,
+  importUsers
+);
+
+router.get(
+  '/users',
+  requirePermission('users:read'),
+  validateQueryParams(['role', 'status', 'search', 'limit', 'cursor', 'sort']),
+  [
+    query('search')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('La búsqueda debe tener entre 2 y 100 caracteres'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('El límite debe ser un número entre 1 y 100')
+      .toInt(),
+    query('cursor')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Cursor inválido'),
+    query('sort')
+      .optional()
+      .isIn(UserModel.SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+      .withMessage(`Orden inválido; usa uno de: ${UserModel.SORT_FIELDS.join(', ')} (con "-" para descendente)`)
+  ],
+  validate,
+  getAllUsers
+);
+
+router.get(
+  '/users/export',
+  requirePermission('users:export'),
+  validateQueryParams(['role', 'status', 'search', 'sort', 'format', 'columns']),
+  [
+    query('search')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('La búsqueda debe tener entre 2 y 100 caracteres'),
+    query('sort')
+      .optional()
+      .isIn(UserModel.SORT_FIELDS.flatMap(field => [field, `-${field}`]))
+      .withMessage(`Orden inválido; usa uno de: ${UserModel.SORT_FIELDS.join(', ')} (con "-" para descendente)`),
+    query('format')
+      .optional()
+      .isIn(['csv', 'ndjson'])
+      .withMessage('Formato inválido; usa csv o ndjson'),
+    query('columns')
+      .optional()
+      .isString()
+      .withMessage('Las columnas deben ser una lista separada por comas')
+  ],
+  validate,
+  exportUsers
+);
+
+router.get('/admin/profile-cache', requirePermission('system:read'), getProfileCacheStats);
+
+router.get('/roles', requirePermission('roles:read'), getRoles);
+
+// El mapa de roles es común a todas las clínicas
+router.put(
+  '/roles/:role',
+  requirePlatformScope,
+  requirePermission('roles:write'),
+  [
+    param('role')
+      .matches(/^[a-z][a-z0-9_-]{1,31}$/)
+      .withMessage('Nombre de rol inválido')
+      .not()
+      .equals(SUPER_ROLE)
+      .withMessage(`Los permisos del rol ${SUPER_ROLE} no se pueden modificar`),
+    body('permissions')
+      .isArray()
+      .withMessage('Los permisos deben ser una lista'),
+    body('permissions.*')
+      .isIn(Object.keys(PERMISSIONS))
+      .withMessage('Permiso desconocido')
+  ],
+  validate,
+  updateRolePermissions
+);
 
+// También accesible para el propio usuario y para los médicos asignados al paciente
 router.get(
   '/users/:id',
+  isOwnerAdminOrCareTeam('id'),
   [userIdParam],
   validate,
   getUserById
@@ -168,27 +561,113 @@ router.get(
 
 router.put(
   '/users/:id',
+  requirePermission('users:write'),
   [
     userIdParam,
-    emailValidation.optional(),
-    body('role')
-      .optional()
-      .isIn(['admin', 'doctor', 'patient'])
-      .withMessage('Rol inválido'),
+    emailRules().optional(),
+    roleValidation().optional(),
     body('status')
       .optional()
       .isIn(['active', 'inactive', 'suspended'])
-      .withMessage('Estado inválido')
+      .withMessage('Estado inválido'),
+    body('disabled')
+      .optional()
+      .isBoolean()
+      .withMessage('El campo disabled debe ser booleano')
   ],
   validate,
   updateUser
 );
 
+router.post(
+  '/users/:id/revoke-sessions',
+  requirePermission('users:write'),
+  [userIdParam],
+  validate,
+  revokeUserSessions
+);
+
+router.post(
+  '/users/:id/unlock',
+  requirePermission('users:write'),
+  [userIdParam],
+  validate,
+  unlockUser
+);
+
+router.get(
+  '/users/:id/credentials/history',
+  requirePermission('credentials:review'),
+  [userIdParam],
+  validate,
+  getCredentialHistory
+);
+
+router.post(
+  '/users/:id/credentials/approve',
+  requirePermission('credentials:review'),
+  [
+    userIdParam,
+    body('notes').optional().isString().trim()
+  ],
+  validate,
+  approveCredentials
+);
+
+router.post(
+  '/users/:id/credentials/reject',
+  requirePermission('credentials:review'),
+  [
+    userIdParam,
+    body('notes')
+      .isString()
+      .withMessage('Las notas deben ser texto')
+      .trim()
+      .notEmpty()
+      .withMessage('El motivo del rechazo es requerido')
+  ],
+  validate,
+  rejectCredentials
+);
+
+router.delete(
+  '/users/:id/mfa',
+  requirePermission('users:write'),
+  [userIdParam],
+  validate,
+  resetUserMfa
+);
+
 router.delete(
   '/users/:id',
+  requirePermission('users:delete'),
   [userIdParam],
   validate,
   deleteUser
 );
 
+router.post(
+  '/users/:id/export',
+  requirePermission('users:export'),
+  [userIdParam],
+  validate,
+  requestUserExport
+);
+
+router.get(
+  '/users/:id/export/:exportId/download',
+  requirePermission('users:export'),
+  [userIdParam, exportIdParam],
+  validate,
+  downloadUserExport
+);
+
+router.post(
+  '/users/:id/restore',
+  requirePermission('users:delete'),
+  [userIdParam],
+  validate,
+  restoreUser
+);
+
 module.exports = router;
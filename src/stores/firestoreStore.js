@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+
+/**
+ * Almacén clave-valor en Firestore, compartido entre instancias del servicio
+ * Cada espacio de nombres guarda sus claves como documentos cuyo ID es el hash
+ * SHA-256 de la clave. Se recomienda activar una política TTL de Firestore
+ * sobre el campo expiresAt para eliminar los documentos vencidos.
+ */
+class FirestoreStore {
+  /**
+   * @param {string} collectionName - Colección de Firestore
+   * @param {string} namespace - Espacio de nombres de las claves
+   */
+  constructor(collectionName, namespace) {
+    this.collection = db.collection(collectionName);
+    this.namespace = namespace;
+  }
+
+  // Referencia al documento de una clave
+  ref(key) {
+    const id = crypto.createHash('sha256').update(`${this.namespace}:${key}`).digest('hex');
+    return this.collection.doc(id);
+  }
+
+  // Valor de un documento o null si no existe o expiró
+  static read(doc) {
+    if (!doc.exists) {
+      return null;
+    }
+
+    const { value, expiresAt } = doc.data();
+    const expiresAtMs = expiresAt.toMillis ? expiresAt.toMillis() : new Date(expiresAt).getTime();
+    return expiresAtMs > Date.now() ? value : null;
+  }
+
+  // Contenido del documento de una clave
+  record(value, ttl) {
+    return {
+      namespace: this.namespace,
+      value,
+      expiresAt: new Date(Date.now() + ttl)
+    };
+  }
+
+  /**
+   * Obtiene un valor
+   * @param {string} key - Clave
+   * @returns {Promise<*>} Valor guardado o null si no existe o expiró
+   */
+  async get(key) {
+    return FirestoreStore.read(await this.ref(key).get());
+  }
+
+  /**
+   * Guarda un valor
+   * @param {string} key - Clave
+   * @param {*} value - Valor serializable
+   * @param {number} ttl - Tiempo de vida en milisegundos
+   */
+  async set(key, value, ttl) {
+    await this.ref(key).set(this.record(value, ttl));
+  }
+
+  /**
+   * Elimina un valor
+   * @param {string} key - Clave
+   */
+  async delete(key) {
+    await this.ref(key).delete();
+  }
+
+  /**
+   * Lee y reemplaza un valor dentro de una transacción
+   * @param {string} key - Clave
+   * @param {Function} updater - Recibe el valor actual (o null) y devuelve el nuevo
+   * @param {number} ttl - Tiempo de vida del nuevo valor en milisegundos
+   * @returns {Promise<*>} Nuevo valor
+   */
+  async update(key, updater, ttl) {
+    const ref = this.ref(key);
+
+    return db.runTransaction(async (transaction) => {
+      const value = updater(FirestoreStore.read(await transaction.get(ref)));
+      transaction.set(ref, this.record(value, ttl));
+      return value;
+    });
+  }
+}
+
+module.exports = FirestoreStore;
@@ -0,0 +1,24 @@
+const { STATE_STORE } = require('../config/constants');
+const MemoryStore = require('./memoryStore');
+const FirestoreStore = require('./firestoreStore');
+
+/**
+ * Crea el almacén de estado configurado en STATE_STORE (memory o firestore)
+ * Todos los almacenes exponen get, set, delete y update con la misma semántica
+ * @param {string} namespace - Espacio de nombres de las claves (por ejemplo 'brute-force')
+ * @returns {MemoryStore|FirestoreStore}
+ */
+const createStore = (namespace) => {
+  switch (STATE_STORE.driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'firestore':
+      return new FirestoreStore(STATE_STORE.collection, namespace);
+    default:
+      throw new Error(`Almacén de estado desconocido: ${STATE_STORE.driver}`);
+  }
+};
+
+module.exports = {
+  createStore
+};
@@ -0,0 +1,77 @@
+/**
+ * Almacén clave-valor en memoria con expiración por entrada
+ * Es el almacén por defecto; solo sirve cuando hay una única instancia del servicio
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Obtiene un valor
+   * @param {string} key - Clave
+   * @returns {Promise<*>} Valor guardado o null si no existe o expiró
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Guarda un valor
+   * @param {string} key - Clave
+   * @param {*} value - Valor serializable a JSON
+   * @param {number} ttl - Tiempo de vida en milisegundos
+   */
+  async set(key, value, ttl) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+    this.prune();
+  }
+
+  /**
+   * Elimina un valor
+   * @param {string} key - Clave
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Lee y reemplaza un valor de forma atómica
+   * @param {string} key - Clave
+   * @param {Function} updater - Recibe el valor actual (o null) y devuelve el nuevo
+   * @param {number} ttl - Tiempo de vida del nuevo valor en milisegundos
+   * @returns {Promise<*>} Nuevo valor
+   */
+  async update(key, updater, ttl) {
+    const value = updater(await this.get(key));
+    await this.set(key, value, ttl);
+    return value;
+  }
+
+  // Descarta las entradas expiradas cuando el mapa crece
+  prune() {
+    if (this.entries.size % 1000 !== 0) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,265 @@
+const { auth } = require('../config/firebase');
+const UserModel = require('../models/userModel');
+const ActionTokenModel = require('../models/actionTokenModel');
+const InvitationModel = require('../models/invitationModel');
+const { initialReviewFields, recordSubmission } = require('./credentialReview');
+const { rememberPassword } = require('./passwordPolicy');
+const { purgeUser } = require('./userLifecycle');
+const emailService = require('./emailService');
+const logger = require('./logger');
+
+/**
+ * Alta de cuentas compartida por la creación desde administración
+ * (POST /users), el registro público (POST /auth/register), las invitaciones
+ * y la importación masiva
+ */
+
+// Preferencias iniciales de todo perfil nuevo
+const DEFAULT_PREFERENCES = {
+  language: 'es', // Por defecto español
+  theme: 'light',
+  notifications: {
+    email: true,
+    sms: false,
+    push: true
+  }
+};
+
+/**
+ * Guarda el perfil de una cuenta ya creada en Firebase Auth, sus claims y la
+ * huella de su contraseña; en los médicos abre la revisión de credenciales
+ * @param {Object} userRecord - Usuario de Firebase Auth (uid, email, displayName)
+ * @param {Object} account - Datos de la cuenta (ver createAccount)
+ * @returns {Promise<Object>} Perfil guardado
+ */
+const saveProfile = async (userRecord, {
+  password,
+  role,
+  status = 'active',
+  professionalInfo = {},
+  preferences = {},
+  profile = {},
+  emailVerified = false,
+  createdBy
+}) => {
+  // Preparar datos para Firestore (sin datos personales; el nombre visible
+  // se guarda para la búsqueda de usuarios)
+  const userData = {
+    ...profile,
+    email: userRecord.email,
+    displayName: userRecord.displayName || null,
+    role,
+    status,
+    emailVerified,
+    lastLogin: null,
+    preferences: {
+      ...DEFAULT_PREFERENCES,
+      ...preferences,
+      // Las notificaciones no enviadas conservan su valor predeterminado
+      notifications: {
+        ...DEFAULT_PREFERENCES.notifications,
+        ...preferences.notifications
+      }
+    }
+  };
+
+  // Solo agregar información profesional si es doctor; sus credenciales
+  // quedan pendientes de revisión y la cuenta no se activa hasta aprobarlas
+  if (role === 'doctor') {
+    userData.professionalInfo = {
+      specialty: professionalInfo.specialty || '',
+      licenseNumber: professionalInfo.licenseNumber || '',
+      education: professionalInfo.education || [],
+      schedule: professionalInfo.schedule || {}
+    };
+    Object.assign(userData, initialReviewFields());
+  }
+
+  const savedUser = await UserModel.createOrUpdateUser(userRecord.uid, userData);
+  if (password) {
+    await rememberPassword(userRecord.uid, password, role);
+  }
+
+  await auth.setCustomUserClaims(userRecord.uid, {
+    role,
+    emailVerified
+  });
+
+  if (role === 'doctor') {
+    await recordSubmission(
+      { ...savedUser, displayName: userRecord.displayName },
+      createdBy || userRecord.uid
+    );
+  }
+
+  return savedUser;
+};
+
+/**
+ * Envía el correo de bienvenida y, si el correo no está comprobado, el de
+ * verificación. Los fallos de envío se registran sin interrumpir el alta.
+ * @param {Object} userRecord - Usuario de Firebase Auth (uid, email, displayName)
+ * @param {boolean} emailVerified - El correo ya está comprobado
+ * @returns {Promise<boolean>} false si algún correo no se pudo enviar
+ */
+const sendWelcomeEmails = async (userRecord, emailVerified) => {
+  // Emitir el token de verificación de correo (solo se guarda su hash)
+  const emailVerificationToken = emailVerified
+    ? null
+    : (await ActionTokenModel.issue(ActionTokenModel.PURPOSES.VERIFY_EMAIL, userRecord.uid)).token;
+
+  const recipient = {
+    email: userRecord.email,
+    displayName: userRecord.displayName || 'Usuario'
+  };
+  try {
+    await emailService.sendWelcomeEmail(recipient);
+    if (emailVerificationToken) {
+      await emailService.sendConfirmationEmail(recipient, emailVerificationToken);
+    }
+    return true;
+  } catch (emailError) {
+    logger.error('Error enviando correos de bienvenida/verificación:', emailError);
+    return false;
+  }
+};
+
+// Crea el usuario en Firebase Auth y guarda su perfil, sin enviar los correos de bienvenida
+// Si el perfil no se guarda, la cuenta de Auth se elimina para que el alta pueda repetirse
+const createUserWithProfile = async (account) => {
+  const { email, password, displayName, personalInfo = {}, emailVerified = false } = account;
+
+  const userRecord = await auth.createUser({
+    email,
+    password,
+    displayName: personalInfo.firstName ?
+      `${personalInfo.firstName} ${personalInfo.lastName || ''}`.trim() :
+      displayName,
+    emailVerified,
+    disabled: false
+  });
+
+  try {
+    const savedUser = await saveProfile(userRecord, account);
+    return { userRecord, savedUser };
+  } catch (error) {
+    logger.error(`Error guardando el perfil de ${userRecord.uid}; se elimina la cuenta:`, error);
+    await purgeUser({ id: userRecord.uid }).catch(purgeError =>
+      logger.error(`No se pudo eliminar la cuenta incompleta ${userRecord.uid}:`, purgeError));
+    throw error;
+  }
+};
+
+/**
+ * Crea el usuario en Firebase Auth y su perfil en Firestore, y envía los
+ * correos de bienvenida y de verificación
+ * @param {Object} account - Datos de la cuenta
+ * @param {string} account.email - Correo electrónico
+ * @param {string} account.password - Contraseña inicial (quien llama ya comprobó la
+ *   política de contraseñas); su huella inicia el historial de la cuenta
+ * @param {string} [account.displayName] - Nombre visible
+ * @param {string} account.role - Rol (ya validado por quien llama)
+ * @param {string} [account.status='active'] - Estado inicial del perfil
+ * @param {Object} [account.personalInfo] - Datos personales (solo para el nombre visible)
+ * @param {Object} [account.professionalInfo] - Datos profesionales (solo médicos)
+ * @param {Object} [account.preferences] - Preferencias que sustituyen a las predeterminadas
+ * @param {Object} [account.profile] - Campos adicionales del perfil
+ * @param {boolean} [account.emailVerified=false] - El correo ya está comprobado (por
+ *   ejemplo al aceptar una invitación); no se envía el correo de verificación
+ * @param {string} [account.createdBy] - ID de quien crea la cuenta (por defecto la propia cuenta)
+ * @returns {Promise<Object>} { uid, userRecord, profile }
+ * @throws {Error} Errores de Firebase Auth (por ejemplo auth/email-already-exists)
+ */
+const createAccount = async (account) => {
+  const { emailVerified = false } = account;
+  const { userRecord, savedUser } = await createUserWithProfile(account);
+
+  await sendWelcomeEmails(userRecord, emailVerified);
+
+  logger.info(`Cuenta creada: ${userRecord.uid}`, { role: account.role, status: savedUser.status });
+
+  return { uid: userRecord.uid, userRecord, profile: savedUser };
+};
+
+/**
+ * Emite un token nuevo para la invitación y envía el correo
+ * @param {Object} invitation - Invitación con su fecha de expiración vigente
+ */
+const sendInvitation = async (invitation) => {
+  const { token } = await ActionTokenModel.issue(ActionTokenModel.PURPOSES.INVITE, invitation.id, {
+    email: invitation.email,
+    role: invitation.role
+  });
+
+  await emailService.sendInvitationEmail(invitation, token);
+};
+
+/**
+ * Busca la invitación de un token sin consumirlo
+ * El token se gasta en acceptInvitation, cuando la cuenta ya existe, para que
+ * una solicitud rechazada (otro correo, contraseña inválida, correo en uso)
+ * no invalide el enlace del invitado.
+ * @param {string} token - Token recibido en el enlace de la invitación
+ * @returns {Promise<Object|null>} Invitación pendiente o null
+ */
+const findInvitation = async (token) => {
+  const pending = await ActionTokenModel.peek(token, ActionTokenModel.PURPOSES.INVITE);
+  if (!pending) {
+    return null;
+  }
+
+  const invitation = await InvitationModel.getById(pending.subject);
+  return invitation && invitation.status === 'pending' ? invitation : null;
+};
+
+/**
+ * Crea la cuenta de una invitación, consume su token y la marca como aceptada
+ * Si entretanto la invitación se revocó o se aceptó, la cuenta recién creada
+ * se elimina. El enlace de la invitación demuestra que el correo pertenece al invitado.
+ * @param {string} token - Token de la invitación
+ * @param {Object} invitation - Invitación devuelta por findInvitation
+ * @param {Object} account - Datos que elige el invitado (password, displayName, ...)
+ * @returns {Promise<Object>} { uid, userRecord, profile } como createAccount
+ * @throws {Error} Con code INVITATION_NOT_PENDING si la invitación dejó de estar
+ *   pendiente, o errores de Firebase Auth (auth/email-already-exists)
+ */
+const acceptInvitation = async (token, invitation, account) => {
+  const { userRecord, savedUser } = await createUserWithProfile({
+    ...account,
+    email: invitation.email,
+    role: invitation.role,
+    professionalInfo: invitation.professionalInfo || {},
+    emailVerified: true,
+    profile: {
+      ...account.profile,
+      invitationId: invitation.id,
+      invitedBy: invitation.invitedBy
+    }
+  });
+
+  const consumed = await ActionTokenModel.consume(token, ActionTokenModel.PURPOSES.INVITE);
+  const accepted = Boolean(consumed) && await InvitationModel.markAccepted(invitation.id, userRecord.uid);
+
+  if (!accepted) {
+    logger.warn(`La invitación ${invitation.id} dejó de estar pendiente; se elimina la cuenta ${userRecord.uid}`);
+    await purgeUser({ id: userRecord.uid });
+
+    const error = new Error('La invitación ya no está pendiente');
+    error.code = 'INVITATION_NOT_PENDING';
+    throw error;
+  }
+
+  await sendWelcomeEmails(userRecord, true);
+  logger.info(`Cuenta creada: ${userRecord.uid}`, { role: invitation.role, invitationId: invitation.id });
+
+  return { uid: userRecord.uid, userRecord, profile: savedUser };
+};
+
+module.exports = {
+  createAccount,
+  saveProfile,
+  sendWelcomeEmails,
+  sendInvitation,
+  findInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,164 @@
+const { BRUTE_FORCE } = require('../config/constants');
+const { createStore } = require('../stores');
+const UserModel = require('../models/userModel');
+const emailService = require('./emailService');
+const { scopedKey } = require('./tenantContext');
+const logger = require('./logger');
+
+/**
+ * Registro de intentos fallidos por cuenta y por IP
+ * Al superar el máximo de intentos dentro de la ventana se aplica un bloqueo
+ * que se duplica con cada bloqueo consecutivo. El bloqueo de una cuenta
+ * además cambia su estado a 'locked', que isAuthenticated rechaza.
+ *
+ * Estado guardado por clave: { count, windowStart, lockouts, lockedUntil }
+ * Las cuentas se cuentan por tenant; las IPs, para todo el servicio.
+ */
+const store = createStore('brute-force');
+
+const accountKey = (uid) => scopedKey(`account:${uid}`);
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Duración del bloqueo número n (empezando en 1)
+ * @param {number} lockouts - Número de bloqueos consecutivos
+ * @returns {number} Duración en milisegundos
+ */
+const lockoutDuration = (lockouts) => {
+  return Math.min(BRUTE_FORCE.baseLockout * 2 ** (lockouts - 1), BRUTE_FORCE.maxLockout);
+};
+
+/**
+ * Suma un intento fallido a una clave y aplica el bloqueo si corresponde
+ * @param {string} key - Clave del contador
+ * @param {number} maxAttempts - Intentos permitidos dentro de la ventana
+ * @returns {Promise<Object>} { lockedUntil, newLockout }
+ */
+const registerFailure = async (key, maxAttempts) => {
+  const now = Date.now();
+  let newLockout = false;
+
+  const state = await store.update(key, (current) => {
+    const next = current
+      ? { ...current }
+      : { count: 0, windowStart: now, lockouts: 0, lockedUntil: null };
+
+    if (next.lockedUntil && next.lockedUntil > now) {
+      return next;
+    }
+
+    if (now - next.windowStart > BRUTE_FORCE.window) {
+      next.count = 0;
+      next.windowStart = now;
+    }
+
+    next.count += 1;
+    if (next.count >= maxAttempts) {
+      next.lockouts += 1;
+      next.lockedUntil = now + lockoutDuration(next.lockouts);
+      next.count = 0;
+      next.windowStart = now;
+      newLockout = true;
+    }
+
+    return next;
+  }, BRUTE_FORCE.resetAfter + BRUTE_FORCE.maxLockout);
+
+  return {
+    lockedUntil: state.lockedUntil && state.lockedUntil > now ? state.lockedUntil : null,
+    newLockout
+  };
+};
+
+/**
+ * Bloquea la cuenta en Firestore y avisa al usuario por correo
+ * @param {string} uid - ID del usuario
+ * @param {number} lockedUntil - Fin del bloqueo (epoch en milisegundos)
+ */
+const lockAccount = async (uid, lockedUntil) => {
+  const user = await UserModel.lockAccount(uid, new Date(lockedUntil));
+  if (!user) {
+    return;
+  }
+
+  logger.warn(`Cuenta bloqueada por intentos fallidos: ${uid}`, {
+    lockedUntil: new Date(lockedUntil).toISOString()
+  });
+
+  try {
+    await emailService.sendAccountLockedEmail(user, new Date(lockedUntil));
+  } catch (emailError) {
+    logger.error('Error enviando correo de cuenta bloqueada:', emailError);
+  }
+};
+
+/**
+ * Registra un intento fallido
+ * @param {Object} attempt - Datos del intento
+ * @param {string} attempt.scope - Operación que falló (para el log)
+ * @param {string} [attempt.ip] - IP del cliente
+ * @param {string} [attempt.uid] - Cuenta afectada, si se conoce
+ * @returns {Promise<Object>} { ipLockedUntil, accountLockedUntil } (epoch en ms o null)
+ */
+const recordFailure = async ({ scope, ip, uid }) => {
+  const result = { ipLockedUntil: null, accountLockedUntil: null };
+
+  if (ip) {
+    const { lockedUntil, newLockout } = await registerFailure(ipKey(ip), BRUTE_FORCE.maxIpAttempts);
+    result.ipLockedUntil = lockedUntil;
+    if (newLockout) {
+      logger.warn(`IP bloqueada por intentos fallidos: ${ip}`, { scope });
+    }
+  }
+
+  if (uid) {
+    const { lockedUntil, newLockout } = await registerFailure(accountKey(uid), BRUTE_FORCE.maxAccountAttempts);
+    result.accountLockedUntil = lockedUntil;
+    if (newLockout) {
+      await lockAccount(uid, lockedUntil);
+    }
+  }
+
+  logger.info('Intento fallido registrado', { scope, ip, uid });
+  return result;
+};
+
+/**
+ * Reinicia el contador de intentos de una cuenta tras un intento correcto
+ * Los bloqueos anteriores se conservan para la escalada hasta que caduquen
+ * @param {string} uid - ID del usuario
+ */
+const recordSuccess = async (uid) => {
+  await store.update(accountKey(uid), (current) => current && {
+    ...current,
+    count: 0,
+    windowStart: Date.now()
+  }, BRUTE_FORCE.resetAfter + BRUTE_FORCE.maxLockout);
+};
+
+/**
+ * Fin del bloqueo vigente de una IP
+ * @param {string} ip - IP del cliente
+ * @returns {Promise<number|null>} Epoch en milisegundos o null si no está bloqueada
+ */
+const getIpLockedUntil = async (ip) => {
+  const state = await store.get(ipKey(ip));
+  return state && state.lockedUntil > Date.now() ? state.lockedUntil : null;
+};
+
+/**
+ * Desbloquea una cuenta y olvida sus intentos fallidos
+ * @param {string} uid - ID del usuario
+ * @returns {Promise<Object|null>} Usuario desbloqueado o null si no estaba bloqueado
+ */
+const unlockAccount = async (uid) => {
+  await store.delete(accountKey(uid));
+  return UserModel.unlockAccount(uid);
+};
+
+module.exports = {
+  recordFailure,
+  recordSuccess,
+  getIpLockedUntil,
+  unlockAccount
+};
@@ -0,0 +1,93 @@
+/**
+ * Caché en memoria con expiración (TTL) y tamaño máximo
+ * Cuando se alcanza el tamaño máximo se descarta la entrada usada hace más tiempo (LRU)
+ */
+class TTLCache {
+  /**
+   * @param {Object} options - Opciones de la caché
+   * @param {number} options.ttl - Tiempo de vida de cada entrada en milisegundos (0 desactiva la caché)
+   * @param {number} options.maxSize - Número máximo de entradas
+   */
+  constructor({ ttl, maxSize }) {
+    this.ttl = ttl;
+    this.maxSize = maxSize;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Obtiene un valor de la caché
+   * @param {string} key - Clave de la entrada
+   * @returns {*} Valor guardado o undefined si no existe o expiró
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Reinsertar para marcarla como usada recientemente
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Guarda un valor en la caché
+   * @param {string} key - Clave de la entrada
+   * @param {*} value - Valor a guardar
+   * @param {number} [ttl] - Tiempo de vida específico para esta entrada
+   */
+  set(key, value, ttl = this.ttl) {
+    if (ttl <= 0 || this.maxSize <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (this.entries.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Elimina una entrada de la caché
+   * @param {string} key - Clave de la entrada
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Vacía la caché sin reiniciar las estadísticas
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Estadísticas de uso de la caché
+   * @returns {Object} Aciertos, fallos, desalojos y tamaño actual
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Number((this.hits / lookups).toFixed(4)) : 0,
+      evictions: this.evictions,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ttl: this.ttl
+    };
+  }
+}
+
+module.exports = TTLCache;
@@ -0,0 +1,143 @@
+const { admin } = require('../config/firebase');
+const UserModel = require('../models/userModel');
+const CredentialReviewModel = require('../models/credentialReviewModel');
+const emailService = require('./emailService');
+const logger = require('./logger');
+
+/**
+ * Máquina de estados de la revisión de credenciales de los médicos
+ *
+ *   pending ──approve──▶ approved
+ *      │ ▲
+ *   reject│ │submit (el médico corrige sus datos)
+ *      ▼ │
+ *   rejected
+ *
+ * El estado de la revisión se guarda en profile.credentialReview.status y
+ * determina el estado de la cuenta: solo un médico aprobado está 'active'.
+ */
+const TRANSITIONS = {
+  submit: { from: ['rejected'], to: 'pending', accountStatus: 'pending_verification' },
+  approve: { from: ['pending'], to: 'approved', accountStatus: 'active' },
+  reject: { from: ['pending'], to: 'rejected', accountStatus: 'verification_rejected' }
+};
+
+// Nombre de la acción en el historial
+const HISTORY_ACTIONS = {
+  submit: 'submitted',
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+// Error de transición no permitida (error.code INVALID_REVIEW_TRANSITION)
+const invalidTransition = (action, status) => {
+  const error = new Error(`No se puede aplicar "${action}" a una revisión en estado ${status || 'desconocido'}`);
+  error.code = 'INVALID_REVIEW_TRANSITION';
+  return error;
+};
+
+/**
+ * Campos iniciales del perfil de un médico nuevo
+ * @returns {Object} Estado de la cuenta y de la revisión
+ */
+const initialReviewFields = () => ({
+  status: 'pending_verification',
+  credentialReview: {
+    status: 'pending',
+    submittedAt: new Date()
+  }
+});
+
+// Envía el correo correspondiente a una transición sin interrumpir el flujo
+const notify = async (doctor, reviewStatus, notes) => {
+  try {
+    await emailService.sendCredentialReviewEmail(doctor, reviewStatus, notes);
+  } catch (emailError) {
+    logger.error('Error enviando correo de revisión de credenciales:', emailError);
+  }
+};
+
+/**
+ * Registra el envío inicial de credenciales de un médico recién creado
+ * @param {Object} doctor - Perfil del médico
+ * @param {string} actorId - ID de quien creó la cuenta
+ */
+const recordSubmission = async (doctor, actorId) => {
+  await CredentialReviewModel.record({
+    doctorId: doctor.id,
+    action: HISTORY_ACTIONS.submit,
+    fromStatus: null,
+    toStatus: 'pending',
+    actorId,
+    professionalInfo: doctor.professionalInfo || null
+  });
+  await notify(doctor, 'pending');
+};
+
+/**
+ * Aplica una transición a la revisión de un médico
+ * @param {Object} doctor - Perfil actual del médico
+ * @param {string} action - submit, approve o reject
+ * @param {Object} options - Datos de la transición
+ * @param {string} options.actorId - ID del revisor (o del médico al reenviar)
+ * @param {string} [options.notes] - Notas del revisor
+ * @param {Object} [options.professionalInfo] - Credenciales corregidas (solo submit)
+ * @returns {Promise<Object>} Perfil actualizado
+ * @throws {Error} Con code INVALID_REVIEW_TRANSITION si la transición no está permitida
+ */
+const transition = async (doctor, action, { actorId, notes = null, professionalInfo } = {}) => {
+  const rule = TRANSITIONS[action];
+  if (!rule) {
+    throw invalidTransition(action, doctor.credentialReview && doctor.credentialReview.status);
+  }
+
+  // El estado de origen se comprueba en la transacción, no en el perfil recibido
+  const buildUpdates = (current) => {
+    const updates = {
+      status: rule.accountStatus,
+      'credentialReview.status': rule.to,
+      'credentialReview.notes': notes
+    };
+
+    if (action === 'submit') {
+      updates['credentialReview.submittedAt'] = admin.firestore.FieldValue.serverTimestamp();
+      if (professionalInfo) {
+        updates.professionalInfo = { ...current.professionalInfo, ...professionalInfo };
+      }
+    } else {
+      updates['credentialReview.reviewedBy'] = actorId;
+      updates['credentialReview.reviewedAt'] = admin.firestore.FieldValue.serverTimestamp();
+    }
+    return updates;
+  };
+
+  const { applied, fromStatus, user: updated } = await UserModel.applyCredentialReview(
+    doctor.id,
+    rule.from,
+    buildUpdates
+  );
+  if (!applied) {
+    throw invalidTransition(action, fromStatus);
+  }
+
+  await CredentialReviewModel.record({
+    doctorId: doctor.id,
+    action: HISTORY_ACTIONS[action],
+    fromStatus,
+    toStatus: rule.to,
+    actorId,
+    notes,
+    professionalInfo: updated.professionalInfo || null
+  });
+
+  logger.info(`Revisión de credenciales: ${doctor.id} ${fromStatus} → ${rule.to}`, { actorId });
+  await notify(updated, rule.to, notes);
+
+  return updated;
+};
+
+module.exports = {
+  initialReviewFields,
+  recordSubmission,
+  transition
+};
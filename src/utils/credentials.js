@@ -0,0 +1,170 @@
+const { auth } = require('../config/firebase');
+const UserModel = require('../models/userModel');
+const logger = require('./logger');
+const { CREDENTIAL_REVIEW } = require('../config/constants');
+
+// Tipos de credencial aceptados
+const CREDENTIAL_TYPES = {
+  ID_TOKEN: 'id_token',
+  SESSION_COOKIE: 'session_cookie'
+};
+
+// Construye un resultado de verificación fallida con el formato de respuesta de isAuthenticated
+const reject = (httpStatus, code, error, message, extra = {}) => ({
+  ok: false,
+  httpStatus,
+  code,
+  body: {
+    success: false,
+    error,
+    message,
+    code,
+    ...extra
+  }
+});
+
+// Convierte un Timestamp de Firestore o una fecha a milisegundos
+const toMillis = (value) => {
+  if (!value) return 0;
+  return value.toMillis ? value.toMillis() : new Date(value).getTime();
+};
+
+// Traduce los errores de Firebase Auth a resultados de verificación
+const mapAuthError = (authError, type) => {
+  const isSession = type === CREDENTIAL_TYPES.SESSION_COOKIE;
+
+  switch (authError.code) {
+    case 'auth/id-token-expired':
+      return reject(401, 'TOKEN_EXPIRED', 'Sesión expirada',
+        'Tu sesión ha expirado. Por favor, inicia sesión nuevamente.');
+    case 'auth/session-cookie-expired':
+      return reject(401, 'SESSION_EXPIRED', 'Sesión expirada',
+        'Tu sesión ha expirado. Por favor, inicia sesión nuevamente.');
+    case 'auth/id-token-revoked':
+    case 'auth/session-cookie-revoked':
+      return reject(401, 'TOKEN_REVOKED', 'Sesión revocada',
+        'Tu sesión fue cerrada. Por favor, inicia sesión nuevamente.');
+    case 'auth/mismatching-tenant-id':
+      return reject(401, 'TENANT_MISMATCH', 'Clínica incorrecta',
+        'La credencial pertenece a otra clínica');
+    case 'auth/user-disabled':
+      return reject(403, 'ACCOUNT_DISABLED', 'Cuenta deshabilitada',
+        'Tu cuenta ha sido deshabilitada');
+    case 'auth/argument-error':
+    case 'auth/invalid-id-token':
+    case 'auth/invalid-session-cookie':
+      return isSession
+        ? reject(401, 'INVALID_SESSION', 'Sesión inválida',
+          'La cookie de sesión no es válida o está corrupta')
+        : reject(400, 'INVALID_TOKEN', 'Token inválido',
+          'El formato del token no es válido o está corrupto');
+    default:
+      return null;
+  }
+};
+
+/**
+ * Comprueba si el estado de la cuenta permite iniciar sesión
+ * Levanta el bloqueo temporal si ya expiró
+ * @param {Object} user - Perfil del usuario
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.allowRestricted=false] - Aceptar médicos pendientes de aprobación
+ * @returns {Promise<Object>} { ok: true, user, restricted } o
+ *   { ok: false, httpStatus, code, body } con la respuesta de error a enviar
+ */
+const checkAccountStatus = async (user, { allowRestricted = false } = {}) => {
+  // Bloqueo temporal por intentos fallidos: se levanta solo al expirar
+  if (user.status === 'locked') {
+    const lockedUntilMs = toMillis(user.lockedUntil);
+
+    if (lockedUntilMs > Date.now()) {
+      logger.warn(`Intento de acceso de cuenta bloqueada: ${user.email}`);
+      return reject(423, 'ACCOUNT_LOCKED', 'Cuenta bloqueada',
+        'Tu cuenta está bloqueada temporalmente por demasiados intentos fallidos',
+        { lockedUntil: new Date(lockedUntilMs).toISOString() });
+    }
+
+    user = (await UserModel.unlockAccount(user.id)) || user;
+  }
+
+  // Cuentas registradas que aún no verificaron su correo
+  if (user.status === 'pending') {
+    return reject(403, 'EMAIL_VERIFICATION_REQUIRED', 'Correo no verificado',
+      'Verifica tu correo electrónico para activar tu cuenta', { status: user.status });
+  }
+
+  // Médicos cuyas credenciales no se aprobaron: isAuthenticated los limita a su perfil
+  if (CREDENTIAL_REVIEW.restrictedStatuses.includes(user.status)) {
+    if (allowRestricted) {
+      return { ok: true, user, restricted: true };
+    }
+    return reject(403, 'CREDENTIALS_NOT_APPROVED', 'Credenciales no aprobadas',
+      'Tus credenciales profesionales aún no fueron aprobadas', { status: user.status });
+  }
+
+  // Verificar si el usuario está activo
+  if (user.status !== 'active') {
+    logger.warn(`Intento de acceso de cuenta inactiva: ${user.email}`);
+    return reject(403, 'ACCOUNT_INACTIVE', 'Cuenta inactiva',
+      'Tu cuenta ha sido desactivada o suspendida', { status: user.status });
+  }
+
+  return { ok: true, user, restricted: false };
+};
+
+/**
+ * Verifica un ID token o una cookie de sesión y carga el perfil del usuario
+ * Es la lógica compartida por isAuthenticated y el endpoint de introspección
+ * @param {string} credential - ID token o cookie de sesión
+ * @param {string} type - Tipo de credencial (CREDENTIAL_TYPES)
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.allowRestricted=false] - Aceptar médicos pendientes de
+ *   aprobación (devuelve restricted: true para que quien llama limite el acceso)
+ * @returns {Promise<Object>} { ok: true, decodedToken, user, restricted } o
+ *   { ok: false, httpStatus, code, body } con la respuesta de error a enviar
+ * @throws {Error} Si ocurre un error inesperado al verificar la credencial
+ */
+const verifyCredential = async (credential, type, { allowRestricted = false } = {}) => {
+  const isSession = type === CREDENTIAL_TYPES.SESSION_COOKIE;
+
+  // Verificar la credencial con Firebase Auth, incluyendo si fue revocada
+  let decodedToken;
+  try {
+    decodedToken = isSession
+      ? await auth.verifySessionCookie(credential, true)
+      : await auth.verifyIdToken(credential, true);
+  } catch (authError) {
+    logger.error(isSession
+      ? 'Error al verificar la cookie de sesión:'
+      : 'Error al verificar el token:', authError);
+
+    const result = mapAuthError(authError, type);
+    if (!result) throw authError;
+    return result;
+  }
+
+  // Obtener los datos del usuario desde Firestore (a través de la caché de perfiles)
+  let user;
+  try {
+    user = await UserModel.getCachedUserById(decodedToken.uid);
+  } catch (dbError) {
+    logger.error('Error al obtener datos del usuario:', dbError);
+    return reject(500, 'USER_FETCH_ERROR', 'Error del servidor',
+      'No se pudo recuperar la información del usuario');
+  }
+
+  if (!user) {
+    logger.warn(`Usuario no encontrado: ${decodedToken.uid}`);
+    return reject(404, 'USER_NOT_FOUND', 'Usuario no encontrado',
+      'El perfil de usuario no existe en la base de datos');
+  }
+
+  const status = await checkAccountStatus(user, { allowRestricted });
+  return status.ok ? { ...status, decodedToken } : status;
+};
+
+module.exports = {
+  CREDENTIAL_TYPES,
+  checkAccountStatus,
+  verifyCredential
+};
@@ -0,0 +1,181 @@
+/**
+ * Lectura y escritura de CSV (RFC 4180)
+ * Admite campos entre comillas con separadores, saltos de línea y comillas
+ * dobles escapadas (""), finales de línea LF o CRLF y la marca BOM que añade
+ * Excel. El separador se detecta en la cabecera: las hojas de cálculo en
+ * español suelen exportar con punto y coma.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Error con código para que quien llama responda 400
+const csvError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_CSV';
+  return error;
+};
+
+/**
+ * Elige el separador más frecuente fuera de comillas en la primera línea
+ * @param {string} text - Contenido del archivo
+ * @returns {string} Separador
+ */
+const detectDelimiter = (text) => {
+  const counts = Object.fromEntries(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted && char in counts) {
+      counts[char]++;
+    }
+  }
+
+  return DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best));
+};
+
+/**
+ * Divide un CSV en registros
+ * Las líneas vacías se ignoran
+ * @param {string} text - Contenido del archivo
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.delimiter] - Separador (por defecto se detecta)
+ * @returns {Array<Object>} Registros { line, values } con la línea en la que empieza cada uno
+ * @throws {Error} Con code INVALID_CSV si hay comillas sin cerrar
+ */
+const parseCsv = (text, { delimiter } = {}) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const separator = delimiter || detectDelimiter(input);
+
+  const records = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw csvError(`Comillas sin cerrar en el registro de la línea ${recordLine}`);
+  }
+  if (field !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+/**
+ * Lee un CSV con cabecera y devuelve cada fila como objeto
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} { columns, rows } con rows [{ line, data, error? }]; error indica
+ *   que la fila no tiene el mismo número de columnas que la cabecera
+ * @throws {Error} Con code INVALID_CSV si el archivo no tiene cabecera o está mal formado
+ */
+const parseCsvObjects = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw csvError('El archivo está vacío');
+  }
+
+  const columns = header.values.map(column => column.trim());
+
+  const rows = records.map(({ line, values }) => {
+    if (values.length !== columns.length) {
+      return {
+        line,
+        data: null,
+        error: `La fila tiene ${values.length} columnas y la cabecera ${columns.length}`
+      };
+    }
+
+    return {
+      line,
+      data: Object.fromEntries(columns.map((column, index) => [column, values[index]]))
+    };
+  });
+
+  return { columns, rows };
+};
+
+// Una celda que empieza por estos caracteres se interpreta como fórmula en las hojas de cálculo
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escapa un valor para una celda CSV
+ * Los valores que una hoja de cálculo ejecutaría como fórmula se prefijan con
+ * un apóstrofo (inyección de fórmulas), por lo que un teléfono "+34..." se
+ * exporta como "'+34...".
+ * @param {*} value - Valor de la celda (null y undefined quedan vacíos)
+ * @param {string} [delimiter=','] - Separador
+ * @returns {string} Celda lista para escribir
+ */
+const formatCsvValue = (value, delimiter = ',') => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Convierte una fila en una línea CSV (con CRLF, como pide RFC 4180)
+ * @param {Array} values - Valores de la fila
+ * @param {string} [delimiter=','] - Separador
+ * @returns {string} Línea CSV
+ */
+const formatCsvRow = (values, delimiter = ',') =>
+  `${values.map(value => formatCsvValue(value, delimiter)).join(delimiter)}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  detectDelimiter,
+  formatCsvValue,
+  formatCsvRow
+};
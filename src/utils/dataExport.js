@@ -0,0 +1,247 @@
+const { auth } = require('../config/firebase');
+const { DATA_EXPORT } = require('../config/constants');
+const UserModel = require('../models/userModel');
+const DataExportModel = require('../models/dataExportModel');
+const CareTeamModel = require('../models/careTeamModel');
+const CredentialReviewModel = require('../models/credentialReviewModel');
+const InvitationModel = require('../models/invitationModel');
+const { getTenantId } = require('./tenantContext');
+const emailService = require('./emailService');
+const logger = require('./logger');
+
+/**
+ * Exportación de los datos de un usuario ("descargar mis datos")
+ * La solicitud crea un registro pendiente y el archivo se genera en segundo
+ * plano en la misma instancia; si esta se reinicia, el job processDataExports
+ * retoma las pendientes. Al terminar se avisa por correo a quien la pidió.
+ *
+ * El archivo es un JSON con el perfil, los datos de Firebase Auth, las
+ * preferencias, los consentimientos y los registros de actividad sobre la
+ * cuenta. No hay un registro de auditoría general: la actividad se reúne de
+ * los registros que guardan quién hizo qué (revisión de credenciales, equipo
+ * de atención, invitación, fechas del perfil y exportaciones anteriores).
+ * Nunca incluye secretos: contraseñas, hash del historial, secretos MFA,
+ * tokens ni el índice de búsqueda.
+ */
+
+const ARCHIVE_FORMAT = 'user-data-export';
+const ARCHIVE_VERSION = 1;
+
+// Convierte los Timestamp de Firestore y las fechas a ISO 8601 en todo el árbol
+const serialize = (value) => {
+  if (value === null || value === undefined) return value ?? null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(serialize);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serialize(item)]));
+  }
+  return value;
+};
+
+// Datos de Firebase Auth sin el hash de la contraseña
+const authData = (authUser) => ({
+  uid: authUser.uid,
+  email: authUser.email || null,
+  emailVerified: authUser.emailVerified,
+  displayName: authUser.displayName || null,
+  phoneNumber: authUser.phoneNumber || null,
+  disabled: authUser.disabled,
+  tenantId: authUser.tenantId || null,
+  metadata: {
+    creationTime: authUser.metadata.creationTime || null,
+    lastSignInTime: authUser.metadata.lastSignInTime || null,
+    lastRefreshTime: authUser.metadata.lastRefreshTime || null
+  },
+  providers: (authUser.providerData || []).map(({ providerId, email }) => ({ providerId, email: email || null })),
+  customClaims: authUser.customClaims || {}
+});
+
+// Registros de actividad sobre la cuenta, del más antiguo al más reciente
+const auditEntries = ({ profile, invitation, careTeam, credentialReviews, exports }) => {
+  const entries = [];
+  const add = (type, at, details = {}) => {
+    if (at) entries.push({ type, at: serialize(at), ...details });
+  };
+
+  add('account.created', profile.createdAt, { method: profile.signUpMethod || null });
+  if (profile.terms) {
+    add('terms.accepted', profile.terms.acceptedAt, { version: profile.terms.version });
+  }
+  if (invitation) {
+    add('invitation.accepted', invitation.acceptedAt, { invitedBy: invitation.invitedBy, role: invitation.role });
+  }
+  add('password.changed', profile.security && profile.security.passwordChangedAt);
+  add('email.changeRequested', profile.pendingEmailChange && profile.pendingEmailChange.requestedAt, {
+    actorId: profile.pendingEmailChange && profile.pendingEmailChange.requestedBy
+  });
+  add('account.deleted', profile.deletedAt, { actorId: profile.deletedBy });
+  add('account.restored', profile.restoredAt, { actorId: profile.restoredBy });
+
+  credentialReviews.forEach((review) => {
+    add(`credentials.${review.action}`, review.createdAt, {
+      actorId: review.actorId,
+      fromStatus: review.fromStatus,
+      toStatus: review.toStatus,
+      notes: review.notes
+    });
+  });
+  careTeam.forEach((relationship) => {
+    add('careTeam.assigned', relationship.createdAt, {
+      actorId: relationship.assignedBy,
+      doctorId: relationship.doctorId,
+      patientId: relationship.patientId
+    });
+  });
+  exports.forEach((record) => {
+    add('dataExport.requested', record.createdAt, { actorId: record.requestedBy, status: record.status });
+  });
+
+  return entries.sort((a, b) => a.at.localeCompare(b.at));
+};
+
+/**
+ * Reúne todos los datos de un usuario en un objeto serializable
+ * @param {string} uid - ID del usuario
+ * @param {string} [currentExportId] - Exportación en curso (no figura en la actividad)
+ * @returns {Promise<Object>} Contenido del archivo
+ */
+const buildArchive = async (uid, currentExportId = null) => {
+  const profile = await UserModel.getUserById(uid);
+  if (!profile) {
+    throw new Error('El usuario no existe');
+  }
+
+  const [authUser, asPatient, asDoctor, credentialReviews, exports, invitation] = await Promise.all([
+    auth.getUser(uid).catch((error) => {
+      if (error.code === 'auth/user-not-found') return null;
+      throw error;
+    }),
+    CareTeamModel.find({ patientId: uid }),
+    CareTeamModel.find({ doctorId: uid }),
+    profile.role === 'doctor' || profile.credentialReview
+      ? CredentialReviewModel.listForDoctor(uid)
+      : [],
+    DataExportModel.listForUser(uid),
+    profile.invitationId ? InvitationModel.getById(profile.invitationId) : null
+  ]);
+
+  const careTeam = [...asPatient, ...asDoctor];
+  const preferences = profile.preferences || {};
+
+  return serialize({
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    generatedAt: new Date(),
+    user: { id: uid, tenantId: getTenantId() },
+    profile: UserModel.toPublicProfile(profile),
+    auth: authUser ? authData(authUser) : null,
+    preferences,
+    consents: {
+      terms: profile.terms || null,
+      communications: preferences.notifications || null
+    },
+    careTeam: careTeam.map(({ doctorId, patientId, assignedBy, createdAt }) => ({
+      doctorId, patientId, assignedBy, createdAt
+    })),
+    credentialReviews,
+    auditEntries: auditEntries({
+      profile,
+      invitation,
+      careTeam,
+      credentialReviews,
+      exports: exports.filter(record => record.id !== currentExportId)
+    })
+  });
+};
+
+/**
+ * Estado de una exportación para las respuestas de la API
+ * @param {Object} record - Registro de DataExportModel
+ * @param {string} downloadPath - Ruta de descarga (de la API) si está lista
+ * @returns {Object} { id, uid, status, createdAt, completedAt, expiresAt, size, downloadUrl }
+ */
+const toStatus = (record, downloadPath) => serialize({
+  id: record.id,
+  uid: record.uid,
+  status: record.status,
+  createdAt: record.createdAt,
+  completedAt: record.completedAt || null,
+  expiresAt: record.expiresAt,
+  size: record.size || null,
+  downloadUrl: record.status === 'ready' ? downloadPath : null
+});
+
+/**
+ * Genera el archivo de una exportación reservándola antes
+ * @param {string} id - ID de la exportación
+ * @returns {Promise<string|null>} Estado final (ready, pending o failed) o null si
+ *   otra instancia la está procesando
+ */
+const processExport = async (id) => {
+  const record = await DataExportModel.claim(id);
+  if (!record) {
+    return null;
+  }
+
+  let expiresAt;
+  try {
+    const content = JSON.stringify(await buildArchive(record.uid, record.id), null, 2);
+    if (Buffer.byteLength(content) > DATA_EXPORT.maxArchiveBytes) {
+      throw new Error('El archivo supera el tamaño máximo');
+    }
+    expiresAt = await DataExportModel.complete(id, content);
+  } catch (error) {
+    logger.error(`Error al generar la exportación de datos ${id}:`, error);
+    return DataExportModel.fail(record, error.message);
+  }
+
+  logger.info(`Exportación de datos lista: ${id}`, { uid: record.uid, requestedBy: record.requestedBy });
+
+  try {
+    await emailService.sendDataExportReadyEmail(record.notifyEmail, id, expiresAt);
+  } catch (error) {
+    logger.error('Error enviando el aviso de exportación lista:', error);
+  }
+
+  return 'ready';
+};
+
+/**
+ * Solicita la exportación de los datos de un usuario
+ * Si ya hay una en curso o lista sin vencer se devuelve esa en lugar de crear otra.
+ * @param {Object} user - Perfil del usuario cuyos datos se exportan
+ * @param {Object} requester - Quien la solicita
+ * @param {string} requester.id - ID de quien la solicita
+ * @param {string} requester.email - Correo al que se avisa cuando está lista
+ * @returns {Promise<Object>} { record, created }
+ */
+const requestExport = async (user, requester) => {
+  const now = Date.now();
+  const current = (await DataExportModel.listForUser(user.id)).find(record =>
+    record.status !== 'failed' && DataExportModel.toMillis(record.expiresAt) > now);
+
+  if (current) {
+    return { record: current, created: false };
+  }
+
+  const record = await DataExportModel.create({
+    uid: user.id,
+    requestedBy: requester.id,
+    notifyEmail: requester.email
+  });
+
+  // Se genera tras responder; el contexto del tenant se conserva en la tarea
+  setImmediate(() => {
+    processExport(record.id).catch(error => logger.error('Error al procesar la exportación de datos:', error));
+  });
+
+  return { record, created: true };
+};
+
+module.exports = {
+  buildArchive,
+  processExport,
+  requestExport,
+  toStatus
+};
@@ -0,0 +1,177 @@
+const { auth, admin } = require('../config/firebase');
+const UserModel = require('../models/userModel');
+const ActionTokenModel = require('../models/actionTokenModel');
+const { revokeSessions } = require('./session');
+const emailService = require('./emailService');
+const logger = require('./logger');
+
+/**
+ * Cambio del correo de una cuenta con confirmación y reversión
+ *
+ * 1. requestEmailChange envía un enlace de confirmación (propósito
+ *    'email-change') al correo nuevo y un aviso con un enlace de reversión
+ *    (propósito 'email-revert') al correo actual.
+ * 2. confirmEmailChange aplica el cambio en Firebase Auth y en el perfil y
+ *    marca el correo como verificado.
+ * 3. revertEmailChange cancela el cambio pendiente o, si ya se confirmó,
+ *    restaura el correo anterior y cierra todas las sesiones. Los enlaces de
+ *    reversión no se invalidan con nuevas solicitudes, de modo que el titular
+ *    original siempre puede recuperar la cuenta mientras estén vigentes.
+ */
+
+// Error con código para que el controlador elija la respuesta
+const emailChangeError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// El correo ya pertenece a otra cuenta
+const isEmailInUse = async (email, uid) => {
+  const existing = await auth.getUserByEmail(email).catch(() => null);
+  return Boolean(existing && existing.uid !== uid);
+};
+
+/**
+ * Cambia el correo en Firebase Auth y en el perfil y lo marca como verificado
+ * @param {string} uid - ID del usuario
+ * @param {string} email - Correo que queda en la cuenta
+ * @returns {Promise<Object>} Perfil actualizado
+ */
+const applyEmail = async (uid, email) => {
+  const authUser = await auth.updateUser(uid, { email, emailVerified: true });
+  await auth.setCustomUserClaims(uid, { ...(authUser.customClaims || {}), emailVerified: true });
+
+  return UserModel.updateUser(uid, {
+    email,
+    emailVerified: true,
+    pendingEmailChange: admin.firestore.FieldValue.delete()
+  });
+};
+
+/**
+ * Inicia el cambio de correo de una cuenta
+ * @param {Object} user - Perfil actual del usuario
+ * @param {string} newEmail - Correo nuevo (ya normalizado)
+ * @param {string} requestedBy - ID de quien solicita el cambio (el propio usuario o un administrador)
+ * @returns {Promise<Object>} { newEmail, expiresAt }
+ * @throws {Error} Con code EMAIL_UNCHANGED o EMAIL_IN_USE
+ */
+const requestEmailChange = async (user, newEmail, requestedBy) => {
+  if (newEmail === user.email) {
+    throw emailChangeError('EMAIL_UNCHANGED', 'El correo nuevo es igual al actual');
+  }
+
+  if (await isEmailInUse(newEmail, user.id)) {
+    throw emailChangeError('EMAIL_IN_USE', 'Ya existe una cuenta con este correo electrónico');
+  }
+
+  const change = { oldEmail: user.email, newEmail };
+  const { token, expiresAt } = await ActionTokenModel.issue(
+    ActionTokenModel.PURPOSES.EMAIL_CHANGE, user.id, change
+  );
+  const { token: revertToken } = await ActionTokenModel.issue(
+    ActionTokenModel.PURPOSES.EMAIL_REVERT, user.id, change, { revokePending: false }
+  );
+
+  await UserModel.updateUser(user.id, {
+    pendingEmailChange: {
+      newEmail,
+      requestedBy,
+      requestedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt
+    }
+  });
+
+  const recipient = { email: user.email, displayName: user.displayName || 'Usuario' };
+
+  // Sin el correo de confirmación el cambio no se puede completar
+  await emailService.sendEmailChangeConfirmation(recipient, newEmail, token);
+
+  try {
+    await emailService.sendEmailChangeNotice(recipient, newEmail, revertToken);
+  } catch (emailError) {
+    logger.error('Error enviando el aviso de cambio de correo:', emailError);
+  }
+
+  logger.info(`Cambio de correo solicitado para ${user.id}`, { requestedBy });
+  return { newEmail, expiresAt };
+};
+
+/**
+ * Confirma un cambio de correo con el token enviado al correo nuevo
+ * @param {string} token - Token del enlace de confirmación
+ * @returns {Promise<Object|null>} { uid, email } o null si el token no es válido
+ * @throws {Error} Con code EMAIL_CHANGE_STALE si el correo de la cuenta cambió
+ *   desde la solicitud, o EMAIL_IN_USE si otra cuenta tomó el correo nuevo
+ */
+const confirmEmailChange = async (token) => {
+  const consumed = await ActionTokenModel.consume(token, ActionTokenModel.PURPOSES.EMAIL_CHANGE);
+  if (!consumed) {
+    return null;
+  }
+
+  const { subject: uid, data: { oldEmail, newEmail } } = consumed;
+
+  const user = await UserModel.getUserById(uid);
+  if (!user || user.email !== oldEmail) {
+    throw emailChangeError('EMAIL_CHANGE_STALE', 'El correo de la cuenta cambió después de la solicitud');
+  }
+
+  if (await isEmailInUse(newEmail, uid)) {
+    throw emailChangeError('EMAIL_IN_USE', 'Ya existe una cuenta con este correo electrónico');
+  }
+
+  await applyEmail(uid, newEmail);
+
+  logger.info(`Correo cambiado para ${uid}`);
+  return { uid, email: newEmail };
+};
+
+/**
+ * Revierte un cambio de correo con el token enviado al correo anterior
+ * @param {string} token - Token del enlace de reversión
+ * @returns {Promise<Object|null>} { uid, email, restored } o null si el token no es válido;
+ *   restored es false si el cambio aún no se había confirmado y solo se canceló
+ * @throws {Error} Con code EMAIL_IN_USE si otra cuenta tomó el correo anterior
+ */
+const revertEmailChange = async (token) => {
+  const consumed = await ActionTokenModel.consume(token, ActionTokenModel.PURPOSES.EMAIL_REVERT);
+  if (!consumed) {
+    return null;
+  }
+
+  const { subject: uid, data: { oldEmail } } = consumed;
+
+  const user = await UserModel.getUserById(uid);
+  if (!user) {
+    return null;
+  }
+
+  await ActionTokenModel.revokeAll(uid, ActionTokenModel.PURPOSES.EMAIL_CHANGE);
+
+  // Cambio aún sin confirmar: basta con cancelarlo
+  if (user.email === oldEmail) {
+    await UserModel.updateUser(uid, { pendingEmailChange: admin.firestore.FieldValue.delete() });
+    logger.info(`Cambio de correo cancelado para ${uid}`);
+    return { uid, email: oldEmail, restored: false };
+  }
+
+  if (await isEmailInUse(oldEmail, uid)) {
+    throw emailChangeError('EMAIL_IN_USE', 'El correo anterior ya pertenece a otra cuenta');
+  }
+
+  await applyEmail(uid, oldEmail);
+
+  // Si el cambio no lo hizo el titular, quien lo hizo pierde el acceso
+  await revokeSessions(uid, 'email-change-reverted');
+
+  logger.warn(`Cambio de correo revertido para ${uid}`);
+  return { uid, email: oldEmail, restored: true };
+};
+
+module.exports = {
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange
+};
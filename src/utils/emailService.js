@@ -2,6 +2,7 @@ const nodemailer = require('nodemailer');
 const ejs = require('ejs');
 const path = require('path');
 const fs = require('fs').promises;
+const { getTenantId } = require('./tenantContext');
 
 class EmailService {
   constructor() {
@@ -14,6 +15,19 @@ class EmailService {
     });
   }
 
+  // Enlace a una página del frontend; incluye el tenant para que el frontend
+  // lo envíe en las solicitudes que haga desde ella
+  pageUrl(page, params) {
+    const tenantId = getTenantId();
+    const query = new URLSearchParams({ ...params, ...(tenantId ? { tenant: tenantId } : {}) });
+    return `${process.env.FRONTEND_URL}/${page}?${query}`;
+  }
+
+  // Enlace del frontend con un token de un solo uso
+  actionUrl(page, token) {
+    return this.pageUrl(page, { token });
+  }
+
   async sendEmail(to, subject, template, data = {}) {
     try {
       const templatePath = path.join(__dirname, `../templates/emails/${template}.ejs`);
@@ -35,7 +49,7 @@ class EmailService {
   }
 
   async sendConfirmationEmail(user, token) {
-    const confirmUrl = `${process.env.FRONTEND_URL}/confirm-email?token=${token}`;
+    const confirmUrl = this.actionUrl('confirm-email', token);
     return this.sendEmail(
       user.email,
       'Confirma tu correo electrónico',
@@ -45,7 +59,7 @@ class EmailService {
   }
 
   async sendPasswordResetEmail(user, token) {
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+    const resetUrl = this.actionUrl('reset-password', token);
     return this.sendEmail(
       user.email,
       'Restablece tu contraseña',
@@ -54,6 +68,111 @@ class EmailService {
     );
   }
 
+  async sendMagicLinkEmail(user, token) {
+    const signInUrl = this.actionUrl('magic-link', token);
+    return this.sendEmail(
+      user.email,
+      'Tu enlace para iniciar sesión',
+      'magic-link',
+      { user, signInUrl }
+    );
+  }
+
+  async sendEmailChangeConfirmation(user, newEmail, token) {
+    const confirmUrl = this.actionUrl('confirm-email-change', token);
+    return this.sendEmail(
+      newEmail,
+      'Confirma tu nuevo correo electrónico',
+      'email-change-confirm',
+      { user, newEmail, confirmUrl }
+    );
+  }
+
+  async sendEmailChangeNotice(user, newEmail, token) {
+    const revertUrl = this.actionUrl('revert-email-change', token);
+    return this.sendEmail(
+      user.email,
+      'El correo de tu cuenta va a cambiar',
+      'email-change-notice',
+      { user, newEmail, revertUrl }
+    );
+  }
+
+  async sendPasswordChangedEmail(user) {
+    return this.sendEmail(
+      user.email,
+      'Tu contraseña fue cambiada',
+      'password-changed',
+      { user }
+    );
+  }
+
+  async sendAccountLockedEmail(user, lockedUntil) {
+    return this.sendEmail(
+      user.email,
+      'Tu cuenta fue bloqueada temporalmente',
+      'account-locked',
+      { user, lockedUntil: lockedUntil.toLocaleString('es-ES', { timeZone: 'UTC' }) + ' (UTC)' }
+    );
+  }
+
+  async sendInvitationEmail(invitation, token) {
+    const acceptUrl = this.actionUrl('accept-invitation', token);
+    return this.sendEmail(
+      invitation.email,
+      'Te invitaron a crear tu cuenta',
+      'invitation',
+      {
+        invitation,
+        acceptUrl,
+        expiresAt: invitation.expiresAt.toLocaleString('es-ES', { timeZone: 'UTC' }) + ' (UTC)'
+      }
+    );
+  }
+
+  async sendAccountSetupEmail(user, token, expiresAt) {
+    // El enlace usa la misma página que el restablecimiento de contraseña
+    const setupUrl = this.actionUrl('reset-password', token);
+    return this.sendEmail(
+      user.email,
+      'Elige la contraseña de tu cuenta',
+      'account-setup',
+      {
+        user,
+        setupUrl,
+        expiresAt: expiresAt.toLocaleString('es-ES', { timeZone: 'UTC' }) + ' (UTC)'
+      }
+    );
+  }
+
+  async sendDataExportReadyEmail(email, exportId, expiresAt) {
+    // El identificador no basta para descargar: el frontend usa la sesión del usuario
+    const downloadUrl = this.pageUrl('data-export', { id: exportId });
+    return this.sendEmail(
+      email,
+      'Tu copia de datos está lista',
+      'data-export-ready',
+      {
+        downloadUrl,
+        expiresAt: expiresAt.toLocaleString('es-ES', { timeZone: 'UTC' }) + ' (UTC)'
+      }
+    );
+  }
+
+  async sendCredentialReviewEmail(doctor, reviewStatus, notes = null) {
+    const subjects = {
+      pending: 'Estamos revisando tus credenciales',
+      approved: 'Tus credenciales fueron aprobadas',
+      rejected: 'No pudimos aprobar tus credenciales'
+    };
+    return this.sendEmail(
+      doctor.email,
+      subjects[reviewStatus],
+      `credentials-${reviewStatus}`,
+      { user: doctor, notes }
+    );
+  }
+
   async sendWelcomeEmail(user) {
     return this.sendEmail(
       user.email,
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { ENCRYPTION_KEY } = require('../config/constants');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Obtiene la clave de cifrado (32 bytes en Base64)
+ * @returns {Buffer} Clave de cifrado
+ * @throws {Error} Si la clave no está configurada o no tiene 32 bytes
+ */
+const getKey = () => {
+  const key = Buffer.from(ENCRYPTION_KEY || '', 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('ENCRYPTION_KEY debe contener 32 bytes codificados en Base64');
+  }
+
+  return key;
+};
+
+/**
+ * Cifra un texto con AES-256-GCM
+ * @param {string} plaintext - Texto a cifrar
+ * @returns {string} Texto cifrado con el formato v1:iv:tag:datos (Base64)
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv, tag, ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+/**
+ * Descifra un texto generado por encrypt
+ * @param {string} payload - Texto cifrado
+ * @returns {string} Texto original
+ * @throws {Error} Si el formato no es válido o los datos fueron alterados
+ */
+const decrypt = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Formato de datos cifrados no soportado');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,95 @@
+const { IDENTITY_TOOLKIT } = require('../config/constants');
+const { getTenantId } = require('./tenantContext');
+const logger = require('./logger');
+
+/**
+ * Cliente mínimo de la API REST de Identity Toolkit (Firebase Auth)
+ * El Admin SDK no permite verificar contraseñas, así que se usa el mismo
+ * endpoint que los SDK de cliente. IDENTITY_TOOLKIT_BASE_URL permite
+ * apuntar al emulador de Auth.
+ */
+
+// Errores que indican credenciales incorrectas
+const INVALID_CREDENTIAL_ERRORS = ['INVALID_PASSWORD', 'EMAIL_NOT_FOUND', 'INVALID_LOGIN_CREDENTIALS'];
+
+/**
+ * Llama a un método de la API accounts:* de Identity Toolkit
+ * Dentro del contexto de un tenant la llamada se hace en ese tenant
+ * @param {string} method - Nombre del método (por ejemplo signInWithPassword)
+ * @param {Object} payload - Cuerpo de la solicitud
+ * @returns {Promise<Object>} Respuesta de la API
+ * @throws {Error} Con error.code igual al código de error de Identity Toolkit
+ */
+const callAccountsApi = async (method, payload) => {
+  if (!IDENTITY_TOOLKIT.apiKey) {
+    throw new Error('FIREBASE_WEB_API_KEY no está configurada');
+  }
+
+  const url = `${IDENTITY_TOOLKIT.baseUrl}/v1/accounts:${method}?key=${encodeURIComponent(IDENTITY_TOOLKIT.apiKey)}`;
+  const tenantId = getTenantId();
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(tenantId ? { ...payload, tenantId } : payload)
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    // Los mensajes tienen la forma "CODIGO" o "CODIGO : descripción"
+    const message = (data.error && data.error.message) || `HTTP ${response.status}`;
+    const error = new Error(message);
+    error.code = message.split(':')[0].trim();
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Inicia sesión con email y contraseña
+ * @param {string} email - Correo del usuario
+ * @param {string} password - Contraseña
+ * @returns {Promise<Object>} idToken, refreshToken, expiresIn y localId
+ */
+const signInWithPassword = (email, password) => callAccountsApi('signInWithPassword', {
+  email,
+  password,
+  returnSecureToken: true
+});
+
+/**
+ * Canjea un custom token por un ID token
+ * @param {string} customToken - Custom token emitido con auth.createCustomToken
+ * @returns {Promise<Object>} idToken, refreshToken y expiresIn
+ */
+const signInWithCustomToken = (customToken) => callAccountsApi('signInWithCustomToken', {
+  token: customToken,
+  returnSecureToken: true
+});
+
+/**
+ * Comprueba si la contraseña de un usuario es correcta
+ * @param {string} email - Correo del usuario
+ * @param {string} password - Contraseña a comprobar
+ * @returns {Promise<boolean>} false si las credenciales son incorrectas
+ * @throws {Error} Para cualquier otro error (cuenta deshabilitada, demasiados intentos, red...)
+ */
+const verifyPassword = async (email, password) => {
+  try {
+    await signInWithPassword(email, password);
+    return true;
+  } catch (error) {
+    if (INVALID_CREDENTIAL_ERRORS.includes(error.code)) {
+      return false;
+    }
+
+    logger.error('Error al verificar la contraseña con Identity Toolkit:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  signInWithPassword,
+  signInWithCustomToken,
+  verifyPassword
+};
@@ -0,0 +1,99 @@
+const { admin } = require('../config/firebase');
+
+/**
+ * Paginación por cursor de consultas de Firestore
+ * El cursor es opaco para el cliente: codifica en base64url el orden con el
+ * que se generó, el valor del campo de orden del último documento de la página
+ * y su ID, que desempata entre documentos con el mismo valor. Así la página
+ * siguiente se pide con startAfter(valor, id) sin volver a leer el documento.
+ */
+
+// Error con código para que el controlador responda 400
+const paginationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Interpreta un parámetro de orden del tipo "campo" (ascendente) o "-campo" (descendente)
+ * @param {string} sort - Orden solicitado
+ * @param {Array<string>} allowedFields - Campos por los que se puede ordenar
+ * @returns {Object} { field, direction }
+ * @throws {Error} Con code INVALID_SORT si el campo no está permitido
+ */
+const parseSort = (sort, allowedFields) => {
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+
+  if (!allowedFields.includes(field)) {
+    throw paginationError('INVALID_SORT', `No se puede ordenar por ${field}`);
+  }
+
+  return { field, direction: descending ? 'desc' : 'asc' };
+};
+
+// Los Timestamp se guardan con su precisión completa para no saltar ni repetir documentos
+const encodeValue = (value) => (value instanceof admin.firestore.Timestamp
+  ? { ts: [value.seconds, value.nanoseconds] }
+  : value ?? null);
+
+// Solo se aceptan valores simples o un Timestamp { ts: [segundos, nanosegundos] }
+const decodeValue = (value) => {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return value;
+  }
+
+  const { ts } = value;
+  if (!Array.isArray(ts) || ts.length !== 2 || !ts.every(Number.isInteger)) {
+    throw paginationError('INVALID_CURSOR', 'El cursor no es válido');
+  }
+
+  try {
+    return new admin.firestore.Timestamp(ts[0], ts[1]);
+  } catch (error) {
+    throw paginationError('INVALID_CURSOR', 'El cursor no es válido');
+  }
+};
+
+/**
+ * Genera el cursor que apunta después de un documento
+ * @param {string} sort - Orden de la consulta
+ * @param {Object} doc - Último documento de la página
+ * @param {string} field - Campo de orden
+ * @returns {string} Cursor opaco
+ */
+const encodeCursor = (sort, doc, field) => Buffer
+  .from(JSON.stringify({ s: sort, v: encodeValue(doc.get(field)), id: doc.id }))
+  .toString('base64url');
+
+/**
+ * Lee un cursor recibido del cliente
+ * @param {string} cursor - Cursor opaco
+ * @param {string} sort - Orden de la consulta actual
+ * @returns {Array} Valores para startAfter: [valor del campo, ID del documento]
+ * @throws {Error} Con code INVALID_CURSOR si está mal formado o se generó con otro orden
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw paginationError('INVALID_CURSOR', 'El cursor no es válido');
+  }
+
+  if (!decoded || typeof decoded.id !== 'string' || !('v' in decoded)) {
+    throw paginationError('INVALID_CURSOR', 'El cursor no es válido');
+  }
+  if (decoded.s !== sort) {
+    throw paginationError('INVALID_CURSOR', 'El cursor se generó con otro orden');
+  }
+
+  return [decodeValue(decoded.v), decoded.id];
+};
+
+module.exports = {
+  parseSort,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const { PASSWORD_POLICY } = require('../config/constants');
+const PasswordHistoryModel = require('../models/passwordHistoryModel');
+const logger = require('./logger');
+
+/**
+ * Política de contraseñas común a todos los puntos que fijan una contraseña
+ * (registro, alta desde administración, invitaciones, restablecimiento y cambio)
+ *
+ * Cada rol tiene su longitud mínima, clases de caracteres obligatorias y
+ * fortaleza mínima (PASSWORD_POLICY en config/constants). Además se rechazan
+ * las contraseñas de la lista local de contraseñas comunes o filtradas, las que
+ * contienen el nombre o el correo del usuario y las que coinciden con alguna de
+ * sus últimas contraseñas. Se devuelven todas las reglas que fallan, no solo la
+ * primera, para que el cliente pueda mostrarlas juntas.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+const FINGERPRINT_LENGTH = 32;
+
+// Sustituciones habituales de letras por números o símbolos
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+
+// Fragmentos más cortos no cuentan como palabra conocida
+const MIN_WORD_LENGTH = 4;
+
+const deLeet = (value) => value.replace(/[0134578@$!]/g, char => LEET[char]);
+
+// Quita números y símbolos al principio y al final (Password123! -> password)
+const stripAffixes = (value) => value.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+
+// Se carga al iniciar: una ruta mal configurada debe impedir el arranque
+// en lugar de dejar la comprobación desactivada
+const blocklist = new Set(
+  fs.readFileSync(PASSWORD_POLICY.blocklistFile, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+// Ninguna palabra conocida es más larga: acota la búsqueda de subcadenas
+const longestBlockedWord = Math.max(0, ...[...blocklist].map(word => word.length));
+
+/**
+ * Política vigente para un rol
+ * @param {string} [role] - Rol de la cuenta
+ * @returns {Object} Reglas predeterminadas combinadas con las del rol
+ */
+const getPolicy = (role) => ({
+  ...PASSWORD_POLICY.defaults,
+  ...(PASSWORD_POLICY.roles[role] || {})
+});
+
+/**
+ * Indica si una contraseña está en la lista de contraseñas comunes,
+ * también con mayúsculas, números o símbolos añadidos o sustituciones
+ * @param {string} password - Contraseña en claro
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase();
+  const stripped = stripAffixes(lower);
+
+  return [lower, deLeet(lower), stripped, deLeet(stripped)]
+    .some(candidate => candidate.length >= MIN_WORD_LENGTH && blocklist.has(candidate));
+};
+
+// Longitud de la palabra conocida más larga contenida en la contraseña
+const longestKnownWord = (password) => {
+  const normalized = deLeet(password.toLowerCase());
+  let longest = 0;
+
+  for (let start = 0; start < normalized.length; start++) {
+    const last = Math.min(normalized.length, start + longestBlockedWord);
+    for (let end = last; end - start > Math.max(longest, MIN_WORD_LENGTH - 1); end--) {
+      if (blocklist.has(normalized.slice(start, end))) {
+        longest = end - start;
+        break;
+      }
+    }
+  }
+
+  return longest;
+};
+
+/**
+ * Estima la fortaleza de una contraseña con una puntuación de 0 (trivial) a 4 (muy fuerte)
+ * Parte de la entropía según las clases de caracteres usadas y descuenta los
+ * caracteres repetidos o en secuencia (aaa, abc, 123) y las palabras conocidas
+ * @param {string} password - Contraseña en claro
+ * @returns {number} Puntuación de 0 a 4
+ */
+const estimateStrength = (password) => {
+  if (isCommonPassword(password)) {
+    return 0;
+  }
+
+  let pool = 0;
+  if (/[a-z]/.test(password)) pool += 26;
+  if (/[A-Z]/.test(password)) pool += 26;
+  if (/[0-9]/.test(password)) pool += 10;
+  if (/[^A-Za-z0-9]/.test(password)) pool += 33;
+
+  const codes = [...password].map(char => char.codePointAt(0));
+  let effectiveLength = codes.reduce((length, code, index) => {
+    const previous = codes[index - 1];
+    return length + (previous !== undefined && Math.abs(code - previous) <= 1 ? 0.25 : 1);
+  }, 0);
+
+  // Una palabra conocida aporta poco más que un carácter
+  const word = longestKnownWord(password);
+  if (word) {
+    effectiveLength = Math.max(1, effectiveLength - word + 1);
+  }
+
+  const bits = effectiveLength * Math.log2(Math.max(pool, 2));
+  if (bits < 28) return 0;
+  if (bits < 36) return 1;
+  if (bits < 60) return 2;
+  if (bits < 80) return 3;
+  return 4;
+};
+
+// Fragmentos del nombre y del correo que no deben aparecer en la contraseña
+const personalTokens = ({ email, displayName }) => {
+  const parts = [];
+  if (email) {
+    parts.push(...email.split('@')[0].split(/[._+-]/));
+  }
+  if (displayName) {
+    parts.push(...displayName.split(/\s+/));
+  }
+
+  return parts
+    .map(part => part.toLowerCase())
+    .filter(part => part.length >= MIN_WORD_LENGTH);
+};
+
+// Reglas que no dependen del historial
+const evaluateRules = (password, policy, context) => {
+  const failures = [];
+  const fail = (rule, message) => failures.push({ rule, message });
+
+  // Una contraseña demasiado larga se rechaza sin analizarla (el registro es público)
+  if (password.length > policy.maxLength) {
+    fail('maxLength', `La contraseña no puede superar los ${policy.maxLength} caracteres`);
+    return { failures, strength: 0 };
+  }
+  if (password.length < policy.minLength) {
+    fail('minLength', `La contraseña debe tener al menos ${policy.minLength} caracteres`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    fail('lowercase', 'La contraseña debe contener al menos una letra minúscula');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    fail('uppercase', 'La contraseña debe contener al menos una letra mayúscula');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    fail('number', 'La contraseña debe contener al menos un número');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    fail('symbol', 'La contraseña debe contener al menos un carácter especial');
+  }
+
+  const common = isCommonPassword(password);
+  if (common) {
+    fail('common', 'La contraseña es demasiado común o aparece en filtraciones conocidas');
+  }
+
+  const lower = password.toLowerCase();
+  if (personalTokens(context).some(token => lower.includes(token))) {
+    fail('personalInfo', 'La contraseña no debe contener tu nombre ni tu correo electrónico');
+  }
+
+  const strength = estimateStrength(password);
+  if (!common && strength < policy.minStrength) {
+    fail(
+      'strength',
+      `La contraseña es demasiado predecible (fortaleza ${strength} de 4; se requiere ${policy.minStrength})`
+    );
+  }
+
+  return { failures, strength };
+};
+
+// Huella de una contraseña con la sal indicada
+const fingerprint = async (password, salt) => {
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), FINGERPRINT_LENGTH);
+  return hash.toString('base64');
+};
+
+/**
+ * Indica si la contraseña coincide con alguna de las últimas del usuario
+ * @param {string} uid - ID del usuario
+ * @param {string} password - Contraseña en claro
+ * @param {number} historySize - Número de contraseñas anteriores que se comprueban
+ * @returns {Promise<boolean>}
+ */
+const isReused = async (uid, password, historySize) => {
+  const entries = (await PasswordHistoryModel.getEntries(uid)).slice(0, historySize);
+
+  for (const entry of entries) {
+    const hash = Buffer.from(await fingerprint(password, entry.salt), 'base64');
+    const stored = Buffer.from(entry.hash, 'base64');
+    if (stored.length === hash.length && crypto.timingSafeEqual(stored, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Comprueba una contraseña contra la política del rol
+ * @param {string} password - Contraseña en claro
+ * @param {Object} [context] - Datos de la cuenta
+ * @param {string} [context.role] - Rol de la cuenta
+ * @param {string} [context.uid] - ID de la cuenta (si existe, se comprueba el historial)
+ * @param {string} [context.email] - Correo de la cuenta
+ * @param {string} [context.displayName] - Nombre visible
+ * @returns {Promise<Object>} { valid, strength, failures } con failures [{ rule, message }]
+ */
+const checkPassword = async (password, { role, uid, email, displayName } = {}) => {
+  const policy = getPolicy(role);
+  const { failures, strength } = evaluateRules(password, policy, { email, displayName });
+
+  // El historial solo se consulta si lo demás es válido: cada huella cuesta un scrypt
+  if (failures.length === 0 && uid && policy.historySize > 0 &&
+      await isReused(uid, password, policy.historySize)) {
+    failures.push({
+      rule: 'history',
+      message: `La contraseña no puede ser ninguna de tus últimas ${policy.historySize} contraseñas`
+    });
+  }
+
+  return { valid: failures.length === 0, strength, failures };
+};
+
+/**
+ * Guarda la huella de la contraseña que se acaba de fijar
+ * La contraseña ya está cambiada, así que un fallo solo se registra
+ * @param {string} uid - ID del usuario
+ * @param {string} password - Contraseña en claro
+ * @param {string} [role] - Rol de la cuenta (determina cuántas huellas se conservan)
+ */
+const rememberPassword = async (uid, password, role) => {
+  const { historySize } = getPolicy(role);
+  if (historySize <= 0) {
+    return;
+  }
+
+  try {
+    const salt = crypto.randomBytes(16).toString('base64');
+    await PasswordHistoryModel.add(uid, { salt, hash: await fingerprint(password, salt) }, historySize);
+  } catch (error) {
+    logger.error(`No se pudo guardar el historial de contraseñas de ${uid}:`, error);
+  }
+};
+
+/**
+ * Cuerpo de la respuesta 400 para una contraseña que no cumple la política
+ * @param {Object} result - Resultado de checkPassword
+ * @returns {Object} Respuesta con una entrada por regla incumplida
+ */
+const policyViolation = ({ failures, strength }) => ({
+  error: 'Contraseña no válida',
+  details: failures,
+  code: 'PASSWORD_POLICY_VIOLATION',
+  strength
+});
+
+module.exports = {
+  getPolicy,
+  checkPassword,
+  rememberPassword,
+  estimateStrength,
+  isCommonPassword,
+  policyViolation
+};
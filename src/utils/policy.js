@@ -0,0 +1,159 @@
+const RoleModel = require('../models/roleModel');
+const TTLCache = require('./cache');
+const logger = require('./logger');
+const { POLICY_CACHE_TTL } = require('../config/constants');
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPER_ROLE,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../config/permissions');
+
+const MAP_KEY = 'role-permissions';
+const cache = new TTLCache({ ttl: POLICY_CACHE_TTL, maxSize: 1 });
+
+// Último mapa leído correctamente, usado si Firestore no responde
+let lastKnownMap = null;
+
+/**
+ * Obtiene el mapa efectivo rol → permisos
+ * Combina los valores por defecto con lo guardado en Firestore
+ * @returns {Promise<Object>} Mapa de roles y permisos
+ */
+const getRolePermissionMap = async () => {
+  const cached = cache.get(MAP_KEY);
+  if (cached) return cached;
+
+  try {
+    const stored = await RoleModel.getAll();
+    const map = {
+      ...DEFAULT_ROLE_PERMISSIONS,
+      ...stored,
+      [SUPER_ROLE]: [ALL_PERMISSIONS]
+    };
+
+    cache.set(MAP_KEY, map);
+    lastKnownMap = map;
+    return map;
+  } catch (error) {
+    logger.error('No se pudo cargar el mapa de permisos, usando el último conocido:', error);
+    return lastKnownMap || DEFAULT_ROLE_PERMISSIONS;
+  }
+};
+
+/**
+ * Indica si un rol existe en el mapa de permisos
+ * @param {string} role - Nombre del rol
+ * @returns {Promise<boolean>}
+ */
+const isKnownRole = async (role) => {
+  const map = await getRolePermissionMap();
+  return Object.prototype.hasOwnProperty.call(map, role);
+};
+
+/**
+ * Indica si un rol tiene todos los permisos indicados
+ * @param {string} role - Nombre del rol
+ * @param {...string} permissions - Permisos requeridos
+ * @returns {Promise<boolean>}
+ */
+const can = async (role, ...permissions) => {
+  const map = await getRolePermissionMap();
+  const granted = map[role] || [];
+
+  if (granted.includes(ALL_PERMISSIONS)) return true;
+  return permissions.every(permission => granted.includes(permission));
+};
+
+/**
+ * Indica si quien tiene un rol puede asignar otro (al crear, invitar, importar
+ * o cambiar el rol de un usuario)
+ * Solo SUPER_ROLE asigna SUPER_ROLE; los demás solo asignan roles cuyos
+ * permisos ya tienen, para que delegar users:write o invitations:write no
+ * permita conceder más de lo que se tiene.
+ * @param {string} assignerRole - Rol de quien asigna
+ * @param {string} role - Rol que se quiere asignar
+ * @returns {Promise<boolean>}
+ */
+const canAssignRole = async (assignerRole, role) => {
+  if (assignerRole === SUPER_ROLE) return true;
+  if (role === SUPER_ROLE) return false;
+
+  const map = await getRolePermissionMap();
+  return can(assignerRole, ...(map[role] || []));
+};
+
+/**
+ * Respuesta 403 cuando no se puede asignar un rol (ver canAssignRole)
+ * @param {string} role - Rol rechazado
+ * @returns {Object} Cuerpo de la respuesta
+ */
+const roleNotAssignable = role => ({
+  error: 'Acceso denegado',
+  details: `No puedes asignar el rol ${role} porque concede permisos que no tienes`,
+  code: 'ROLE_NOT_ASSIGNABLE'
+});
+
+// Error de edición de roles con su código (ver setRolePermissions)
+const roleError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Reemplaza los permisos de un rol y limpia la caché local
+ * Otras instancias verán el cambio cuando expire su caché. Salvo SUPER_ROLE,
+ * quien edita solo puede modificar roles que podría asignar (canAssignRole) y
+ * conceder permisos que ya tiene, para que roles:write no permita escalar.
+ * @param {string} role - Nombre del rol
+ * @param {Array<string>} permissions - Permisos a asignar
+ * @param {string} updatedBy - ID del usuario que realiza el cambio
+ * @param {string} updaterRole - Rol del usuario que realiza el cambio
+ * @returns {Promise<Object>} Rol actualizado
+ * @throws {Error} Con code ROLE_NOT_EDITABLE (SUPER_ROLE), UNKNOWN_PERMISSIONS
+ *   o PERMISSIONS_NOT_GRANTABLE (permisos que quien edita no tiene)
+ */
+const setRolePermissions = async (role, permissions, updatedBy, updaterRole) => {
+  if (role === SUPER_ROLE) {
+    throw roleError(`Los permisos del rol ${SUPER_ROLE} no se pueden modificar`, 'ROLE_NOT_EDITABLE');
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw roleError(`Permisos desconocidos: ${unknown.join(', ')}`, 'UNKNOWN_PERMISSIONS');
+  }
+
+  if (updaterRole !== SUPER_ROLE) {
+    const map = await getRolePermissionMap();
+    const granted = map[updaterRole] || [];
+    const notGranted = permissions.filter(permission => !granted.includes(permission));
+
+    if (!(await canAssignRole(updaterRole, role))) {
+      throw roleError(
+        `No puedes modificar el rol ${role} porque concede permisos que no tienes`,
+        'PERMISSIONS_NOT_GRANTABLE'
+      );
+    }
+    if (notGranted.length > 0) {
+      throw roleError(
+        `No puedes conceder permisos que no tienes: ${notGranted.join(', ')}`,
+        'PERMISSIONS_NOT_GRANTABLE'
+      );
+    }
+  }
+
+  const result = await RoleModel.setPermissions(role, [...new Set(permissions)], updatedBy);
+  cache.clear();
+  logger.info(`Permisos del rol ${role} actualizados`, { permissions, updatedBy });
+  return result;
+};
+
+module.exports = {
+  getRolePermissionMap,
+  isKnownRole,
+  can,
+  canAssignRole,
+  roleNotAssignable,
+  setRolePermissions
+};
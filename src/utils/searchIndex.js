@@ -0,0 +1,102 @@
+/**
+ * Índice de búsqueda de perfiles (campo searchTokens)
+ * Firestore no tiene búsqueda de texto, así que cada perfil guarda los
+ * prefijos de sus textos normalizados (minúsculas, sin tildes y con los
+ * separadores convertidos en espacios) y la búsqueda es un array-contains
+ * del término normalizado. Se indexan los prefijos de la frase que empieza en
+ * cada palabra, de modo que "lopez gar" encuentra a "María López García", y
+ * los fragmentos de los dígitos del teléfono.
+ */
+
+const MIN_TOKEN_LENGTH = 2;
+// Los términos más largos se recortan: el prefijo recortado sigue coincidiendo
+const MAX_TOKEN_LENGTH = 30;
+// Solo se indexan las primeras palabras de cada texto y los primeros dígitos
+// del teléfono, para que el número de tokens tenga un máximo fijo
+const MAX_INDEXED_WORDS = 8;
+const MAX_PHONE_DIGITS = 20;
+
+// Términos formados solo por dígitos y signos de un teléfono
+const PHONE_QUERY = /^[\d\s()+\-.]+$/;
+
+/**
+ * Normaliza un texto para el índice: minúsculas, sin tildes ni diéresis
+ * (ñ pasa a n) y con cualquier separador convertido en un espacio
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ */
+const normalizeText = (text) => String(text)
+  .normalize('NFD')
+  .replace(/\p{Diacritic}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const prefixes = (value) => {
+  const tokens = [];
+  for (let length = MIN_TOKEN_LENGTH; length <= Math.min(value.length, MAX_TOKEN_LENGTH); length++) {
+    tokens.push(value.slice(0, length));
+  }
+  return tokens;
+};
+
+// Prefijos de la frase que empieza en cada palabra
+const textTokens = (text) => {
+  const words = normalizeText(text).split(' ').filter(Boolean).slice(0, MAX_INDEXED_WORDS);
+  return words.flatMap((word, index) => prefixes(words.slice(index).join(' ')));
+};
+
+// Cualquier fragmento de los dígitos del teléfono (con o sin prefijo internacional)
+const phoneTokens = (phone) => {
+  const digits = String(phone).replace(/\D/g, '').slice(0, MAX_PHONE_DIGITS);
+  const tokens = [];
+  for (let start = 0; start <= digits.length - MIN_TOKEN_LENGTH; start++) {
+    tokens.push(...prefixes(digits.slice(start)));
+  }
+  return tokens;
+};
+
+/**
+ * Calcula los tokens de búsqueda de un perfil
+ * @param {Object} profile - Perfil (con los cambios ya aplicados)
+ * @returns {Array<string>} Tokens ordenados y sin duplicados
+ */
+const buildSearchTokens = ({ displayName, email, personalInfo = {} } = {}) => {
+  const { firstName, lastName, phone } = personalInfo || {};
+  const tokens = new Set();
+
+  [displayName, email, [firstName, lastName].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .forEach(text => textTokens(text).forEach(token => tokens.add(token)));
+
+  if (phone) {
+    phoneTokens(phone).forEach(token => tokens.add(token));
+  }
+
+  return [...tokens].sort();
+};
+
+/**
+ * Normaliza un término de búsqueda igual que los textos indexados
+ * @param {string} search - Término introducido por el usuario
+ * @returns {string} Token que se busca con array-contains ('' si no queda nada)
+ */
+const normalizeSearchTerm = (search) => {
+  const term = PHONE_QUERY.test(search) ? search.replace(/\D/g, '') : normalizeText(search);
+  return term.slice(0, MAX_TOKEN_LENGTH).trim();
+};
+
+/**
+ * Indica si una actualización de perfil cambia algún campo indexado
+ * @param {Object} updates - Campos de la actualización (admite rutas con punto)
+ * @returns {boolean}
+ */
+const touchesIndexedFields = (updates) => Object.keys(updates).some(key =>
+  ['displayName', 'email', 'personalInfo'].includes(key) || key.startsWith('personalInfo.'));
+
+module.exports = {
+  MIN_TOKEN_LENGTH,
+  buildSearchTokens,
+  normalizeSearchTerm,
+  touchesIndexedFields
+};
@@ -0,0 +1,58 @@
+const { auth } = require('../config/firebase');
+const { SESSION_COOKIE } = require('../config/constants');
+const logger = require('./logger');
+
+// Opciones comunes de la cookie de sesión
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: SESSION_COOKIE.secure,
+  sameSite: SESSION_COOKIE.sameSite,
+  path: '/'
+});
+
+/**
+ * Obtiene la cookie de sesión de la solicitud
+ * @param {Object} req - Objeto de solicitud de Express
+ * @returns {string|null} Cookie de sesión o null si no existe
+ */
+const getSessionCookie = (req) => {
+  return (req.cookies && req.cookies[SESSION_COOKIE.name]) || null;
+};
+
+/**
+ * Establece la cookie de sesión en la respuesta
+ * @param {Object} res - Objeto de respuesta de Express
+ * @param {string} sessionCookie - Cookie generada por Firebase
+ */
+const setSessionCookie = (res, sessionCookie) => {
+  res.cookie(SESSION_COOKIE.name, sessionCookie, {
+    ...cookieOptions(),
+    maxAge: SESSION_COOKIE.expiresIn
+  });
+};
+
+/**
+ * Elimina la cookie de sesión del navegador
+ * @param {Object} res - Objeto de respuesta de Express
+ */
+const clearSessionCookie = (res) => {
+  res.clearCookie(SESSION_COOKIE.name, cookieOptions());
+};
+
+/**
+ * Revoca todos los refresh tokens del usuario ("cerrar sesión en todos lados")
+ * Los ID tokens y cookies emitidos antes de este momento dejan de ser válidos
+ * @param {string} uid - ID del usuario
+ * @param {string} reason - Motivo de la revocación (para el log)
+ */
+const revokeSessions = async (uid, reason) => {
+  await auth.revokeRefreshTokens(uid);
+  logger.info(`Sesiones revocadas para el usuario ${uid}`, { reason });
+};
+
+module.exports = {
+  getSessionCookie,
+  setSessionCookie,
+  clearSessionCookie,
+  revokeSessions
+};
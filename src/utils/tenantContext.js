@@ -0,0 +1,43 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Contexto del tenant de la solicitud en curso
+ * El middleware resolveTenant ejecuta el resto de la cadena dentro de
+ * runWithTenant, de modo que los modelos, cachés y llamadas a Firebase Auth
+ * obtienen el tenant sin recibirlo como parámetro. Fuera de un contexto (o con
+ * tenant null) se usa el proyecto raíz.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Ejecuta una función dentro del contexto de un tenant
+ * @param {string|null} tenantId - ID del tenant de Firebase Auth (null para el proyecto raíz)
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} Resultado de la función
+ */
+const runWithTenant = (tenantId, fn) => storage.run({ tenantId: tenantId || null }, fn);
+
+/**
+ * ID del tenant del contexto actual
+ * @returns {string|null} ID del tenant o null en el proyecto raíz
+ */
+const getTenantId = () => {
+  const context = storage.getStore();
+  return context ? context.tenantId : null;
+};
+
+/**
+ * Prefija una clave de caché o de almacén con el tenant actual
+ * @param {string} key - Clave sin tenant
+ * @returns {string} Clave única entre tenants
+ */
+const scopedKey = (key) => {
+  const tenantId = getTenantId();
+  return tenantId ? `tenant:${tenantId}:${key}` : key;
+};
+
+module.exports = {
+  runWithTenant,
+  getTenantId,
+  scopedKey
+};
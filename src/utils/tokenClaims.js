@@ -0,0 +1,58 @@
+const { CUSTOM_TOKEN } = require('../config/constants');
+
+// Claims reservados por Firebase/OIDC que nunca se pueden sobrescribir
+const RESERVED_CLAIMS = [
+  'acr', 'amr', 'at_hash', 'aud', 'auth_time', 'azp', 'cnf', 'c_hash',
+  'exp', 'firebase', 'iat', 'iss', 'jti', 'nbf', 'nonce', 'sub'
+];
+
+/**
+ * Construye los claims derivados del perfil de Firestore
+ * Estos claims siempre prevalecen sobre los enviados por el cliente
+ * @param {Object} user - Perfil del usuario
+ * @returns {Object} Claims de rol, estado y especialidad (solo médicos)
+ */
+const buildProfileClaims = (user) => {
+  const claims = {
+    role: user.role,
+    status: user.status
+  };
+
+  if (user.role === 'doctor' && user.professionalInfo && user.professionalInfo.specialty) {
+    claims.specialty = user.professionalInfo.specialty;
+  }
+
+  return claims;
+};
+
+/**
+ * Separa los claims adicionales permitidos de los rechazados
+ * Solo se aceptan los claims de la lista permitida que no sean reservados
+ * ni coincidan con los claims derivados del perfil
+ * @param {Object} claims - Claims enviados por el cliente
+ * @returns {{ allowed: Object, rejected: Array<string> }}
+ */
+const filterAdditionalClaims = (claims = {}) => {
+  const allowed = {};
+  const rejected = [];
+  const profileClaims = ['role', 'status', 'specialty'];
+
+  Object.entries(claims).forEach(([name, value]) => {
+    const isAllowed = CUSTOM_TOKEN.claimAllowlist.includes(name) &&
+      !RESERVED_CLAIMS.includes(name) &&
+      !profileClaims.includes(name);
+
+    if (isAllowed) {
+      allowed[name] = value;
+    } else {
+      rejected.push(name);
+    }
+  });
+
+  return { allowed, rejected };
+};
+
+module.exports = {
+  buildProfileClaims,
+  filterAdditionalClaims
+};
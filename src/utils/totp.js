@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+/**
+ * Implementación de TOTP (RFC 6238) compatible con Google Authenticator,
+ * Microsoft Authenticator, Authy y similares (SHA-1, 6 dígitos, 30 segundos)
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Codifica un buffer en Base32 (RFC 4648, sin relleno)
+ * @param {Buffer} buffer - Datos a codificar
+ * @returns {string} Texto en Base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodifica un texto en Base32 (ignora espacios y relleno)
+ * @param {string} input - Texto en Base32
+ * @returns {Buffer} Datos decodificados
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto Base32 inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Genera un secreto TOTP aleatorio de 160 bits
+ * @returns {string} Secreto en Base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcula el código para un paso de tiempo concreto (HOTP, RFC 4226)
+ * @param {string} secret - Secreto en Base32
+ * @param {number} step - Número de paso de tiempo
+ * @returns {string} Código de 6 dígitos
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return binary.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Paso de tiempo actual
+ * @param {number} [now] - Marca de tiempo en milisegundos
+ * @returns {number}
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD);
+
+/**
+ * Verifica un código TOTP admitiendo una pequeña desviación de reloj
+ * @param {string} secret - Secreto en Base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {number} [window=1] - Pasos de tolerancia antes y después del actual
+ * @returns {number|null} Paso de tiempo que coincide (para evitar reutilizarlo) o null
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Construye la URI otpauth:// para mostrar como código QR
+ * @param {Object} options - Datos de la cuenta
+ * @param {string} options.secret - Secreto en Base32
+ * @param {string} options.accountName - Nombre de la cuenta (normalmente el email)
+ * @param {string} options.issuer - Nombre de la aplicación
+ * @returns {string} URI otpauth
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri
+};
@@ -0,0 +1,126 @@
+const { auth } = require('../config/firebase');
+const UserModel = require('../models/userModel');
+const logger = require('./logger');
+
+/**
+ * Exportación del listado de usuarios (GET /users/export)
+ * Recorre con la paginación por cursor de UserModel.searchUsers todos los
+ * perfiles que coinciden con los filtros y completa cada página con los datos
+ * de Firebase Auth en una sola llamada a auth.getUsers. Solo se exportan las
+ * columnas de EXPORT_COLUMNS: los campos sensibles (tokens, MFA, índice de
+ * búsqueda, revisión de credenciales) no se pueden pedir.
+ */
+
+// Perfiles por página (auth.getUsers admite hasta 100 identificadores)
+const PAGE_SIZE = 100;
+
+// Fecha de Firestore (Timestamp) o de Firebase Auth (cadena UTC) en ISO 8601
+const toIso = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Valor de un campo anidado del perfil (personalInfo.phone)
+const nested = (path) => ({ profile }) => {
+  const [parent, child] = path.split('.');
+  return profile[parent] ? profile[parent][child] ?? null : null;
+};
+
+// Columnas exportables y cómo se obtiene cada una del perfil y del usuario de Auth
+const EXPORT_COLUMNS = {
+  id: ({ profile }) => profile.id,
+  email: ({ profile, authUser }) => (authUser && authUser.email) || profile.email || null,
+  displayName: ({ profile, authUser }) => profile.displayName || (authUser && authUser.displayName) || null,
+  role: ({ profile }) => profile.role || null,
+  status: ({ profile }) => profile.status || null,
+  emailVerified: ({ profile, authUser }) => Boolean((authUser && authUser.emailVerified) || profile.emailVerified),
+  disabled: ({ authUser }) => (authUser ? Boolean(authUser.disabled) : null),
+  creationTime: ({ authUser }) => (authUser ? toIso(authUser.metadata.creationTime) : null),
+  lastSignInTime: ({ authUser }) => (authUser ? toIso(authUser.metadata.lastSignInTime) : null),
+  createdAt: ({ profile }) => toIso(profile.createdAt),
+  updatedAt: ({ profile }) => toIso(profile.updatedAt),
+  lastLogin: ({ profile }) => toIso(profile.lastLogin),
+  mfaEnabled: ({ profile }) => profile.mfaEnabled,
+  signUpMethod: ({ profile }) => profile.signUpMethod || null,
+  'personalInfo.firstName': nested('personalInfo.firstName'),
+  'personalInfo.lastName': nested('personalInfo.lastName'),
+  'personalInfo.phone': nested('personalInfo.phone'),
+  'personalInfo.dateOfBirth': nested('personalInfo.dateOfBirth'),
+  'personalInfo.gender': nested('personalInfo.gender'),
+  'professionalInfo.specialty': nested('professionalInfo.specialty'),
+  'professionalInfo.licenseNumber': nested('professionalInfo.licenseNumber'),
+  'preferences.language': nested('preferences.language')
+};
+
+// Columnas cuando no se indica columns
+const DEFAULT_COLUMNS = [
+  'id', 'email', 'displayName', 'role', 'status',
+  'emailVerified', 'disabled', 'creationTime', 'lastSignInTime'
+];
+
+/**
+ * Interpreta la lista de columnas pedida
+ * @param {string} [columns] - Columnas separadas por comas
+ * @returns {Array<string>} Columnas sin duplicados (DEFAULT_COLUMNS si no se indican)
+ * @throws {Error} Con code INVALID_COLUMNS si alguna columna no se puede exportar
+ */
+const parseColumns = (columns) => {
+  if (!columns) return DEFAULT_COLUMNS;
+
+  const requested = [...new Set(columns.split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = requested.filter(column => !Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, column));
+
+  if (requested.length === 0 || unknown.length > 0) {
+    const error = new Error(
+      `Columnas no exportables: ${unknown.join(', ') || '(ninguna)'}. Columnas disponibles: ${Object.keys(EXPORT_COLUMNS).join(', ')}`
+    );
+    error.code = 'INVALID_COLUMNS';
+    throw error;
+  }
+
+  return requested;
+};
+
+/**
+ * Recorre por páginas los usuarios que coinciden con los filtros
+ * @param {Object} filters - Filtros de UserModel.filteredQuery (role, status, search)
+ * @param {Object} options - Opciones
+ * @param {string} [options.sort='createdAt'] - Orden (ver UserModel.searchUsers)
+ * @param {Array<string>} options.columns - Columnas a exportar (ver parseColumns)
+ * @yields {Array<Object>} Filas de una página, con una clave por columna
+ * @throws {Error} Con code INVALID_SORT si el orden no es válido
+ */
+async function* exportPages(filters, { sort = 'createdAt', columns }) {
+  let cursor = null;
+
+  do {
+    const page = await UserModel.searchUsers(filters, { limit: PAGE_SIZE, cursor, sort });
+    cursor = page.nextCursor;
+
+    if (page.users.length === 0) {
+      break;
+    }
+
+    let authUsers = new Map();
+    try {
+      const result = await auth.getUsers(page.users.map(user => ({ uid: user.id })));
+      authUsers = new Map(result.users.map(authUser => [authUser.uid, authUser]));
+    } catch (error) {
+      // Sin Auth se exportan los datos del perfil; las columnas de Auth quedan vacías
+      logger.error('Error obteniendo datos de autenticación para la exportación:', error);
+    }
+
+    yield page.users.map((profile) => {
+      const source = { profile, authUser: authUsers.get(profile.id) };
+      return Object.fromEntries(columns.map(column => [column, EXPORT_COLUMNS[column](source)]));
+    });
+  } while (cursor);
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  exportPages
+};
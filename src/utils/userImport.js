@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { validationResult } = require('express-validator');
+const { auth } = require('../config/firebase');
+const { USER_IMPORT } = require('../config/constants');
+const ActionTokenModel = require('../models/actionTokenModel');
+const { newUserRules } = require('../middleware/validation');
+const { saveProfile, sendWelcomeEmails } = require('./accountService');
+const { checkPassword } = require('./passwordPolicy');
+const policy = require('./policy');
+const { parseCsvObjects } = require('./csv');
+const emailService = require('./emailService');
+const logger = require('./logger');
+
+/**
+ * Importación masiva de usuarios desde CSV o NDJSON
+ * (POST /users/import y npm run job:import-users)
+ *
+ * 1. Cada fila se valida con las mismas reglas que POST /users (newUserRules y
+ *    la política de contraseñas) y se descartan los correos repetidos en el
+ *    archivo o que ya tienen cuenta.
+ * 2. Las filas válidas se crean por lotes con auth.importUsers; las
+ *    contraseñas viajan como hash PBKDF2-SHA256. Cada perfil se guarda con
+ *    saveProfile, igual que en el alta individual; si falla, la cuenta de
+ *    Firebase Auth se elimina para no dejarla sin perfil.
+ * 3. Con sendEmails, las cuentas con contraseña reciben los correos de
+ *    bienvenida y verificación, y las que no la tienen un enlace para elegirla.
+ *
+ * En modo dryRun solo se ejecuta la validación.
+ */
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const FORMATS = ['csv', 'ndjson'];
+
+// Columnas admitidas (NDJSON admite además personalInfo y professionalInfo anidados)
+const COLUMNS = [
+  'email', 'displayName', 'role', 'password',
+  'firstName', 'lastName', 'phone',
+  'specialty', 'licenseNumber'
+];
+const NESTED_FIELDS = ['personalInfo', 'professionalInfo'];
+
+// Error con código para que el controlador responda 400
+const importError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Formato de un archivo según su Content-Type o su extensión
+ * @param {string} [hint] - Content-Type o nombre del archivo
+ * @returns {string|null} csv, ndjson o null si no se reconoce
+ */
+const detectFormat = (hint = '') => {
+  if (/csv/i.test(hint)) return 'csv';
+  if (/ndjson|jsonl/i.test(hint)) return 'ndjson';
+  return null;
+};
+
+const parseNdjson = (text) => text
+  .split(/\r?\n/)
+  .map((content, index) => ({ line: index + 1, content: content.trim() }))
+  .filter(({ content }) => content)
+  .map(({ line, content }) => {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      return { line, data: null, error: 'La línea no es un JSON válido' };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { line, data: null, error: 'La línea no es un objeto JSON' };
+    }
+
+    const unknown = Object.keys(data).filter(key => !COLUMNS.includes(key) && !NESTED_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return { line, data: null, error: `Campos desconocidos: ${unknown.join(', ')}` };
+    }
+
+    return { line, data };
+  });
+
+/**
+ * Lee el archivo de importación
+ * @param {string} content - Contenido del archivo
+ * @param {string} format - csv o ndjson
+ * @returns {Array<Object>} Filas [{ line, data, error? }]
+ * @throws {Error} Con code INVALID_IMPORT_FILE si el archivo no se puede leer o
+ *   TOO_MANY_ROWS si supera USER_IMPORT.maxRows
+ */
+const parseImportFile = (content, format) => {
+  if (!FORMATS.includes(format)) {
+    throw importError('INVALID_IMPORT_FILE', `Formato no admitido; usa ${FORMATS.join(' o ')}`);
+  }
+
+  let rows;
+  if (format === 'csv') {
+    let parsed;
+    try {
+      parsed = parseCsvObjects(content);
+    } catch (error) {
+      throw importError('INVALID_IMPORT_FILE', error.message);
+    }
+
+    const unknown = parsed.columns.filter(column => !COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw importError(
+        'INVALID_IMPORT_FILE',
+        `Columnas desconocidas: ${unknown.join(', ')}. Columnas admitidas: ${COLUMNS.join(', ')}`
+      );
+    }
+    if (!parsed.columns.includes('email')) {
+      throw importError('INVALID_IMPORT_FILE', 'Falta la columna email');
+    }
+    rows = parsed.rows;
+  } else {
+    rows = parseNdjson(content);
+  }
+
+  if (rows.length === 0) {
+    throw importError('INVALID_IMPORT_FILE', 'El archivo no contiene filas');
+  }
+  if (rows.length > USER_IMPORT.maxRows) {
+    throw importError('TOO_MANY_ROWS', `El archivo tiene ${rows.length} filas; el máximo es ${USER_IMPORT.maxRows}`);
+  }
+
+  return rows;
+};
+
+// Las celdas vacías del CSV equivalen a un campo ausente
+const clean = (value) => {
+  if (typeof value !== 'string') return value ?? undefined;
+  const trimmed = value.trim();
+  return trimmed === '' ? undefined : trimmed;
+};
+
+// Toma los campos indicados de la columna plana o, si falta, del objeto anidado
+const pick = (data, nested, fields) => {
+  const source = nested && typeof nested === 'object' ? nested : {};
+  const picked = {};
+  fields.forEach((field) => {
+    const value = clean(data[field]) ?? clean(source[field]);
+    // En NDJSON un teléfono puede llegar como número
+    if (value !== undefined) picked[field] = typeof value === 'number' ? String(value) : value;
+  });
+  return picked;
+};
+
+// Datos de la cuenta a partir de una fila (columnas planas o campos anidados)
+const toAccount = (data) => {
+  const personalInfo = pick(data, data.personalInfo, ['firstName', 'lastName', 'phone']);
+  const professionalInfo = pick(data, data.professionalInfo, ['specialty', 'licenseNumber']);
+
+  const fullName = [personalInfo.firstName, personalInfo.lastName].filter(Boolean).join(' ');
+
+  return {
+    email: clean(data.email),
+    displayName: clean(data.displayName) || fullName || undefined,
+    role: clean(data.role) || 'patient',
+    // La contraseña no se recorta, pero una celda vacía equivale a no tenerla
+    password: data.password == null || data.password === '' ? undefined : String(data.password),
+    personalInfo,
+    professionalInfo
+  };
+};
+
+/**
+ * Valida una cuenta con las reglas de POST /users y la política de contraseñas
+ * Aplica además los saneamientos de las reglas (correo normalizado, nombre sin espacios)
+ * @param {Object} account - Datos de la cuenta (se modifica)
+ * @returns {Promise<Array>} Errores [{ field, message, rule? }]
+ */
+const validateAccount = async (account) => {
+  const req = { body: { ...account } };
+  for (const chain of newUserRules({ requirePassword: false })) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+  account.email = req.body.email;
+  account.displayName = req.body.displayName;
+
+  if (errors.length === 0 && account.password) {
+    const { failures } = await checkPassword(account.password, {
+      role: account.role,
+      email: account.email,
+      displayName: account.displayName
+    });
+    failures.forEach(({ rule, message }) => errors.push({ field: 'password', rule, message }));
+  }
+
+  return errors;
+};
+
+// Marca como inválidas las filas cuyo correo ya tiene cuenta
+const rejectExistingEmails = async (entries) => {
+  for (const batch of chunk(entries, USER_IMPORT.batchSize)) {
+    const { users } = await auth.getUsers(batch.map(({ account }) => ({ email: account.email })));
+    const existing = new Set(users.map(user => user.email.toLowerCase()));
+
+    batch
+      .filter(({ account }) => existing.has(account.email.toLowerCase()))
+      .forEach(({ result }) => {
+        result.status = 'invalid';
+        result.errors = [{ field: 'email', message: 'Ya existe una cuenta con este correo electrónico' }];
+      });
+  }
+
+  return entries.filter(({ result }) => result.status !== 'invalid');
+};
+
+// Registro para auth.importUsers, con la contraseña como hash PBKDF2-SHA256
+const toImportRecord = async ({ account }) => {
+  const record = {
+    uid: crypto.randomBytes(15).toString('base64url'),
+    email: account.email,
+    displayName: account.displayName,
+    emailVerified: false,
+    disabled: false
+  };
+
+  if (account.password) {
+    const salt = crypto.randomBytes(16);
+    record.passwordSalt = salt;
+    record.passwordHash = await pbkdf2(account.password, salt, USER_IMPORT.passwordHashRounds, 32, 'sha256');
+  }
+
+  return record;
+};
+
+// Correo para que una cuenta importada sin contraseña la elija
+const sendAccountSetup = async (record) => {
+  try {
+    const { token, expiresAt } = await ActionTokenModel.issue(
+      ActionTokenModel.PURPOSES.RESET_PASSWORD, record.uid, {}, { ttl: USER_IMPORT.setupLinkTtl }
+    );
+    await emailService.sendAccountSetupEmail(
+      { email: record.email, displayName: record.displayName || 'Usuario' },
+      token,
+      expiresAt
+    );
+    return true;
+  } catch (error) {
+    logger.error('Error enviando el enlace para elegir contraseña:', error);
+    return false;
+  }
+};
+
+// Crea un lote de cuentas válidas y completa sus resultados
+const createBatch = async (entries, { sendEmails, createdBy }) => {
+  const records = await Promise.all(entries.map(toImportRecord));
+
+  const hasPasswords = records.some(record => record.passwordHash);
+  const { errors } = await auth.importUsers(
+    records,
+    hasPasswords ? { hash: { algorithm: 'PBKDF2_SHA256', rounds: USER_IMPORT.passwordHashRounds } } : undefined
+  );
+  const importErrors = new Map(errors.map(({ index, error }) => [index, error]));
+
+  for (const [index, { account, result }] of entries.entries()) {
+    const record = records[index];
+
+    if (importErrors.has(index)) {
+      result.status = 'failed';
+      result.errors = [{ message: importErrors.get(index).message }];
+      continue;
+    }
+
+    try {
+      await saveProfile(record, {
+        ...account,
+        createdBy,
+        profile: Object.keys(account.personalInfo).length > 0
+          ? { signUpMethod: 'import', personalInfo: account.personalInfo }
+          : { signUpMethod: 'import' }
+      });
+    } catch (error) {
+      logger.error(`Error guardando el perfil importado de ${record.email}:`, error);
+      await auth.deleteUser(record.uid).catch(() => null);
+      result.status = 'failed';
+      result.errors = [{ message: 'No se pudo guardar el perfil' }];
+      continue;
+    }
+
+    result.status = 'created';
+    result.uid = record.uid;
+
+    if (sendEmails) {
+      result.emailSent = account.password
+        ? await sendWelcomeEmails(record, false)
+        : await sendAccountSetup(record);
+    }
+  }
+};
+
+/**
+ * Valida e importa las filas de un archivo
+ * @param {Array<Object>} rows - Filas devueltas por parseImportFile
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.dryRun=false] - Solo validar, sin crear cuentas
+ * @param {boolean} [options.sendEmails=false] - Enviar los correos de bienvenida,
+ *   verificación o elección de contraseña
+ * @param {string} [options.createdBy] - ID de quien importa
+ * @param {string} [options.assignerRole] - Rol de quien importa; las filas con roles
+ *   que no puede asignar son inválidas (sin él, como en el job, no se restringe)
+ * @returns {Promise<Object>} { dryRun, summary, results } con un resultado por fila:
+ *   { line, email, status, uid?, errors?, emailSent? } y status valid (dryRun),
+ *   created, invalid o failed
+ */
+const importUsers = async (rows, { dryRun = false, sendEmails = false, createdBy, assignerRole } = {}) => {
+  const entries = [];
+  const seen = new Set();
+
+  for (const row of rows) {
+    const result = { line: row.line, email: (row.data && clean(row.data.email)) || null, status: 'invalid' };
+    entries.push({ result });
+
+    if (row.error) {
+      result.errors = [{ message: row.error }];
+      continue;
+    }
+
+    const account = toAccount(row.data);
+    const errors = await validateAccount(account);
+
+    if (errors.length === 0 && assignerRole && !(await policy.canAssignRole(assignerRole, account.role))) {
+      errors.push({ field: 'role', message: policy.roleNotAssignable(account.role).details });
+    }
+
+    if (errors.length === 0 && seen.has(account.email.toLowerCase())) {
+      errors.push({ field: 'email', message: 'El correo está repetido en el archivo' });
+    }
+
+    if (errors.length > 0) {
+      result.errors = errors;
+      continue;
+    }
+
+    seen.add(account.email.toLowerCase());
+    result.email = account.email;
+    result.status = 'valid';
+    entries[entries.length - 1].account = account;
+  }
+
+  const valid = await rejectExistingEmails(entries.filter(({ result }) => result.status === 'valid'));
+
+  if (!dryRun) {
+    for (const batch of chunk(valid, USER_IMPORT.batchSize)) {
+      await createBatch(batch, { sendEmails, createdBy });
+    }
+  }
+
+  const results = entries.map(({ result }) => result);
+  const summary = { total: results.length };
+  ['valid', 'created', 'invalid', 'failed'].forEach((status) => {
+    summary[status] = results.filter(result => result.status === status).length;
+  });
+
+  logger.info(`Importación de usuarios${dryRun ? ' (simulación)' : ''}`, { createdBy, ...summary });
+
+  return { dryRun, summary, results };
+};
+
+module.exports = {
+  FORMATS,
+  COLUMNS,
+  detectFormat,
+  parseImportFile,
+  importUsers
+};
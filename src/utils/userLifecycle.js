@@ -0,0 +1,143 @@
+const { auth } = require('../config/firebase');
+const { USER_DELETION } = require('../config/constants');
+const UserModel = require('../models/userModel');
+const PasswordHistoryModel = require('../models/passwordHistoryModel');
+const CareTeamModel = require('../models/careTeamModel');
+const DataExportModel = require('../models/dataExportModel');
+const { revokeSessions } = require('./session');
+const logger = require('./logger');
+
+/**
+ * Ciclo de eliminación de cuentas
+ *
+ * 1. Eliminar (DELETE /users/:id): el perfil pasa a 'deleted' y la cuenta de
+ *    Firebase Auth se deshabilita y pierde sus sesiones; nada se borra.
+ * 2. Restaurar (POST /users/:id/restore): antes de purgeAfter se devuelven el
+ *    estado del perfil y de la cuenta de Auth.
+ * 3. Purgar (job purgeDeletedUsers): vencido USER_DELETION.retention se borran
+ *    la cuenta de Auth, el perfil, el historial de contraseñas, los vínculos
+ *    del equipo de atención y las exportaciones de datos.
+ */
+
+// Error con código para que el controlador elija la respuesta
+const lifecycleError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const toMillis = (value) => {
+  if (!value) return null;
+  return value.toMillis ? value.toMillis() : new Date(value).getTime();
+};
+
+/**
+ * Momento a partir del cual se purga un perfil eliminado
+ * Los eliminados antes de guardar purgeAfter cuentan la retención desde deletedAt.
+ * @param {Object} user - Perfil eliminado
+ * @returns {number|null} Milisegundos desde epoch o null si no consta la fecha
+ */
+const purgeDeadline = (user) => {
+  const purgeAfter = toMillis(user.purgeAfter);
+  if (purgeAfter) return purgeAfter;
+
+  const deletedAt = toMillis(user.deletedAt);
+  return deletedAt ? deletedAt + USER_DELETION.retention : null;
+};
+
+/**
+ * Elimina una cuenta de forma reversible
+ * @param {Object} user - Perfil del usuario
+ * @param {string} deletedBy - ID de quien elimina
+ * @returns {Promise<Object>} Perfil eliminado (con purgeAfter)
+ * @throws {Error} Con code USER_ALREADY_DELETED si ya estaba eliminado
+ */
+const softDeleteUser = async (user, deletedBy) => {
+  const authUser = await auth.getUser(user.id);
+
+  const deleted = await UserModel.deleteUser(user.id, {
+    deletedBy,
+    purgeAfter: new Date(Date.now() + USER_DELETION.retention),
+    authDisabled: Boolean(authUser.disabled)
+  });
+  if (!deleted) {
+    throw lifecycleError('USER_ALREADY_DELETED', 'El usuario ya está eliminado');
+  }
+
+  // El estado 'deleted' ya impide el acceso; deshabilitar la cuenta evita además nuevos inicios de sesión
+  await auth.updateUser(user.id, { disabled: true });
+  await revokeSessions(user.id, 'deleted');
+
+  logger.info(`Usuario eliminado: ${user.id}`, { deletedBy, purgeAfter: deleted.purgeAfter });
+  return deleted;
+};
+
+/**
+ * Restaura una cuenta eliminada dentro del periodo de retención
+ * @param {Object} user - Perfil del usuario
+ * @param {string} restoredBy - ID de quien restaura
+ * @returns {Promise<Object>} Perfil restaurado
+ * @throws {Error} Con code USER_NOT_DELETED, RESTORE_WINDOW_EXPIRED o
+ *   AUTH_ACCOUNT_MISSING (eliminado antes de este ciclo, sin cuenta de Auth)
+ */
+const restoreDeletedUser = async (user, restoredBy) => {
+  if (user.status !== 'deleted') {
+    throw lifecycleError('USER_NOT_DELETED', 'El usuario no está eliminado');
+  }
+
+  const deadline = purgeDeadline(user);
+  if (deadline !== null && deadline <= Date.now()) {
+    throw lifecycleError('RESTORE_WINDOW_EXPIRED', 'El periodo para restaurar la cuenta terminó');
+  }
+
+  try {
+    await auth.updateUser(user.id, { disabled: Boolean(user.authDisabledBeforeDeletion) });
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      throw lifecycleError('AUTH_ACCOUNT_MISSING', 'La cuenta de autenticación ya no existe');
+    }
+    throw error;
+  }
+
+  const restored = await UserModel.restoreUser(user.id, restoredBy);
+  if (!restored) {
+    throw lifecycleError('USER_NOT_DELETED', 'El usuario no está eliminado');
+  }
+
+  logger.info(`Usuario restaurado: ${user.id}`, { restoredBy, status: restored.status });
+  return restored;
+};
+
+/**
+ * Borra definitivamente una cuenta eliminada y sus datos asociados
+ * El perfil se borra al final para que un fallo se reintente en la siguiente ejecución.
+ * @param {Object} user - Perfil eliminado
+ */
+const purgeUser = async (user) => {
+  try {
+    await auth.deleteUser(user.id);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') throw error;
+  }
+
+  await PasswordHistoryModel.clear(user.id);
+
+  const relationships = [
+    ...(await CareTeamModel.find({ patientId: user.id })),
+    ...(await CareTeamModel.find({ doctorId: user.id }))
+  ];
+  for (const { doctorId, patientId } of relationships) {
+    await CareTeamModel.unassign(doctorId, patientId);
+  }
+
+  await DataExportModel.deleteForUser(user.id);
+
+  await UserModel.purgeUser(user.id);
+};
+
+module.exports = {
+  purgeDeadline,
+  softDeleteUser,
+  restoreDeletedUser,
+  purgeUser
+};